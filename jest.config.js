@@ -3,6 +3,17 @@ module.exports = {
   testMatch: ["**/tests/**/*.test.js"],
   collectCoverageFrom: [
     "src/data-utils.js",
+    "src/history.js",
+    "src/scraper.js",
+    "src/snapshots.js",
+    "src/fund-changes.js",
+    "src/csv-scraper.js",
+    "src/scrape-scheduler.js",
+    "src/providers/*.js",
+    "public/js/tax-calculator.js",
+    "public/js/breakeven.js",
+    "public/js/heatmap.js",
+    "public/js/scenarios.js",
     // Add more files as tests are added
   ],
   coverageThreshold: {
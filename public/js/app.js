@@ -7,15 +7,18 @@ const App = (() => {
   let state = {
     funds: [],
     calculatedResults: [],
-    userProfile: {
-      income: 200000,
-      filingStatus: "single",
-      state: "MO",
-    },
+    userProfile: { ...Scenarios.DEFAULT_PROFILE },
+    // Named profiles compared side by side (kept in the URL)
+    scenarios: [],
     selectedFunds: [],
     sortColumn: "taxEquivalentYield",
     sortDirection: "desc",
     csvFilename: null,
+    dataDate: null,
+    usGovernmentObligations: null,
+    heatmap: null,
+    // Profile and data the heatmap was built for (see getHeatmapKey)
+    heatmapKey: null,
   };
 
   // DOM elements
@@ -47,11 +50,22 @@ const App = (() => {
     // Initialize chart
     ChartHandler.initChart("yield-chart");
 
+    // Restore shared scenarios from the URL
+    state.scenarios = Scenarios.decodeScenarios(
+      new URLSearchParams(window.location.search).get(
+        Scenarios.SCENARIOS_PARAM,
+      ),
+    );
+
     // Update tax summary with default values
+    populateLocalities();
     updateTaxSummary();
 
     // Load initial data
-    await loadFundsData();
+    await Promise.all([loadFundsData(), loadUsGovernmentObligations()]);
+
+    // Refresh the summary now that the snapshot date picks the tax year
+    updateTaxSummary();
 
     // Calculate with default profile
     calculateAndDisplay();
@@ -86,10 +100,29 @@ const App = (() => {
   function setupEventListeners() {
     if (elements.profileForm) {
       elements.profileForm.addEventListener("submit", handleProfileSubmit);
-      ["income", "filing-status", "state"].forEach((id) => {
+      // Refill the locality list before the summary recalculates
+      const stateSelect = document.getElementById("state");
+      if (stateSelect) {
+        stateSelect.addEventListener("change", populateLocalities);
+      }
+      [
+        "income",
+        "filing-status",
+        "state",
+        "tax-year",
+        "deduction-type",
+        "itemized-deduction",
+        "salt-paid",
+        "locality",
+        "account-type",
+      ].forEach((id) => {
         const el = document.getElementById(id);
         if (el) el.addEventListener("change", updateTaxSummary);
       });
+      const deductionType = document.getElementById("deduction-type");
+      if (deductionType) {
+        deductionType.addEventListener("change", toggleItemizedDeduction);
+      }
     }
 
     if (elements.refreshBtn)
@@ -109,6 +142,35 @@ const App = (() => {
       elements.dateRangeSelect.addEventListener("change", updateChart);
     }
 
+    document
+      .getElementById("add-residency-btn")
+      .addEventListener("click", () => addResidencyRow());
+    document
+      .getElementById("residency-list")
+      .addEventListener("click", handleResidencyAction);
+
+    document
+      .getElementById("add-scenario-btn")
+      .addEventListener("click", addScenario);
+    document
+      .getElementById("copy-scenarios-btn")
+      .addEventListener("click", copyScenarioLink);
+    document
+      .getElementById("scenario-cards")
+      .addEventListener("click", handleScenarioAction);
+
+    const heatmapTable = document.getElementById("heatmap-table");
+    if (heatmapTable) {
+      document
+        .getElementById("heatmap-filing-status")
+        .addEventListener("change", () => setHeatmapOpen(true));
+      document
+        .getElementById("heatmap-toggle-btn")
+        .addEventListener("click", toggleHeatmap);
+      heatmapTable.addEventListener("mouseover", showHeatmapDetail);
+      heatmapTable.addEventListener("click", applyHeatmapCell);
+    }
+
     // Handle scroll indicator visibility
     if (elements.tableScrollContainer && elements.scrollIndicator) {
       elements.tableScrollContainer.addEventListener(
@@ -139,7 +201,8 @@ const App = (() => {
     hideError();
 
     try {
-      // Dynamically pick the newest CSV in /public matching schwab_money_funds_*.csv
+      // Pick the newest snapshot of each provider (schwab_money_funds_*.csv,
+      // fidelity_money_funds_*.csv, ...) and rank their funds together
       const csvList = await fetchCsvList();
       console.log("CSV list fetched:", csvList);
       if (!csvList.length) throw new Error("No CSV files found");
@@ -147,21 +210,37 @@ const App = (() => {
       // Sort by date using shared utility (handles MM-DD-YYYY format)
       const sortedList = DataUtils.sortCsvFilesByDate(csvList);
       console.log("Sorted list:", sortedList);
-      const latest = sortedList[0];
-      const filename = latest.name;
-      state.csvFilename = filename;
-      console.log("Loading CSV:", filename);
-
-      const response = await fetch(filename + "?cb=" + Date.now());
-      if (!response.ok) throw new Error(`Could not load ${filename}`);
-
-      const text = await response.text();
-      console.log("CSV text length:", text.length);
-      const data = DataUtils.parseCSV(text);
-      console.log("Parsed rows:", data.length);
-
-      // Use shared function to get ALL funds (not just filtered retail)
-      state.funds = DataUtils.getAllFunds(data);
+      const latestByProvider = sortedList.filter(
+        (file, index) =>
+          sortedList.findIndex(
+            (other) =>
+              (other.provider || "schwab") === (file.provider || "schwab"),
+          ) === index,
+      );
+      const latest = latestByProvider[0];
+      state.csvFilename = latestByProvider.map((file) => file.name).join(", ");
+      state.dataDate = latest.date;
+
+      const funds = [];
+      for (const file of latestByProvider) {
+        console.log("Loading CSV:", file.name);
+        const response = await fetch(file.name + "?cb=" + Date.now());
+        if (!response.ok) throw new Error(`Could not load ${file.name}`);
+
+        const text = await response.text();
+        console.log("CSV text length:", text.length);
+        const data = DataUtils.parseCSV(text);
+        console.log("Parsed rows:", data.length);
+
+        // Use shared function to get ALL funds (not just filtered retail),
+        // skipping a ticker an earlier provider already listed
+        DataUtils.getAllFunds(data).forEach((fund) => {
+          if (!funds.some((other) => other.symbol === fund.symbol)) {
+            funds.push({ ...fund, provider: file.provider || "schwab" });
+          }
+        });
+      }
+      state.funds = funds;
       console.log("All funds loaded:", state.funds.length);
 
       updateLastUpdated(latest.date);
@@ -173,6 +252,22 @@ const App = (() => {
     }
   }
 
+  /**
+   * Load per-fund U.S. government obligations percentages
+   * Without them government funds are treated as fully state taxable.
+   */
+  async function loadUsGovernmentObligations() {
+    try {
+      const res = await fetch(
+        "us-government-obligations.json?cb=" + Date.now(),
+      );
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      state.usGovernmentObligations = (await res.json()).funds;
+    } catch (error) {
+      console.warn("U.S. obligations data unavailable:", error.message);
+    }
+  }
+
   function calculateAndDisplay() {
     console.log("calculateAndDisplay called, funds:", state.funds.length);
     if (!state.funds.length) {
@@ -182,10 +277,398 @@ const App = (() => {
     state.calculatedResults = TaxCalculator.calculateAllFunds(
       state.funds,
       state.userProfile,
+      {
+        asOfDate: state.dataDate,
+        usGovernmentObligations: state.usGovernmentObligations,
+        explain: true,
+      },
     );
     console.log("Calculated results:", state.calculatedResults.length);
     displayRecommendation();
     displayResultsTable();
+    displayBreakevens();
+    displayScenarios();
+    document.getElementById("heatmap-filing-status").value =
+      state.userProfile.filingStatus;
+    // Redraw an open heatmap that still fits the profile; close one that
+    // doesn't until it is opened again
+    if (state.heatmapKey !== getHeatmapKey()) {
+      setHeatmapOpen(false);
+    } else if (
+      !document.getElementById("heatmap-body").classList.contains("hidden")
+    ) {
+      displayHeatmap();
+    }
+  }
+
+  // Funds listed in each scenario's ranking
+  const SCENARIO_FUND_COUNT = 5;
+
+  function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function updateScenarioUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const encoded = Scenarios.encodeScenarios(state.scenarios);
+    if (encoded) {
+      params.set(Scenarios.SCENARIOS_PARAM, encoded);
+    } else {
+      params.delete(Scenarios.SCENARIOS_PARAM);
+    }
+    const query = params.toString();
+    window.history.replaceState(
+      null,
+      "",
+      `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`,
+    );
+  }
+
+  function addScenario() {
+    if (state.scenarios.length >= Scenarios.MAX_SCENARIOS) return;
+    const nameInput = document.getElementById("scenario-name");
+    state.scenarios.push(
+      Scenarios.normalizeScenario(
+        { name: nameInput.value, profile: readProfileForm() },
+        state.scenarios.length,
+      ),
+    );
+    nameInput.value = "";
+    updateScenarioUrl();
+    displayScenarios();
+  }
+
+  function handleScenarioAction(e) {
+    const button = e.target.closest("[data-scenario-action]");
+    if (!button) return;
+    const index = parseInt(button.dataset.index);
+
+    if (button.dataset.scenarioAction === "remove") {
+      state.scenarios.splice(index, 1);
+      updateScenarioUrl();
+      displayScenarios();
+    } else {
+      // Load the scenario into the profile form and recalculate
+      fillProfileForm(state.scenarios[index].profile);
+      elements.profileForm.requestSubmit();
+      document
+        .getElementById("tax-profile")
+        .scrollIntoView({ behavior: "smooth" });
+    }
+  }
+
+  async function copyScenarioLink() {
+    const button = document.getElementById("copy-scenarios-btn");
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      button.textContent = "Link Copied";
+    } catch (error) {
+      console.warn("Clipboard unavailable:", error.message);
+      button.textContent = "Copy the address bar";
+    }
+    setTimeout(() => (button.textContent = "Copy Share Link"), 2000);
+  }
+
+  function describeProfile(profile) {
+    const account = TaxCalculator.getAccountTypes()[profile.accountType];
+    return [
+      `${TaxCalculator.formatCurrency(profile.income)} income`,
+      profile.filingStatus,
+      profile.residencyPeriods && profile.residencyPeriods.length
+        ? profile.residencyPeriods.map((period) => period.state).join(" → ")
+        : profile.locality
+          ? `${profile.state} (${profile.locality})`
+          : profile.state,
+      profile.taxYear === "auto" ? "auto year" : profile.taxYear,
+      `${TaxCalculator.formatCurrency(profile.balance)} in ${account ? account.label : profile.accountType}`,
+    ].join(" · ");
+  }
+
+  function displayScenarios() {
+    const full = state.scenarios.length >= Scenarios.MAX_SCENARIOS;
+    document.getElementById("add-scenario-btn").disabled = full;
+    document.getElementById("scenario-name").disabled = full;
+    document
+      .getElementById("scenario-comparison")
+      .classList.toggle("hidden", !state.scenarios.length);
+    if (!state.scenarios.length || !state.funds.length) {
+      document.getElementById("scenario-cards").innerHTML = "";
+      return;
+    }
+
+    const options = {
+      asOfDate: state.dataDate,
+      usGovernmentObligations: state.usGovernmentObligations,
+    };
+    const scenarioResults = state.scenarios.map((scenario) => ({
+      name: scenario.name,
+      results: TaxCalculator.calculateAllFunds(
+        state.funds,
+        scenario.profile,
+        options,
+      ),
+    }));
+
+    document.getElementById("scenario-summary-tbody").innerHTML =
+      Scenarios.compareScenarios(scenarioResults)
+        .map((row, i) => {
+          const change =
+            i === 0
+              ? "Baseline"
+              : `${row.afterTaxIncomeChange >= 0 ? "+" : "-"}${TaxCalculator.formatCurrency(Math.abs(row.afterTaxIncomeChange))}`;
+          return `<tr>
+            <td data-label="Scenario">${escapeHtml(row.name)}</td>
+            <td data-label="Top Fund">${row.top.symbol}${row.topFundChanged ? ' <span class="scenario-changed">changed</span>' : ""}</td>
+            <td data-label="TEY">${TaxCalculator.formatPercent(row.taxEquivalentYield)}</td>
+            <td data-label="After-Tax Income / Yr">${TaxCalculator.formatCurrency(row.afterTaxIncome)}</td>
+            <td data-label="vs. First Scenario">${change}</td>
+          </tr>`;
+        })
+        .join("");
+
+    document.getElementById("scenario-cards").innerHTML = scenarioResults
+      .map(
+        ({ name, results }, i) => `
+        <div class="scenario-card">
+          <h3 class="scenario-card__title">${escapeHtml(name)}</h3>
+          <p class="scenario-card__profile">${escapeHtml(describeProfile(state.scenarios[i].profile))}</p>
+          <ol class="scenario-card__ranking">${results
+            .slice(0, SCENARIO_FUND_COUNT)
+            .map(
+              (res) =>
+                `<li><span>${res.symbol}</span><span>${TaxCalculator.formatPercent(res.taxEquivalentYield)}</span><span>${TaxCalculator.formatCurrency(res.afterTaxIncome)}</span></li>`,
+            )
+            .join("")}</ol>
+          <div class="scenario-card__actions">
+            <button type="button" class="btn btn-secondary" data-scenario-action="load" data-index="${i}">Load</button>
+            <button type="button" class="btn btn-secondary" data-scenario-action="remove" data-index="${i}">Remove</button>
+          </div>
+        </div>`,
+      )
+      .join("");
+  }
+
+  // Funds compared in the break-even panel (the top of the ranking)
+  const BREAKEVEN_FUND_COUNT = 5;
+
+  function displayBreakevens() {
+    const section = document.getElementById("breakeven-section");
+    const tbody = document.getElementById("breakeven-tbody");
+    const profile = state.userProfile;
+    const topSymbols = state.calculatedResults
+      .slice(0, BREAKEVEN_FUND_COUNT)
+      .map((res) => res.symbol);
+    const funds = state.funds.filter((fund) =>
+      topSymbols.includes(fund.symbol),
+    );
+
+    const crossovers = Breakeven.findProfileCrossovers(
+      TaxCalculator,
+      funds,
+      profile,
+      {
+        asOfDate: state.dataDate,
+        usGovernmentObligations: state.usGovernmentObligations,
+      },
+    );
+
+    document.getElementById("breakeven-description").textContent =
+      crossovers.length
+        ? `Taxable incomes where the top ${funds.length} funds trade places for a ${profile.filingStatus} filer in ${profile.state}`
+        : `The top ${funds.length} funds keep the same order at every income up to ${TaxCalculator.formatCurrency(Breakeven.BREAKEVEN_MAX_INCOME)} for a ${profile.filingStatus} filer in ${profile.state}.`;
+
+    // Mark where the user's own income falls among the crossovers
+    const { taxableIncome } = state.calculatedResults[0];
+    const youRow = `<tr class="breakeven-you"><td data-label="Taxable Income">${TaxCalculator.formatCurrency(taxableIncome)}</td><td colspan="3">Your income: ${state.calculatedResults[0].fundName} leads</td></tr>`;
+
+    let rows = "";
+    let youShown = false;
+    crossovers.forEach((c) => {
+      if (!youShown && c.taxableIncome > taxableIncome) {
+        rows += youRow;
+        youShown = true;
+      }
+      rows += `<tr>
+        <td data-label="Taxable Income">${TaxCalculator.formatCurrency(c.taxableIncome)}</td>
+        <td data-label="Gross Income">${TaxCalculator.formatCurrency(c.grossIncome)}</td>
+        <td data-label="Leads Below">${c.below.symbol}</td>
+        <td data-label="Leads Above">${c.above.symbol}</td>
+      </tr>`;
+    });
+    if (!youShown) rows += youRow;
+
+    tbody.innerHTML = crossovers.length ? rows : "";
+    section.classList.remove("hidden");
+  }
+
+  // Winner colors, assigned in legend order
+  const HEATMAP_COLORS = [
+    "#0066cc",
+    "#28a745",
+    "#ffc107",
+    "#17a2b8",
+    "#6f42c1",
+    "#fd7e14",
+    "#e83e8c",
+    "#20c997",
+  ];
+
+  // TEY lead (percentage points) at which a cell reaches full color
+  const HEATMAP_FULL_MARGIN = 0.5;
+
+  function hexToRgba(hex, alpha) {
+    const n = parseInt(hex.slice(1), 16);
+    return `rgba(${n >> 16}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+  }
+
+  // Everything the heatmap depends on besides the filing status shown: each
+  // cell sets its own income and state, so loading a cell keeps the heatmap
+  function getHeatmapKey() {
+    const {
+      income,
+      state: stateCode,
+      filingStatus,
+      residencyPeriods,
+      ...rest
+    } = state.userProfile;
+    return JSON.stringify({ profile: rest, csv: state.csvFilename });
+  }
+
+  function toggleHeatmap() {
+    const body = document.getElementById("heatmap-body");
+    setHeatmapOpen(body.classList.contains("hidden"));
+  }
+
+  // Building the grid takes a while, so it only happens when the section
+  // is opened or its filing status changes
+  function setHeatmapOpen(open) {
+    const button = document.getElementById("heatmap-toggle-btn");
+    document.getElementById("heatmap-body").classList.toggle("hidden", !open);
+    button.setAttribute("aria-expanded", String(open));
+    button.textContent = open ? "Hide Heatmap" : "Show Heatmap";
+    if (open) {
+      displayHeatmap();
+    }
+  }
+
+  function displayHeatmap() {
+    const filingStatus = document.getElementById("heatmap-filing-status").value;
+    if (
+      !state.heatmap ||
+      state.heatmapKey !== getHeatmapKey() ||
+      !state.heatmap.cells[filingStatus]
+    ) {
+      state.heatmap = Heatmap.buildHeatmap(
+        TaxCalculator,
+        state.funds,
+        state.userProfile,
+        {
+          asOfDate: state.dataDate,
+          usGovernmentObligations: state.usGovernmentObligations,
+          filingStatuses: [filingStatus],
+        },
+      );
+      state.heatmapKey = getHeatmapKey();
+    }
+    const heatmap = state.heatmap;
+
+    const colors = {};
+    heatmap.funds.forEach((fund, i) => {
+      colors[fund.symbol] = HEATMAP_COLORS[i % HEATMAP_COLORS.length];
+    });
+
+    document.getElementById("heatmap-legend").innerHTML = `
+      <h4>Top Fund (${heatmap.taxYear}):</h4>
+      <ul>${heatmap.funds
+        .map(
+          (fund) =>
+            `<li><span class="legend-color" style="background: ${colors[fund.symbol]}"></span>${fund.symbol} - ${fund.fundName}</li>`,
+        )
+        .join("")}</ul>`;
+
+    // The user's own cell: their state at the nearest grid income
+    const profile = state.userProfile;
+    const nearest = heatmap.incomes.reduce(
+      (best, income, i) =>
+        Math.abs(income - profile.income) <
+        Math.abs(heatmap.incomes[best] - profile.income)
+          ? i
+          : best,
+      0,
+    );
+
+    // Label every $100k so the header stays readable
+    const header = heatmap.incomes
+      .map(
+        (income) =>
+          `<th>${income % 100000 === 0 ? `$${income / 1000}k` : ""}</th>`,
+      )
+      .join("");
+    const rows = heatmap.states
+      .map((stateCode) => {
+        const cells = heatmap.cells[filingStatus][stateCode]
+          .map((cell, i) => {
+            const alpha =
+              0.25 + 0.75 * Math.min(cell.margin / HEATMAP_FULL_MARGIN, 1);
+            const you =
+              stateCode === profile.state &&
+              filingStatus === profile.filingStatus &&
+              i === nearest
+                ? " heatmap-cell--you"
+                : "";
+            return `<td class="heatmap-cell${you}" data-state="${stateCode}" data-index="${i}" style="background: ${hexToRgba(colors[cell.symbol], alpha)}"></td>`;
+          })
+          .join("");
+        return `<tr><th>${stateCode}</th>${cells}</tr>`;
+      })
+      .join("");
+
+    document.getElementById("heatmap-table").innerHTML =
+      `<thead><tr><th></th>${header}</tr></thead><tbody>${rows}</tbody>`;
+  }
+
+  function getHeatmapTarget(e) {
+    const cell = e.target.closest(".heatmap-cell");
+    if (!cell || !state.heatmap) return null;
+    const index = parseInt(cell.dataset.index);
+    const filingStatus = document.getElementById("heatmap-filing-status").value;
+    return {
+      state: cell.dataset.state,
+      filingStatus: filingStatus,
+      income: state.heatmap.incomes[index],
+      cell: state.heatmap.cells[filingStatus][cell.dataset.state][index],
+    };
+  }
+
+  function showHeatmapDetail(e) {
+    const target = getHeatmapTarget(e);
+    if (!target) return;
+    const { cell } = target;
+    const runnerUp = cell.runnerUp
+      ? `, ahead of ${cell.runnerUp} by ${cell.margin.toFixed(2)} percentage points`
+      : "";
+    document.getElementById("heatmap-detail").textContent =
+      `${target.state}, ${TaxCalculator.formatCurrency(target.income)} gross income: ${cell.symbol} at ${TaxCalculator.formatPercent(cell.taxEquivalentYield)} tax-equivalent yield${runnerUp}.`;
+  }
+
+  // Load a cell's income, state and filing status into the profile form
+  function applyHeatmapCell(e) {
+    const target = getHeatmapTarget(e);
+    if (!target) return;
+    document.getElementById("income").value = target.income;
+    document.getElementById("filing-status").value = target.filingStatus;
+    const stateSelect = document.getElementById("state");
+    stateSelect.value = target.state;
+    stateSelect.dispatchEvent(new Event("change"));
+    // Heatmap cells are full-year residences
+    document.getElementById("residency-list").innerHTML = "";
+    updateResidencyHint();
+    elements.profileForm.requestSubmit();
+    document
+      .getElementById("results-section")
+      .scrollIntoView({ behavior: "smooth" });
   }
 
   function displayRecommendation() {
@@ -196,8 +679,14 @@ const App = (() => {
       TaxCalculator.formatPercent(top.taxEquivalentYield);
     document.getElementById("rec-net-yield").textContent =
       TaxCalculator.formatPercent(top.netYield);
-    document.getElementById("rec-annual-return").textContent =
-      TaxCalculator.formatCurrency(top.annualReturn);
+    document.getElementById("rec-after-tax-income").textContent =
+      TaxCalculator.formatCurrency(top.afterTaxIncome);
+    document.getElementById("rec-after-tax-income-label").textContent =
+      `After-Tax Income on ${TaxCalculator.formatCurrency(top.balance)}`;
+    document.getElementById("rec-monthly-dividend").textContent =
+      TaxCalculator.formatCurrency(top.monthlyDividend);
+    document.getElementById("rec-balance-10y").textContent =
+      TaxCalculator.formatCurrency(top.projectedBalances[10]);
     document.getElementById("rec-explanation").textContent =
       TaxCalculator.getRecommendationExplanation(top, state.userProfile);
     elements.recommendationCard.classList.remove("hidden");
@@ -209,6 +698,7 @@ const App = (() => {
       taxable: "Taxable Money Funds",
       treasury: "Treasury Money Funds",
       municipal: "Tax-Exempt Money Funds",
+      "municipal-amt-free": "AMT-Free Tax-Exempt",
       "state-municipal": "State-Specific",
       sweep: "Sweep Money Fund",
       etf: "Money Market ETF",
@@ -219,6 +709,7 @@ const App = (() => {
       taxable: "type-taxable",
       treasury: "type-treasury",
       municipal: "type-municipal",
+      "municipal-amt-free": "type-municipal-amt-free",
       "state-municipal": "type-state-municipal",
       sweep: "type-sweep",
       etf: "type-etf",
@@ -228,7 +719,10 @@ const App = (() => {
     const fundCategoryCssClasses = {
       "Taxable - Subject to all taxes": "fund-cat-taxable",
       "Treasury - State tax-free": "fund-cat-treasury",
+      "Government - Partially state tax-free": "fund-cat-government",
       "Municipal - Federal tax-free": "fund-cat-municipal",
+      "AMT-Free Municipal - Federal & AMT tax-free":
+        "fund-cat-municipal-amt-free",
       "State Municipal - Both tax-free (residents only)":
         "fund-cat-state-municipal",
     };
@@ -247,18 +741,39 @@ const App = (() => {
       const fundCategory = res.fundCategory || "Taxable - Subject to all taxes";
       const fundCatCssClass =
         fundCategoryCssClasses[fundCategory] || "fund-cat-taxable";
+      // Flag funds whose private activity bond income is hit by AMT
+      const amtBadge =
+        res.amtRate > 0
+          ? ` <span class="amt-badge" title="${(res.privateActivityBondShare * 100).toFixed(0)}% of income taxed at ${(res.amtRate * 100).toFixed(0)}% AMT">AMT</span>`
+          : "";
+      // Municipal funds waste their exemption inside an IRA, 401(k) or HSA
+      const shelteredBadge = res.taxExemptInShelteredAccount
+        ? ` <span class="sheltered-badge" title="Tax-exempt income gives no benefit in a tax-sheltered account; a taxable fund pays more">Not for IRAs</span>`
+        : "";
+      // Say whether the single-state exemption applies to this user
+      let residencyBadge = "";
+      if (res.category === "state-municipal") {
+        const note = TaxCalculator.getResidencyNote(
+          res,
+          state.userProfile.state,
+        );
+        residencyBadge = res.residentExemption
+          ? ` <span class="residency-badge residency-badge--resident" title="${note}">${res.issuingState} resident</span>`
+          : ` <span class="residency-badge residency-badge--nonresident" title="${note}">State taxable</span>`;
+      }
 
       row.innerHTML = `
                 <td class="row-number">${i + 1}</td>
                 <td>${res.fundName}</td>
                 <td>${res.symbol}</td>
-                <td><span class="category-badge ${typeCssClass}">${friendlyType}</span></td>
-                <td><span class="fund-category-badge ${fundCatCssClass}">${fundCategory}</span></td>
+                <td><span class="category-badge ${typeCssClass}">${friendlyType}</span>${amtBadge}</td>
+                <td><span class="fund-category-badge ${fundCatCssClass}">${fundCategory}</span>${residencyBadge}${shelteredBadge}</td>
                 <td>${TaxCalculator.formatPercent(res.grossYield)}</td>
                 <td>${TaxCalculator.formatPercent(res.expenseRatio)}</td>
                 <td>${TaxCalculator.formatPercent(res.netYield)}</td>
                 <td><strong>${TaxCalculator.formatPercent(res.taxEquivalentYield)}</strong></td>
-                <td>${TaxCalculator.formatCurrency(res.annualReturn)}</td>
+                <td>${TaxCalculator.formatCurrency(res.afterTaxIncome)}</td>
+                <td class="${res.shortfallVsTop > 0 ? "shortfall" : ""}">${res.shortfallVsTop > 0 ? `−${TaxCalculator.formatCurrency(res.shortfallVsTop)}/yr` : "—"}</td>
             `;
       elements.resultsTbody.appendChild(row);
     });
@@ -268,36 +783,236 @@ const App = (() => {
     setTimeout(updateScrollIndicator, 0);
   }
 
-  async function handleProfileSubmit(e) {
-    e.preventDefault();
-    const formData = new FormData(e.target);
-    state.userProfile = {
+  function readProfileForm() {
+    const formData = new FormData(elements.profileForm);
+    return {
       income: parseFloat(formData.get("income")),
       filingStatus: formData.get("filingStatus"),
       state: formData.get("state"),
+      taxYear: formData.get("taxYear"),
+      amtExposure: formData.get("amtExposure") === "yes",
+      balance: parseFloat(formData.get("balance")),
+      deductionType: formData.get("deductionType"),
+      itemizedDeduction: parseFloat(formData.get("itemizedDeduction")) || 0,
+      saltPaid: parseFloat(formData.get("saltPaid")) || 0,
+      locality: formData.get("locality") || null,
+      accountType: formData.get("accountType"),
+      residencyPeriods: readResidencyPeriods(),
     };
+  }
+
+  function fillProfileForm(profile) {
+    document.getElementById("income").value = profile.income;
+    document.getElementById("balance").value = profile.balance;
+    document.getElementById("account-type").value = profile.accountType;
+    document.getElementById("filing-status").value = profile.filingStatus;
+    document.getElementById("state").value = profile.state;
+    populateLocalities();
+    document.getElementById("locality").value = profile.locality || "";
+    document.getElementById("tax-year").value = profile.taxYear;
+    document.getElementById("amt-exposure").value = profile.amtExposure
+      ? "yes"
+      : "no";
+    document.getElementById("deduction-type").value = profile.deductionType;
+    document.getElementById("itemized-deduction").value =
+      profile.itemizedDeduction;
+    document.getElementById("salt-paid").value = profile.saltPaid;
+    toggleItemizedDeduction();
+    document.getElementById("residency-list").innerHTML = "";
+    (profile.residencyPeriods || []).forEach(addResidencyRow);
+    updateResidencyHint();
+  }
+
+  // One row per state lived in during the year: state, first and last day
+  function addResidencyRow(period = {}) {
+    const row = document.createElement("div");
+    row.className = "residency-period";
+
+    const stateSelect = document.createElement("select");
+    stateSelect.className = "form-select";
+    stateSelect.dataset.field = "state";
+    stateSelect.setAttribute("aria-label", "State lived in");
+    stateSelect.innerHTML = document.getElementById("state").innerHTML;
+    stateSelect.value = period.state || document.getElementById("state").value;
+    row.appendChild(stateSelect);
+
+    ["startDate", "endDate"].forEach((field) => {
+      const input = document.createElement("input");
+      input.type = "date";
+      input.className = "form-input";
+      input.dataset.field = field;
+      input.setAttribute(
+        "aria-label",
+        field === "startDate" ? "Moved in on" : "Moved out on",
+      );
+      input.value = period[field] || "";
+      row.appendChild(input);
+    });
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "btn btn-secondary";
+    remove.dataset.residencyAction = "remove";
+    remove.textContent = "Remove";
+    row.appendChild(remove);
+
+    document.getElementById("residency-list").appendChild(row);
+    updateResidencyHint();
+  }
+
+  function handleResidencyAction(e) {
+    const button = e.target.closest("[data-residency-action]");
+    if (!button) return;
+    button.closest(".residency-period").remove();
+    updateResidencyHint();
+  }
+
+  function updateResidencyHint() {
+    document
+      .getElementById("residency-hint")
+      .classList.toggle(
+        "hidden",
+        document.getElementById("residency-list").children.length > 0,
+      );
+  }
+
+  // Empty dates fall back to the start or end of the tax year in the engine
+  function readResidencyPeriods() {
+    return Array.from(
+      document.querySelectorAll("#residency-list .residency-period"),
+    ).map((row) => {
+      const value = (field) =>
+        row.querySelector(`[data-field="${field}"]`).value || null;
+      return {
+        state: value("state"),
+        startDate: value("startDate"),
+        endDate: value("endDate"),
+      };
+    });
+  }
+
+  async function handleProfileSubmit(e) {
+    e.preventDefault();
+    const profile = readProfileForm();
+    // Overlapping periods would count days twice, so they are not calculated
+    const overlap = TaxCalculator.findResidencyOverlap(
+      profile.residencyPeriods,
+      TaxCalculator.resolveTaxYear(profile.taxYear, state.dataDate),
+    );
+    const error = document.getElementById("residency-error");
+    error.textContent = overlap
+      ? `${overlap}. Fix the dates to calculate.`
+      : "";
+    error.classList.toggle("hidden", !overlap);
+    if (overlap) return;
+
+    state.userProfile = profile;
     calculateAndDisplay();
     updateTaxSummary();
   }
 
+  function populateLocalities() {
+    const stateCode = document.getElementById("state").value;
+    const select = document.getElementById("locality");
+    const previous = select.value;
+    const localities = TaxTables.LOCAL_TAX_RATES[stateCode] || {};
+    const codes = Object.keys(localities).sort((a, b) =>
+      localities[a].name.localeCompare(localities[b].name),
+    );
+
+    select.innerHTML = '<option value="">None</option>';
+    codes.forEach((code) => {
+      const option = document.createElement("option");
+      option.value = code;
+      option.textContent =
+        localities[code].taxesInterest === false
+          ? `${localities[code].name} (does not tax interest)`
+          : localities[code].name;
+      select.appendChild(option);
+    });
+    select.value = codes.includes(previous) ? previous : "";
+    document
+      .getElementById("locality-group")
+      .classList.toggle("hidden", codes.length === 0);
+  }
+
+  function toggleItemizedDeduction() {
+    const itemizing =
+      document.getElementById("deduction-type").value === "itemized";
+    ["itemized-deduction-group", "salt-paid-group"].forEach((id) => {
+      document.getElementById(id).classList.toggle("hidden", !itemizing);
+    });
+  }
+
   function updateTaxSummary() {
     const income = parseFloat(document.getElementById("income").value) || 0;
     const filingStatus = document.getElementById("filing-status").value;
     const stateCode = document.getElementById("state").value;
+    const taxYear = TaxCalculator.resolveTaxYear(
+      document.getElementById("tax-year").value,
+      state.dataDate,
+    );
+    const deductionType = document.getElementById("deduction-type").value;
+    const { taxableIncome } = TaxCalculator.calculateTaxableIncome(
+      income,
+      filingStatus,
+      taxYear,
+      deductionType,
+      parseFloat(document.getElementById("itemized-deduction").value) || 0,
+    );
+    // Whether more state tax would still be deductible under the SALT cap
+    const salt = TaxCalculator.calculateSaltDeductibleShare(
+      0,
+      income,
+      taxYear,
+      deductionType,
+      parseFloat(document.getElementById("salt-paid").value) || 0,
+    );
 
     const fed = TaxCalculator.calculateFederalMarginalRate(
-      income,
+      taxableIncome,
       filingStatus,
+      taxYear,
     );
-    const st = TaxCalculator.calculateStateMarginalRate(stateCode);
-    const comb = fed + st * (1 - fed);
+    const st = TaxCalculator.calculateStateMarginalRate(
+      stateCode,
+      taxableIncome,
+      filingStatus,
+      taxYear,
+    );
+    const local = TaxCalculator.calculateLocalRate(
+      stateCode,
+      document.getElementById("locality").value,
+      taxableIncome,
+      0,
+      filingStatus,
+      st,
+    ).rate;
+    const niit = TaxCalculator.calculateNIITRate(income, filingStatus, taxYear);
+    const comb = fed + niit + (st + local) * (1 - fed * salt.share);
 
     document.getElementById("federal-rate").textContent =
       TaxCalculator.formatPercent(fed * 100);
+    document.getElementById("niit-rate").textContent =
+      TaxCalculator.formatPercent(niit * 100);
     document.getElementById("state-rate").textContent =
       TaxCalculator.formatPercent(st * 100);
+    document.getElementById("local-rate").textContent =
+      TaxCalculator.formatPercent(local * 100);
     document.getElementById("combined-rate").textContent =
       TaxCalculator.formatPercent(comb * 100);
+    document.getElementById("tax-year-used").textContent = taxYear;
+    document.getElementById("taxable-income").textContent =
+      TaxCalculator.formatCurrency(taxableIncome);
+    // Rates only matter for fund choice in a taxable account
+    const account =
+      TaxCalculator.getAccountTypes()[
+        document.getElementById("account-type").value
+      ];
+    document.getElementById("salt-note").textContent =
+      account && account.sheltered
+        ? `Dividends in a ${account.label} are not taxed as they are paid, so these rates do not affect the ranking.`
+        : TaxCalculator.getSaltNote(salt);
   }
 
   async function updateChart() {
@@ -397,6 +1112,7 @@ const App = (() => {
   async function handleRefresh() {
     elements.refreshBtn.disabled = true;
     await loadFundsData();
+    updateTaxSummary();
     calculateAndDisplay();
     await updateChart();
     elements.refreshBtn.disabled = false;
@@ -425,69 +1141,61 @@ const App = (() => {
   }
 
   function showMathExplanation(fund) {
-    const {
-      category,
-      grossYield,
-      expenseRatio,
-      netYield,
-      taxEquivalentYield,
-      effectiveTaxRate,
-      federalRate,
-      stateRate,
-    } = fund;
+    const { category, taxEquivalentYield, afterTaxYield } = fund;
 
     // Map internal category to display name
     const categoryLabels = {
       taxable: "Taxable Money Funds",
       treasury: "Treasury Money Funds",
       municipal: "Tax-Exempt Money Funds",
+      "municipal-amt-free": "AMT-Free Tax-Exempt Money Funds",
       "state-municipal": "State-Specific",
       sweep: "Sweep Money Fund",
       etf: "Money Market ETF",
     };
     const categoryName = categoryLabels[category] || category;
 
+    // Each step comes from the engine, the same audit trail that
+    // POST /api/calculate?explain=true returns
+    const listItems = (items) =>
+      items.map((item) => `<li>${escapeHtml(item)}</li>`).join("");
+    const steps = (fund.explanation || [])
+      .map(
+        (step, index) => `
+<div class="math-step">
+    <div class="math-step__title">Step ${index + 1}: ${escapeHtml(step.label)}</div>
+    <div class="math-step__formula">${escapeHtml(step.formula)}<br>= ${escapeHtml(step.values)}</div>${
+      step.details.length ? `<ul>${listItems(step.details)}</ul>` : ""
+    }
+    <div class="math-step__result">${escapeHtml(step.result)}</div>${step.notes
+      .map((note) => `<p>${escapeHtml(note)}</p>`)
+      .join("")}
+</div>`,
+      )
+      .join("");
+
     // Build detailed explanation
     let explanation = `
 <h3>${fund.fundName} (${fund.symbol})</h3>
 <h4>Category: ${categoryName}</h4>
-
-<div style="background: #f8f9fa; padding: 1rem; border-radius: 8px; margin: 1rem 0;">
-    <h4>Step 1: Calculate Net Yield</h4>
-    <p>Net Yield = Gross Yield - Expense Ratio</p>
-    <p><strong>${netYield.toFixed(2)}% = ${grossYield.toFixed(2)}% - ${expenseRatio.toFixed(2)}%</strong></p>
-</div>
-
-<div style="background: #f8f9fa; padding: 1rem; border-radius: 8px; margin: 1rem 0;">
-    <h4>Step 2: Your Tax Rates</h4>
-    <p>Federal Marginal Rate: <strong>${(federalRate * 100).toFixed(2)}%</strong></p>
-    <p>State Marginal Rate: <strong>${(stateRate * 100).toFixed(2)}%</strong></p>
-    <p>Effective Combined Rate: <strong>${(effectiveTaxRate * 100).toFixed(2)}%</strong></p>
-</div>
-
-<div style="background: #f8f9fa; padding: 1rem; border-radius: 8px; margin: 1rem 0;">
-    <h4>Step 3: Calculate Tax-Equivalent Yield</h4>`;
-
-    if (category === "taxable") {
-      explanation += `
-    <p>This is a fully taxable fund, so:</p>
-    <p><strong>Tax-Equivalent Yield = Net Yield = ${taxEquivalentYield.toFixed(2)}%</strong></p>
-    <p>You would pay taxes on ${netYield.toFixed(2)}%, leaving you with less after-tax.</p>`;
-    } else {
-      explanation += `
-    <p>This fund has tax advantages, so we calculate what a taxable fund would need to yield:</p>
-    <p>Formula: TEY = Net Yield ÷ (1 - Tax Rate)</p>
-    <p><strong>${taxEquivalentYield.toFixed(2)}% = ${netYield.toFixed(2)}% ÷ (1 - ${(effectiveTaxRate * 100).toFixed(2)}%)</strong></p>
-    <p><strong>${taxEquivalentYield.toFixed(2)}% = ${netYield.toFixed(2)}% ÷ ${((1 - effectiveTaxRate) * 100).toFixed(2)}%</strong></p>`;
-    }
+${steps}`;
 
     explanation += `
-</div>
-
 <div style="background: #e7f3ff; padding: 1rem; border-radius: 8px; margin: 1rem 0;">
     <h4>What This Means</h4>
-    <p>A taxable investment would need to yield <strong>${taxEquivalentYield.toFixed(2)}%</strong> to match this fund's after-tax return of <strong>${netYield.toFixed(2)}%</strong>.</p>
-    <p>On a $10,000 investment, you'd earn approximately <strong>${TaxCalculator.formatCurrency(fund.annualReturn)}</strong> per year after taxes.</p>
+    <p>A taxable investment would need to yield <strong>${taxEquivalentYield.toFixed(2)}%</strong> to match this fund's after-tax return of <strong>${afterTaxYield.toFixed(2)}%</strong>.</p>
+    <p>On a ${TaxCalculator.formatCurrency(fund.balance)} investment, you'd earn approximately <strong>${TaxCalculator.formatCurrency(fund.afterTaxIncome)}</strong> per year after taxes, from monthly dividends of about <strong>${TaxCalculator.formatCurrency(fund.monthlyDividend)}</strong> before tax.</p>
+    <p>Reinvesting after-tax dividends at today's yield (yields change, so treat this as an estimate):</p>
+    <ul>
+        <li>After 1 year: <strong>${TaxCalculator.formatCurrency(fund.projectedBalances[1])}</strong></li>
+        <li>After 5 years: <strong>${TaxCalculator.formatCurrency(fund.projectedBalances[5])}</strong></li>
+        <li>After 10 years: <strong>${TaxCalculator.formatCurrency(fund.projectedBalances[10])}</strong></li>
+    </ul>${
+      fund.shortfallVsTop > 0
+        ? `
+    <p>Compared with the top-ranked fund, staying in this fund gives up about <strong>${TaxCalculator.formatCurrency(fund.shortfallVsTop)}</strong> per year after taxes.</p>`
+        : ""
+    }
 </div>
         `;
 
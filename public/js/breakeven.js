@@ -0,0 +1,267 @@
+/**
+ * Break-even Analysis Module
+ * Finds the taxable incomes at which two funds' tax-equivalent yields cross,
+ * for every fund pair, filing status and state
+ * Works in both Node.js and browser environments; the tax engine
+ * (TaxCalculator from tax-calculator.js) is passed in by the caller
+ */
+
+const BreakevenTables =
+  typeof window !== "undefined" && window.TaxTables
+    ? window.TaxTables
+    : require("./tax-tables");
+
+const FILING_STATUSES = ["single", "married", "head"];
+
+// Taxable incomes searched for crossovers
+const BREAKEVEN_MAX_INCOME = 1000000;
+
+// Spacing of the coarse income grid laid under the bracket boundaries
+const BREAKEVEN_GRID_STEP = 25000;
+
+// Crossovers are located to the dollar
+const BREAKEVEN_PRECISION = 1;
+
+/**
+ * Collect the taxable incomes where some rate in a profile can change
+ * Bracket floors are included twice: at the floor, and one fund's interest
+ * below it, where stacked interest starts to spill into the bracket.
+ * @param {string} state - State abbreviation
+ * @param {string} filingStatus - Filing status
+ * @param {number} taxYear - Resolved tax year
+ * @param {number} deduction - Deduction taken (gross = taxable + deduction)
+ * @param {number} interest - Largest fund interest at the profile's balance
+ * @param {number} maxIncome - Upper end of the search
+ * @returns {Array<number>} Sorted, de-duplicated taxable incomes
+ */
+function getBreakevenSamplePoints(
+  state,
+  filingStatus,
+  taxYear,
+  deduction,
+  interest,
+  maxIncome,
+) {
+  const tables = BreakevenTables.getTaxYearTables(taxYear);
+  const schedule = tables.state[state];
+  const floors = []
+    .concat(tables.federal[filingStatus] || tables.federal.single)
+    .concat(schedule ? schedule[filingStatus] || schedule.single : [])
+    .map((bracket) => bracket.min);
+
+  // NIIT, AMT and the SALT cap phase-out are tested against gross income
+  const grossThresholds = [
+    tables.niit.thresholds[filingStatus] || tables.niit.thresholds.single,
+    ...tables.amt.map((bracket) => bracket.min),
+  ];
+  const salt = tables.saltCap;
+  if (salt && salt.phaseoutRate > 0) {
+    grossThresholds.push(
+      salt.phaseoutThreshold,
+      salt.phaseoutThreshold + (salt.cap - salt.floor) / salt.phaseoutRate,
+    );
+  }
+  grossThresholds.forEach((gross) => floors.push(gross - deduction));
+
+  const points = [];
+  for (let income = 0; income <= maxIncome; income += BREAKEVEN_GRID_STEP) {
+    points.push(income);
+  }
+  floors.forEach((floor) => points.push(floor, floor - interest));
+
+  return [...new Set(points.map(Math.round))]
+    .filter((income) => income >= 0 && income <= maxIncome)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Tax-equivalent yield of every fund, keyed by symbol, at one taxable income
+ * @param {Object} engine - Tax engine with calculateAllFunds
+ * @param {Array<Object>} funds - Funds to evaluate
+ * @param {Object} profile - Profile at the target income
+ * @param {Object} options - Passed through to calculateAllFunds
+ * @returns {Object} {SYMBOL: taxEquivalentYield}
+ */
+function getYieldsBySymbol(engine, funds, profile, options) {
+  const yields = {};
+  engine.calculateAllFunds(funds, profile, options).forEach((result) => {
+    yields[result.symbol] = result.taxEquivalentYield;
+  });
+  return yields;
+}
+
+/**
+ * Sign of the TEY gap between two funds, treating a tie as no lead
+ * @param {number} a - First fund's TEY
+ * @param {number} b - Second fund's TEY
+ * @returns {number} 1 if a leads, -1 if b leads, 0 if tied
+ */
+function compareYields(a, b) {
+  const diff = a - b;
+  if (Math.abs(diff) < 1e-9) return 0;
+  return diff > 0 ? 1 : -1;
+}
+
+/**
+ * Find break-even taxable incomes for one filing status and state
+ * Every fund pair is checked at each sample income; where the leader
+ * changes, the crossover is narrowed down by bisection.
+ * @param {Object} engine - Tax engine with calculateAllFunds and calculateTaxableIncome
+ * @param {Array<Object>} funds - Funds to compare
+ * @param {Object} userProfile - Profile with filingStatus and state set
+ * @param {Object} options - {asOfDate, usGovernmentObligations, maxIncome}
+ * @returns {Array<Object>} Crossovers, lowest income first
+ */
+function findProfileCrossovers(engine, funds, userProfile, options = {}) {
+  const { filingStatus, state } = userProfile;
+  const maxIncome = options.maxIncome || BREAKEVEN_MAX_INCOME;
+  const taxYear = BreakevenTables.resolveTaxYear(
+    userProfile.taxYear,
+    options.asOfDate,
+  );
+  const profile = { ...userProfile, taxYear: taxYear };
+  const { deduction } = engine.calculateTaxableIncome(
+    0,
+    filingStatus,
+    taxYear,
+    profile.deductionType,
+    profile.itemizedDeduction,
+  );
+  // Same default balance as the tax engine
+  const balance = profile.balance > 0 ? profile.balance : 10000;
+  const interest = Math.max(
+    0,
+    ...funds.map(
+      (fund) => (balance * (fund.grossYield - fund.expenseRatio)) / 100,
+    ),
+  );
+
+  const points = getBreakevenSamplePoints(
+    state,
+    filingStatus,
+    taxYear,
+    deduction,
+    interest,
+    maxIncome,
+  );
+  const yieldsAt = (taxableIncome, subset = funds) =>
+    getYieldsBySymbol(
+      engine,
+      subset,
+      { ...profile, income: taxableIncome + deduction },
+      options,
+    );
+  const samples = points.map((income) => yieldsAt(income));
+
+  const crossovers = [];
+  funds.forEach((fundA, i) => {
+    funds.slice(i + 1).forEach((fundB) => {
+      const lead = (yields) =>
+        compareYields(yields[fundA.symbol], yields[fundB.symbol]);
+
+      let lastIndex = -1;
+      let lastLead = 0;
+      samples.forEach((yields, index) => {
+        const current = lead(yields);
+        if (current === 0) return;
+
+        if (lastLead !== 0 && current !== lastLead) {
+          let low = points[lastIndex];
+          let high = points[index];
+          while (high - low > BREAKEVEN_PRECISION) {
+            const mid = Math.floor((low + high) / 2);
+            if (lead(yieldsAt(mid, [fundA, fundB])) === lastLead) {
+              low = mid;
+            } else {
+              high = mid;
+            }
+          }
+          const [below, above] = lastLead > 0 ? [fundA, fundB] : [fundB, fundA];
+          crossovers.push({
+            filingStatus: filingStatus,
+            state: state,
+            taxableIncome: high,
+            grossIncome: high + deduction,
+            below: { symbol: below.symbol, fundName: below.fundName },
+            above: { symbol: above.symbol, fundName: above.fundName },
+          });
+        }
+        lastIndex = index;
+        lastLead = current;
+      });
+    });
+  });
+
+  return crossovers.sort((a, b) => a.taxableIncome - b.taxableIncome);
+}
+
+/**
+ * Find break-even taxable incomes for every fund pair across filing
+ * statuses and states
+ * @param {Object} engine - Tax engine with calculateAllFunds and calculateTaxableIncome
+ * @param {Array<Object>} funds - Funds to compare
+ * @param {Object} userProfile - Base profile; income, filingStatus and state are varied
+ * @param {Object} options - {asOfDate, usGovernmentObligations, maxIncome, filingStatuses, states}
+ * @returns {Object} {taxYear, maxIncome, filingStatuses, states, crossovers}
+ */
+function findCrossovers(engine, funds, userProfile, options = {}) {
+  const taxYear = BreakevenTables.resolveTaxYear(
+    userProfile.taxYear,
+    options.asOfDate,
+  );
+  const filingStatuses = options.filingStatuses || FILING_STATUSES;
+  const states =
+    options.states ||
+    Object.keys(BreakevenTables.getTaxYearTables(taxYear).state).sort();
+
+  let crossovers = [];
+  filingStatuses.forEach((filingStatus) => {
+    states.forEach((state) => {
+      crossovers = crossovers.concat(
+        findProfileCrossovers(
+          engine,
+          funds,
+          // Each state is analyzed as a full-year residence
+          {
+            ...userProfile,
+            taxYear: taxYear,
+            filingStatus,
+            state,
+            residencyPeriods: [],
+          },
+          options,
+        ),
+      );
+    });
+  });
+
+  return {
+    taxYear: taxYear,
+    maxIncome: options.maxIncome || BREAKEVEN_MAX_INCOME,
+    filingStatuses: filingStatuses,
+    states: states,
+    crossovers: crossovers,
+  };
+}
+
+// Export for Node.js (testing)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    FILING_STATUSES,
+    BREAKEVEN_MAX_INCOME,
+    getBreakevenSamplePoints,
+    findProfileCrossovers,
+    findCrossovers,
+  };
+}
+
+// Export for browser
+if (typeof window !== "undefined") {
+  window.Breakeven = {
+    FILING_STATUSES,
+    BREAKEVEN_MAX_INCOME,
+    getBreakevenSamplePoints,
+    findProfileCrossovers,
+    findCrossovers,
+  };
+}
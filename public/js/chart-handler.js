@@ -15,10 +15,18 @@ const ChartHandler = (() => {
       border: "#28a745",
       background: "rgba(40, 167, 69, 0.1)",
     },
+    "Government - Partially state tax-free": {
+      border: "#6f42c1",
+      background: "rgba(111, 66, 193, 0.1)",
+    },
     "Municipal - Federal tax-free": {
       border: "#ffc107",
       background: "rgba(255, 193, 7, 0.1)",
     },
+    "AMT-Free Municipal - Federal & AMT tax-free": {
+      border: "#fd7e14",
+      background: "rgba(253, 126, 20, 0.1)",
+    },
     "State Municipal - Both tax-free (residents only)": {
       border: "#17a2b8",
       background: "rgba(23, 162, 184, 0.1)",
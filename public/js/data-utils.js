@@ -106,13 +106,51 @@ function parsePercent(val) {
   return isNaN(num) ? 0 : num;
 }
 
+// States whose single-state municipal money funds are exempt from that
+// state's income tax for its residents, keyed by the name used in fund names
+const MUNICIPAL_FUND_STATES = {
+  california: "CA",
+  "new york": "NY",
+  "new jersey": "NJ",
+  massachusetts: "MA",
+  pennsylvania: "PA",
+  connecticut: "CT",
+  michigan: "MI",
+  ohio: "OH",
+};
+
+/**
+ * Find the issuing state of a single-state municipal fund from its name
+ * @param {string} fundName - Fund name (e.g., "Schwab California Municipal Money Fund")
+ * @returns {string|null} Two-letter state code, or null for national funds
+ */
+function getIssuingState(fundName) {
+  const name = (fundName || "").toLowerCase();
+  const match = Object.keys(MUNICIPAL_FUND_STATES).find((state) =>
+    name.includes(state),
+  );
+  return match ? MUNICIPAL_FUND_STATES[match] : null;
+}
+
+/**
+ * Check whether a fund name marks an AMT-free municipal fund
+ * (e.g., "Schwab AMT Tax-Free Money Fund")
+ * @param {string} fundName - Fund name (any case)
+ * @returns {boolean} True if the fund avoids private activity bonds
+ */
+function isAmtFreeFund(fundName) {
+  return /\bamt\b/i.test(fundName || "");
+}
+
 /**
  * Categorize a fund based on CSV Category column or fund name
  * @param {Object} row - CSV row data
- * @returns {string} Category key: taxable, treasury, municipal, state-municipal, sweep, or etf
+ * @returns {string} Category key: taxable, treasury, municipal, municipal-amt-free,
+ *   state-municipal, sweep, or etf
  */
 function categorizeFund(row) {
   const csvCategory = (row["Category"] || "").toLowerCase();
+  const name = (row["Fund Name"] || row["FundName"] || "").toLowerCase();
 
   // Check for sweep and ETF categories first (exact matches)
   if (csvCategory.includes("sweep")) return "sweep";
@@ -120,24 +158,29 @@ function categorizeFund(row) {
     return "etf";
 
   if (csvCategory.includes("treasury")) return "treasury";
-  if (csvCategory.includes("tax-exempt")) return "municipal";
+  if (csvCategory.includes("tax-exempt")) {
+    if (getIssuingState(name)) return "state-municipal";
+    return isAmtFreeFund(name) ? "municipal-amt-free" : "municipal";
+  }
   if (
     csvCategory.includes("state-specific") ||
     csvCategory.includes("state municipal")
   )
     return "state-municipal";
+  // Schwab lists its Treasury funds under "Taxable Money Funds"; keep them
+  // taxable, since repo-heavy "Treasury Obligations" funds are only partly
+  // exempt. The U.S. obligations data sets the exempt share when known.
   if (csvCategory.includes("taxable")) return "taxable";
 
   // Fallback to fund name analysis
-  const name = (row["Fund Name"] || row["FundName"] || "").toLowerCase();
   if (name.includes("etf")) return "etf";
   if (name.includes("sweep")) return "sweep";
   if (name.includes("treasury")) return "treasury";
   if (name.includes("tax-exempt") || name.includes("municipal")) {
-    if (name.includes("california") || name.includes("new york")) {
+    if (getIssuingState(name)) {
       return "state-municipal";
     }
-    return "municipal";
+    return isAmtFreeFund(name) ? "municipal-amt-free" : "municipal";
   }
 
   return "taxable";
@@ -154,26 +197,38 @@ function getFundCategory(fundName, csvCategory) {
   const name = (fundName || "").toLowerCase();
   const category = (csvCategory || "").toLowerCase();
 
-  // State-specific municipal funds (CA, NY) - both federal and state tax-free for residents
-  if (name.includes("california") || name.includes("new york")) {
+  // State-specific municipal funds (CA, NY, ...) - both federal and state tax-free for residents
+  if (getIssuingState(name)) {
     return "State Municipal - Both tax-free (residents only)";
   }
 
+  // AMT-free municipal funds - no private activity bonds, so also AMT-free
+  if (category.includes("tax-exempt") && isAmtFreeFund(name)) {
+    return "AMT-Free Municipal - Federal & AMT tax-free";
+  }
+
   // Tax-Exempt/Municipal funds - federal tax-free
   if (category.includes("tax-exempt") || name.includes("municipal")) {
     return "Municipal - Federal tax-free";
   }
 
-  // Treasury funds - U.S. Treasury or Treasury Obligations
-  // These invest exclusively in US Treasuries and are state tax-free
-  if (name.includes("u.s. treasury") || name.includes("treasury obligations")) {
+  // Treasury funds - U.S. Treasury, Treasury Obligations or Treasury Only
+  // Only funds in a Treasury category are treated as fully state tax-free;
+  // Treasury-named funds listed as taxable may hold repos, so fall through
+  if (name.includes("treasury") && !category.includes("taxable")) {
     return "Treasury - State tax-free";
   }
 
-  // Government funds (including sweep and ETF that are government-based)
-  // These invest in repos, agency debt, etc. - fully taxable
-  if (name.includes("government")) {
-    return "Taxable - Subject to all taxes";
+  // Government funds (including sweep and ETF that are government-based,
+  // "Federal" funds such as Vanguard's and Treasury funds listed as taxable)
+  // Income from direct U.S. obligations is state tax-free; repos and agency
+  // debt are not, so only part of the dividend is exempt
+  if (
+    name.includes("government") ||
+    name.includes("federal") ||
+    name.includes("treasury")
+  ) {
+    return "Government - Partially state tax-free";
   }
 
   // Prime funds - fully taxable
@@ -199,6 +254,7 @@ function transformRowToFund(row) {
     category: categorizeFund(row),
     csvCategory: csvCategory,
     fundCategory: getFundCategory(fundName, csvCategory),
+    issuingState: getIssuingState(fundName),
     grossYield: parsePercent(
       getField(row, ["7-Day Yield (with waivers)", "7DayYieldWithWaivers"]),
     ),
@@ -215,7 +271,7 @@ function transformRowToFund(row) {
     ]),
     netYield: null,
     taxEquivalentYield: null,
-    annualReturn: null,
+    afterTaxIncome: null,
   };
 }
 
@@ -335,6 +391,8 @@ if (typeof module !== "undefined" && module.exports) {
     cleanValue,
     getField,
     parsePercent,
+    getIssuingState,
+    isAmtFreeFund,
     categorizeFund,
     getFundCategory,
     transformRowToFund,
@@ -355,6 +413,8 @@ if (typeof window !== "undefined") {
     cleanValue,
     getField,
     parsePercent,
+    getIssuingState,
+    isAmtFreeFund,
     categorizeFund,
     getFundCategory,
     transformRowToFund,
@@ -0,0 +1,149 @@
+/**
+ * Sensitivity Heatmap Module
+ * Finds the best fund for every income on a grid, crossed with every state
+ * and filing status, and its tax-equivalent yield margin over the runner-up
+ * Works in both Node.js and browser environments; the tax engine
+ * (TaxCalculator from tax-calculator.js) is passed in by the caller
+ */
+
+const HeatmapTables =
+  typeof window !== "undefined" && window.TaxTables
+    ? window.TaxTables
+    : require("./tax-tables");
+
+const HEATMAP_FILING_STATUSES = ["single", "married", "head"];
+
+// Default income grid: $25k steps up to $1M of gross income
+const HEATMAP_INCOME_STEP = 25000;
+const HEATMAP_MAX_INCOME = 1000000;
+
+/**
+ * Build the income axis of the heatmap
+ * @param {number} step - Spacing between incomes
+ * @param {number} maxIncome - Highest income on the grid
+ * @returns {Array<number>} Incomes from step to maxIncome
+ */
+function buildIncomeGrid(
+  step = HEATMAP_INCOME_STEP,
+  maxIncome = HEATMAP_MAX_INCOME,
+) {
+  const incomes = [];
+  for (let income = step; income <= maxIncome; income += step) {
+    incomes.push(income);
+  }
+  return incomes;
+}
+
+/**
+ * Round a yield to strip floating point noise from the payload
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundYield(value) {
+  return Number(value.toFixed(4));
+}
+
+/**
+ * Rank the funds for one profile and describe the winner
+ * @param {Object} engine - Tax engine with calculateAllFunds
+ * @param {Array<Object>} funds - Funds to compare
+ * @param {Object} profile - Complete user profile
+ * @param {Object} options - Passed through to calculateAllFunds
+ * @returns {Object|null} {symbol, taxEquivalentYield, runnerUp, margin}, or null with no funds
+ */
+function getHeatmapCell(engine, funds, profile, options = {}) {
+  const [best, second] = engine.calculateAllFunds(funds, profile, options);
+  if (!best) return null;
+
+  return {
+    symbol: best.symbol,
+    taxEquivalentYield: roundYield(best.taxEquivalentYield),
+    runnerUp: second ? second.symbol : null,
+    margin: second
+      ? roundYield(best.taxEquivalentYield - second.taxEquivalentYield)
+      : 0,
+  };
+}
+
+/**
+ * Build the best-fund grid across incomes, states and filing statuses
+ * @param {Object} engine - Tax engine with calculateAllFunds
+ * @param {Array<Object>} funds - Funds to compare
+ * @param {Object} userProfile - Base profile; income, filingStatus and state are varied
+ * @param {Object} options - {asOfDate, usGovernmentObligations, incomeStep, maxIncome, filingStatuses, states}
+ * @returns {Object} {taxYear, incomes, filingStatuses, states, funds, cells}
+ *   where cells[filingStatus][state][i] is the cell for incomes[i]
+ */
+function buildHeatmap(engine, funds, userProfile, options = {}) {
+  const taxYear = HeatmapTables.resolveTaxYear(
+    userProfile.taxYear,
+    options.asOfDate,
+  );
+  const incomes = buildIncomeGrid(options.incomeStep, options.maxIncome);
+  const filingStatuses = options.filingStatuses || HEATMAP_FILING_STATUSES;
+  const states =
+    options.states ||
+    Object.keys(HeatmapTables.getTaxYearTables(taxYear).state).sort();
+
+  const cells = {};
+  const winners = new Set();
+  filingStatuses.forEach((filingStatus) => {
+    cells[filingStatus] = {};
+    states.forEach((state) => {
+      cells[filingStatus][state] = incomes.map((income) => {
+        const cell = getHeatmapCell(
+          engine,
+          funds,
+          // Each state is mapped as a full-year residence
+          {
+            ...userProfile,
+            taxYear,
+            income,
+            filingStatus,
+            state,
+            residencyPeriods: [],
+          },
+          options,
+        );
+        if (cell) winners.add(cell.symbol);
+        return cell;
+      });
+    });
+  });
+
+  return {
+    taxYear: taxYear,
+    incomes: incomes,
+    filingStatuses: filingStatuses,
+    states: states,
+    // Legend: every fund that wins at least one cell
+    funds: funds
+      .filter((fund) => winners.has(fund.symbol))
+      .map((fund) => ({ symbol: fund.symbol, fundName: fund.fundName })),
+    cells: cells,
+  };
+}
+
+// Export for Node.js (testing)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    HEATMAP_FILING_STATUSES,
+    HEATMAP_INCOME_STEP,
+    HEATMAP_MAX_INCOME,
+    buildIncomeGrid,
+    getHeatmapCell,
+    buildHeatmap,
+  };
+}
+
+// Export for browser
+if (typeof window !== "undefined") {
+  window.Heatmap = {
+    HEATMAP_FILING_STATUSES,
+    HEATMAP_INCOME_STEP,
+    HEATMAP_MAX_INCOME,
+    buildIncomeGrid,
+    getHeatmapCell,
+    buildHeatmap,
+  };
+}
@@ -0,0 +1,257 @@
+/**
+ * Scenarios Module
+ * Named tax profiles compared side by side, kept in the page URL so a
+ * comparison can be shared
+ * Works in both Node.js and browser environments
+ */
+
+const ScenarioTables =
+  typeof window !== "undefined" && window.TaxTables
+    ? window.TaxTables
+    : require("./tax-tables");
+
+const ScenarioCalculator =
+  typeof window !== "undefined" && window.TaxCalculator
+    ? window.TaxCalculator
+    : require("./tax-calculator");
+
+const MAX_SCENARIOS = 4;
+
+// Longest scenario name kept
+const MAX_SCENARIO_NAME_LENGTH = 40;
+
+// URL query parameter holding the scenarios
+const SCENARIOS_PARAM = "scenarios";
+
+// Profile used when the page opens, and the fallback for missing fields
+const DEFAULT_PROFILE = {
+  income: 200000,
+  filingStatus: "single",
+  state: "MO",
+  taxYear: "auto",
+  amtExposure: false,
+  balance: 10000,
+  deductionType: "standard",
+  itemizedDeduction: 0,
+  saltPaid: 0,
+  locality: null,
+  accountType: "taxable",
+  residencyPeriods: [],
+};
+
+const SCENARIO_FILING_STATUSES = ["single", "married", "head"];
+
+/**
+ * Read a non-negative number, falling back when missing or invalid
+ * @param {*} value - Raw value
+ * @param {number} fallback - Value used when invalid
+ * @returns {number} Parsed number
+ */
+function toAmount(value, fallback) {
+  const num = parseFloat(value);
+  return isNaN(num) || num < 0 ? fallback : num;
+}
+
+/**
+ * Check for an own key, so URL input like "constructor" is not mistaken
+ * for a table entry
+ * @param {Object} table - Lookup table
+ * @param {*} key - Key to test
+ * @returns {boolean} True if the table has the key
+ */
+function hasEntry(table, key) {
+  return Object.prototype.hasOwnProperty.call(table || {}, key);
+}
+
+/**
+ * Read a YYYY-MM-DD date, or null when missing or malformed
+ * @param {*} value - Raw value
+ * @returns {string|null} Date string
+ */
+function toDate(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? value
+    : null;
+}
+
+/**
+ * Clean up a profile from an untrusted source (URL, form)
+ * Unknown or invalid fields fall back to DEFAULT_PROFILE.
+ * @param {Object} raw - Raw profile
+ * @returns {Object} Complete profile
+ */
+function normalizeProfile(raw = {}) {
+  const knownStates = ScenarioTables.getTaxYearTables(
+    ScenarioTables.TAX_YEARS[ScenarioTables.TAX_YEARS.length - 1],
+  ).state;
+  const state = hasEntry(knownStates, raw.state)
+    ? raw.state
+    : DEFAULT_PROFILE.state;
+  const taxYear = ScenarioTables.TAX_YEARS.includes(Number(raw.taxYear))
+    ? String(raw.taxYear)
+    : "auto";
+
+  return {
+    income: toAmount(raw.income, DEFAULT_PROFILE.income),
+    filingStatus: SCENARIO_FILING_STATUSES.includes(raw.filingStatus)
+      ? raw.filingStatus
+      : DEFAULT_PROFILE.filingStatus,
+    state: state,
+    taxYear: taxYear,
+    amtExposure: raw.amtExposure === true,
+    balance: toAmount(raw.balance, DEFAULT_PROFILE.balance),
+    deductionType: raw.deductionType === "itemized" ? "itemized" : "standard",
+    itemizedDeduction: toAmount(raw.itemizedDeduction, 0),
+    saltPaid: toAmount(raw.saltPaid, 0),
+    locality: hasEntry(ScenarioTables.LOCAL_TAX_RATES[state], raw.locality)
+      ? raw.locality
+      : null,
+    accountType: hasEntry(ScenarioCalculator.ACCOUNT_TYPES, raw.accountType)
+      ? raw.accountType
+      : DEFAULT_PROFILE.accountType,
+    residencyPeriods: normalizeResidencyPeriods(
+      raw.residencyPeriods,
+      knownStates,
+    ),
+  };
+}
+
+/**
+ * Clean up part-year residency periods
+ * Periods in unknown states are dropped. Overlapping periods can't be
+ * split across the year, so they leave a full year in the profile's state.
+ * @param {*} raw - Raw periods
+ * @param {Object} knownStates - State tables keyed by abbreviation
+ * @returns {Array<Object>} [{state, startDate, endDate}]
+ */
+function normalizeResidencyPeriods(raw, knownStates) {
+  const periods = (Array.isArray(raw) ? raw : [])
+    .filter((period) => period && hasEntry(knownStates, period.state))
+    .map((period) => ({
+      state: period.state,
+      startDate: toDate(period.startDate),
+      endDate: toDate(period.endDate),
+    }));
+  const overlaps = ScenarioTables.TAX_YEARS.some((year) =>
+    ScenarioTables.findResidencyOverlap(periods, year),
+  );
+  return overlaps ? [] : periods;
+}
+
+/**
+ * Clean up a scenario, naming it by position when unnamed
+ * @param {Object} raw - {name, profile}
+ * @param {number} index - Position in the scenario list
+ * @returns {Object} {name, profile}
+ */
+function normalizeScenario(raw = {}, index = 0) {
+  const name = String(raw.name || "")
+    .trim()
+    .slice(0, MAX_SCENARIO_NAME_LENGTH);
+  return {
+    name: name || `Scenario ${index + 1}`,
+    profile: normalizeProfile(raw.profile),
+  };
+}
+
+/**
+ * Serialize scenarios for the URL
+ * Fields equal to DEFAULT_PROFILE are left out to keep links short.
+ * @param {Array<Object>} scenarios - Scenarios to share
+ * @returns {string} JSON string ("" when there are none)
+ */
+function encodeScenarios(scenarios) {
+  if (!scenarios.length) return "";
+
+  return JSON.stringify(
+    scenarios.slice(0, MAX_SCENARIOS).map((scenario) => {
+      const profile = {};
+      Object.keys(DEFAULT_PROFILE).forEach((key) => {
+        // Compared as JSON so an empty residency list counts as a default
+        if (
+          JSON.stringify(scenario.profile[key]) !==
+          JSON.stringify(DEFAULT_PROFILE[key])
+        ) {
+          profile[key] = scenario.profile[key];
+        }
+      });
+      return { name: scenario.name, profile: profile };
+    }),
+  );
+}
+
+/**
+ * Parse scenarios from the URL
+ * @param {string|null} value - Value of the scenarios query parameter
+ * @returns {Array<Object>} Up to MAX_SCENARIOS scenarios ([] if unreadable)
+ */
+function decodeScenarios(value) {
+  if (!value) return [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    return [];
+  }
+  if (!Array.isArray(parsed)) return [];
+
+  return parsed
+    .filter((raw) => raw && typeof raw === "object")
+    .slice(0, MAX_SCENARIOS)
+    .map(normalizeScenario);
+}
+
+/**
+ * Summarize how the top fund and after-tax income change across scenarios
+ * Each scenario is compared against the first one.
+ * @param {Array<Object>} scenarioResults - [{name, results}] with results from calculateAllFunds
+ * @returns {Array<Object>} One row per scenario
+ */
+function compareScenarios(scenarioResults) {
+  const baseline = scenarioResults[0] && scenarioResults[0].results[0];
+
+  return scenarioResults.map(({ name, results }) => {
+    const top = results[0];
+    if (!top) return { name: name, top: null };
+
+    return {
+      name: name,
+      top: { symbol: top.symbol, fundName: top.fundName },
+      taxEquivalentYield: top.taxEquivalentYield,
+      afterTaxIncome: top.afterTaxIncome,
+      afterTaxIncomeChange: baseline
+        ? top.afterTaxIncome - baseline.afterTaxIncome
+        : 0,
+      topFundChanged: baseline ? top.symbol !== baseline.symbol : false,
+    };
+  });
+}
+
+// Export for Node.js (testing)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MAX_SCENARIOS,
+    SCENARIOS_PARAM,
+    DEFAULT_PROFILE,
+    normalizeProfile,
+    normalizeScenario,
+    encodeScenarios,
+    decodeScenarios,
+    compareScenarios,
+  };
+}
+
+// Export for browser
+if (typeof window !== "undefined") {
+  window.Scenarios = {
+    MAX_SCENARIOS,
+    SCENARIOS_PARAM,
+    DEFAULT_PROFILE,
+    normalizeProfile,
+    normalizeScenario,
+    encodeScenarios,
+    decodeScenarios,
+    compareScenarios,
+  };
+}
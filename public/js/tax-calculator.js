@@ -1,104 +1,171 @@
 /**
  * Tax Calculator Module
  * Calculates federal and state taxes, and tax-equivalent yields
+ * Works in both Node.js and browser environments: the server and the page
+ * load this same file, so both give the same answers
  */
 
+const CalculatorTables =
+  typeof window !== "undefined" && window.TaxTables
+    ? window.TaxTables
+    : require("./tax-tables");
+
 const TaxCalculator = (() => {
-  // 2024/2025 Federal Tax Brackets
-  const TAX_BRACKETS_2024 = {
-    single: [
-      { min: 0, max: 11600, rate: 0.1 },
-      { min: 11600, max: 47150, rate: 0.12 },
-      { min: 47150, max: 100525, rate: 0.22 },
-      { min: 100525, max: 191950, rate: 0.24 },
-      { min: 191950, max: 243725, rate: 0.32 },
-      { min: 243725, max: 609350, rate: 0.35 },
-      { min: 609350, max: Infinity, rate: 0.37 },
-    ],
-    married: [
-      { min: 0, max: 23200, rate: 0.1 },
-      { min: 23200, max: 94300, rate: 0.12 },
-      { min: 94300, max: 201050, rate: 0.22 },
-      { min: 201050, max: 383900, rate: 0.24 },
-      { min: 383900, max: 487450, rate: 0.32 },
-      { min: 487450, max: 731200, rate: 0.35 },
-      { min: 731200, max: Infinity, rate: 0.37 },
-    ],
-    head: [
-      { min: 0, max: 16550, rate: 0.1 },
-      { min: 16550, max: 63100, rate: 0.12 },
-      { min: 63100, max: 100500, rate: 0.22 },
-      { min: 100500, max: 191950, rate: 0.24 },
-      { min: 191950, max: 243700, rate: 0.32 },
-      { min: 243700, max: 609350, rate: 0.35 },
-      { min: 609350, max: Infinity, rate: 0.37 },
-    ],
-  };
+  // Federal/state brackets and standard deductions by tax year (tax-tables.js)
+  const {
+    TAX_YEARS,
+    DEFAULT_PRIVATE_ACTIVITY_BOND_SHARE,
+    resolveTaxYear,
+    getTaxYearTables,
+    getUsObligationsPct,
+    getUsObligationsExemptShare,
+    getSaltCap,
+    getTableEntry,
+    getLocality,
+    findResidencyOverlap,
+    getResidencyAllocation,
+  } = CalculatorTables;
+
+  // Per-fund, per-year share of income from U.S. government obligations.
+  // Node reads the bundled file; the page fetches it and passes it in.
+  const BUNDLED_US_OBLIGATIONS =
+    typeof window === "undefined"
+      ? require("../us-government-obligations.json").funds
+      : null;
 
-  // State Tax Rates (top marginal rates for simplicity)
-  const STATE_TAX_RATES = {
-    AL: 0.05, // Alabama
-    CA: 0.133, // California
-    CO: 0.044, // Colorado (flat)
-    CT: 0.069, // Connecticut
-    FL: 0.0, // Florida (no state income tax)
-    GA: 0.058, // Georgia
-    IL: 0.049, // Illinois (flat)
-    MA: 0.05, // Massachusetts (flat)
-    MO: 0.047, // Missouri (2025 top marginal rate)
-    NY: 0.109, // New York
-    NC: 0.045, // North Carolina (flat)
-    OH: 0.039, // Ohio
-    PA: 0.031, // Pennsylvania (flat)
-    TX: 0.0, // Texas (no state income tax)
-    VA: 0.058, // Virginia
-    WA: 0.0, // Washington (no state income tax)
+  // Balance used when the profile does not give one
+  const DEFAULT_BALANCE = 10000;
+
+  // Horizons (years) for compounded balance projections
+  const PROJECTION_YEARS = [1, 5, 10];
+
+  // Account types; dividends in sheltered accounts are not taxed as they are
+  // paid, so fund choice there comes down to net yield
+  const ACCOUNT_TYPES = {
+    taxable: {
+      label: "Taxable brokerage",
+      sheltered: false,
+      description: "",
+    },
+    traditional: {
+      label: "Traditional IRA/401(k)",
+      sheltered: true,
+      description:
+        "dividends are not taxed until you withdraw, and withdrawals are ordinary income whichever fund paid them",
+    },
+    roth: {
+      label: "Roth IRA/401(k)",
+      sheltered: true,
+      description: "qualified withdrawals are tax-free",
+    },
+    hsa: {
+      label: "HSA",
+      sheltered: true,
+      description:
+        "dividends grow tax-free and withdrawals for medical expenses are untaxed",
+    },
   };
 
   // Fund category tax treatment
+  // localTaxable: city/county income tax applies (U.S. obligations and
+  // in-state municipal interest are locally exempt, like state tax)
   const TAX_TREATMENT = {
     taxable: {
       federalTaxable: true,
       stateTaxable: true,
+      localTaxable: true,
+      niitApplicable: true,
+      amtPreference: false,
       description: "Fully taxable at both federal and state levels",
     },
     treasury: {
       federalTaxable: true,
       stateTaxable: false,
+      localTaxable: false,
+      niitApplicable: true,
+      amtPreference: false,
       description: "Federal taxable, but state tax-free",
     },
     municipal: {
       federalTaxable: false,
       stateTaxable: true,
+      localTaxable: true,
+      niitApplicable: false,
+      amtPreference: true,
       description: "Federal tax-free, may be state taxable",
     },
+    "municipal-amt-free": {
+      federalTaxable: false,
+      stateTaxable: true,
+      localTaxable: true,
+      niitApplicable: false,
+      amtPreference: false,
+      description:
+        "Federal and AMT tax-free (no private activity bonds), may be state taxable",
+    },
     "state-municipal": {
       federalTaxable: false,
       stateTaxable: false,
+      localTaxable: false,
+      niitApplicable: false,
+      amtPreference: true,
       description: "Tax-free at both levels (for residents only)",
     },
     sweep: {
       federalTaxable: true,
       stateTaxable: true,
+      localTaxable: true,
+      niitApplicable: true,
+      amtPreference: false,
       description: "Fully taxable sweep fund for automatic cash management",
     },
     etf: {
       federalTaxable: true,
       stateTaxable: true,
+      localTaxable: true,
+      niitApplicable: true,
+      amtPreference: false,
       description: "Fully taxable ETF with exchange-traded flexibility",
     },
   };
 
   /**
-   * Calculate federal marginal tax rate
-   * @param {number} income - Annual taxable income
+   * Derive taxable income from gross income and the deduction taken
+   * @param {number} income - Annual gross income
    * @param {string} filingStatus - 'single', 'married', or 'head'
-   * @returns {number} Marginal tax rate (decimal)
+   * @param {number} taxYear - Tax year of the standard deduction table
+   * @param {string} deductionType - 'standard' or 'itemized'
+   * @param {number} itemizedDeduction - Itemized amount (used when itemizing)
+   * @returns {Object} {grossIncome, deductionType, deduction, taxableIncome}
    */
-  function calculateFederalMarginalRate(income, filingStatus) {
-    const brackets =
-      TAX_BRACKETS_2024[filingStatus] || TAX_BRACKETS_2024.single;
+  function calculateTaxableIncome(
+    income,
+    filingStatus,
+    taxYear,
+    deductionType = "standard",
+    itemizedDeduction = 0,
+  ) {
+    const standard = getTaxYearTables(taxYear).standardDeduction;
+    const itemized = deductionType === "itemized";
+    const deduction = itemized
+      ? Math.max(itemizedDeduction || 0, 0)
+      : getTableEntry(standard, filingStatus) || standard.single;
+
+    return {
+      grossIncome: income,
+      deductionType: itemized ? "itemized" : "standard",
+      deduction: deduction,
+      taxableIncome: Math.max(income - deduction, 0),
+    };
+  }
 
+  /**
+   * Find the rate of the bracket containing income
+   * @param {Array} brackets - Array of {min, max, rate} brackets
+   * @param {number} income - Annual taxable income
+   * @returns {number} Marginal tax rate (decimal)
+   */
+  function getMarginalRate(brackets, income) {
     for (let i = brackets.length - 1; i >= 0; i--) {
       if (income > brackets[i].min) {
         return brackets[i].rate;
@@ -109,12 +176,216 @@ const TaxCalculator = (() => {
   }
 
   /**
-   * Calculate state marginal tax rate
+   * Split an amount stacked on top of income across the brackets it spans
+   * @param {Array} brackets - Array of {min, max, rate} brackets
+   * @param {number} income - Other taxable income
+   * @param {number} amount - Amount stacked on top (e.g., fund interest)
+   * @returns {Array<Object>} {min, max, rate, amount, tax} per bracket spanned
+   */
+  function getBracketBreakdown(brackets, income, amount) {
+    const top = income + amount;
+    const breakdown = [];
+
+    brackets.forEach((bracket) => {
+      const taxed = Math.min(top, bracket.max) - Math.max(income, bracket.min);
+      if (taxed > 0) {
+        breakdown.push({
+          min: bracket.min,
+          max: bracket.max,
+          rate: bracket.rate,
+          amount: taxed,
+          tax: taxed * bracket.rate,
+        });
+      }
+    });
+
+    return breakdown;
+  }
+
+  /**
+   * Blended rate on an amount stacked on top of income
+   * @param {Array} brackets - Array of {min, max, rate} brackets
+   * @param {number} income - Other taxable income
+   * @param {number} amount - Amount stacked on top
+   * @returns {Object} {rate, brackets}; with no amount, the marginal rate
+   */
+  function getStackedRate(brackets, income, amount) {
+    if (!(amount > 0)) {
+      return { rate: getMarginalRate(brackets, income), brackets: [] };
+    }
+
+    const breakdown = getBracketBreakdown(brackets, income, amount);
+    const tax = breakdown.reduce((sum, b) => sum + b.tax, 0);
+    return { rate: tax / amount, brackets: breakdown };
+  }
+
+  /**
+   * Calculate federal marginal tax rate
+   * @param {number} income - Annual taxable income
+   * @param {string} filingStatus - 'single', 'married', or 'head'
+   * @param {number} taxYear - Tax year of the bracket table
+   * @returns {number} Marginal tax rate (decimal)
+   */
+  function calculateFederalMarginalRate(income, filingStatus, taxYear) {
+    const { federal } = getTaxYearTables(taxYear);
+    const brackets = getTableEntry(federal, filingStatus) || federal.single;
+    return getMarginalRate(brackets, income);
+  }
+
+  /**
+   * Calculate state marginal tax rate from the state's progressive brackets
    * @param {string} state - State abbreviation
-   * @returns {number} State tax rate (decimal)
+   * @param {number} income - Annual taxable income
+   * @param {string} filingStatus - 'single', 'married', or 'head'
+   * @param {number} taxYear - Tax year of the bracket table
+   * @returns {number} State marginal tax rate (decimal)
    */
-  function calculateStateMarginalRate(state) {
-    return STATE_TAX_RATES[state] || 0;
+  function calculateStateMarginalRate(state, income, filingStatus, taxYear) {
+    const schedule = getTableEntry(getTaxYearTables(taxYear).state, state);
+    if (!schedule) return 0;
+
+    const brackets = getTableEntry(schedule, filingStatus) || schedule.single;
+    return getMarginalRate(brackets, income);
+  }
+
+  /**
+   * Calculate the blended federal rate on interest stacked on top of income
+   * @param {number} income - Other taxable income
+   * @param {number} interest - Fund interest for the year
+   * @param {string} filingStatus - 'single', 'married', or 'head'
+   * @param {number} taxYear - Tax year of the bracket table
+   * @returns {Object} {rate, brackets} blended rate and per-bracket breakdown
+   */
+  function calculateFederalStackedRate(
+    income,
+    interest,
+    filingStatus,
+    taxYear,
+  ) {
+    const { federal } = getTaxYearTables(taxYear);
+    const brackets = getTableEntry(federal, filingStatus) || federal.single;
+    return getStackedRate(brackets, income, interest);
+  }
+
+  /**
+   * Calculate the blended state rate on interest stacked on top of income
+   * @param {string} state - State abbreviation
+   * @param {number} income - Other taxable income
+   * @param {number} interest - Fund interest for the year
+   * @param {string} filingStatus - 'single', 'married', or 'head'
+   * @param {number} taxYear - Tax year of the bracket table
+   * @returns {Object} {rate, brackets} blended rate and per-bracket breakdown
+   */
+  function calculateStateStackedRate(
+    state,
+    income,
+    interest,
+    filingStatus,
+    taxYear,
+  ) {
+    const schedule = getTableEntry(getTaxYearTables(taxYear).state, state);
+    if (!schedule) return { rate: 0, brackets: [] };
+
+    const brackets = getTableEntry(schedule, filingStatus) || schedule.single;
+    return getStackedRate(brackets, income, interest);
+  }
+
+  /**
+   * Calculate the local income tax rate on interest for the user's locality
+   * Yonkers levies a share of state tax; other localities use a flat rate or
+   * brackets. Localities whose tax does not reach interest come back at 0.
+   * @param {string} state - State abbreviation
+   * @param {string} locality - Locality code (e.g., "NYC"), optional
+   * @param {number} income - Other taxable income
+   * @param {number} interest - Fund interest for the year
+   * @param {string} filingStatus - 'single', 'married', or 'head'
+   * @param {number} stateRate - State rate on the interest
+   * @returns {Object} {rate, brackets} local rate and per-bracket breakdown
+   */
+  function calculateLocalRate(
+    state,
+    locality,
+    income,
+    interest,
+    filingStatus,
+    stateRate,
+  ) {
+    const entry = getLocality(state, locality);
+    if (!entry || entry.taxesInterest === false) {
+      return { rate: 0, brackets: [] };
+    }
+    if (entry.stateTaxShare) {
+      return { rate: stateRate * entry.stateTaxShare, brackets: [] };
+    }
+    if (entry.brackets) {
+      const brackets =
+        getTableEntry(entry.brackets, filingStatus) || entry.brackets.single;
+      return getStackedRate(brackets, income, interest);
+    }
+    return { rate: entry.rate, brackets: [] };
+  }
+
+  /**
+   * Calculate the Net Investment Income Tax rate on additional dividends
+   * @param {number} income - Annual income (stand-in for modified AGI)
+   * @param {string} filingStatus - 'single', 'married', or 'head'
+   * @param {number} taxYear - Tax year of the tables
+   * @returns {number} 0.038 above the filing-status threshold, else 0
+   */
+  function calculateNIITRate(income, filingStatus, taxYear) {
+    const { niit } = getTaxYearTables(taxYear);
+    const threshold =
+      getTableEntry(niit.thresholds, filingStatus) || niit.thresholds.single;
+    return income > threshold ? niit.rate : 0;
+  }
+
+  /**
+   * Calculate the AMT rate that applies to private activity bond dividends
+   * @param {number} income - Annual income (stand-in for AMT income)
+   * @param {number} taxYear - Tax year of the tables
+   * @returns {number} 0.26 or 0.28
+   */
+  function calculateAMTRate(income, taxYear) {
+    return getMarginalRate(getTaxYearTables(taxYear).amt, income);
+  }
+
+  /**
+   * Share of additional state tax that is deductible on the federal return
+   * Only itemizers deduct state tax, and only up to the SALT cap left after
+   * the state and local taxes they already pay.
+   * @param {number} stateTax - Additional state tax in dollars
+   * @param {number} income - Gross income (for the cap phase-out)
+   * @param {number} taxYear - Tax year of the cap
+   * @param {string} deductionType - 'standard' or 'itemized'
+   * @param {number} saltPaid - State and local taxes already paid this year
+   * @returns {Object} {share, cap, room, treatment} where treatment is
+   *   'standard', 'deductible', 'partial' or 'capped'
+   */
+  function calculateSaltDeductibleShare(
+    stateTax,
+    income,
+    taxYear,
+    deductionType,
+    saltPaid = 0,
+  ) {
+    if (deductionType !== "itemized") {
+      return { share: 0, cap: null, room: 0, treatment: "standard" };
+    }
+
+    const cap = getSaltCap(taxYear, income);
+    const room = Math.max(cap - (saltPaid || 0), 0);
+    if (room === 0) {
+      return { share: 0, cap: cap, room: 0, treatment: "capped" };
+    }
+    if (stateTax <= room) {
+      return { share: 1, cap: cap, room: room, treatment: "deductible" };
+    }
+    return {
+      share: room / stateTax,
+      cap: cap,
+      room: room,
+      treatment: "partial",
+    };
   }
 
   /**
@@ -122,9 +393,19 @@ const TaxCalculator = (() => {
    * @param {string} category - Fund category
    * @param {number} federalRate - Federal marginal rate
    * @param {number} stateRate - State marginal rate
+   * @param {number} niitRate - Net Investment Income Tax rate (0 if below threshold)
+   * @param {number} stateDeductibleShare - Share of state and local tax that lowers federal tax
+   * @param {number} localRate - Local (city/county) rate
    * @returns {number} Effective tax rate (decimal)
    */
-  function getEffectiveTaxRate(category, federalRate, stateRate) {
+  function getEffectiveTaxRate(
+    category,
+    federalRate,
+    stateRate,
+    niitRate = 0,
+    stateDeductibleShare = 1,
+    localRate = 0,
+  ) {
     const treatment = TAX_TREATMENT[category] || TAX_TREATMENT.taxable;
 
     let effectiveRate = 0;
@@ -133,90 +414,697 @@ const TaxCalculator = (() => {
       effectiveRate += federalRate;
     }
 
+    if (treatment.niitApplicable) {
+      // NIIT is not deductible against state tax, so it adds in full
+      effectiveRate += niitRate;
+    }
+
     if (treatment.stateTaxable) {
-      // Taxable funds: deduct state tax by federal rate
+      // Taxable funds: deductible state tax is offset at the federal rate
       // Treasury funds: no state tax
       // Municipal funds: state tax applies in full (no federal deduct)
       // State-municipal: no state tax
       const statePortion = treatment.federalTaxable
-        ? stateRate * (1 - federalRate) // taxable funds
+        ? stateRate * (1 - federalRate * stateDeductibleShare) // taxable funds
         : stateRate; // municipal (federal-free) still pay full state unless state-specific
       effectiveRate += statePortion;
     }
 
+    if (treatment.localTaxable) {
+      // Local tax is offset at the federal rate like state tax
+      effectiveRate += treatment.federalTaxable
+        ? localRate * (1 - federalRate * stateDeductibleShare)
+        : localRate;
+    }
+
     return effectiveRate;
   }
 
+  /**
+   * Project a balance with monthly dividends reinvested at a constant yield
+   * @param {number} balance - Starting balance in dollars
+   * @param {number} annualYield - Annual yield in percent (e.g., 3.18)
+   * @param {number} years - Number of years
+   * @returns {number} Projected balance
+   */
+  function projectBalance(balance, annualYield, years) {
+    const monthlyRate = annualYield / 100 / 12;
+    return balance * Math.pow(1 + monthlyRate, 12 * years);
+  }
+
+  /**
+   * Build the step-by-step audit trail of a result
+   * Each step is {id, label, formula, values, result, details, notes}: the
+   * formula in words, the same formula with the user's numbers substituted,
+   * the formatted result, bracket or residency lines, and notes on the
+   * exemptions applied.
+   * @param {Object} result - Result of calculateTaxEquivalentYield
+   * @param {Object} context - {filingStatus, state, interest,
+   *   taxableNiitRate, taxableSaltShare, rateTreatment, grossedUp}: figures
+   *   the result does not carry
+   * @returns {Array<Object>} Steps in calculation order
+   */
+  function buildExplanation(result, context) {
+    const { interest, rateTreatment } = context;
+    const pct = (rate) => formatPercent(rate * 100);
+    const periods = result.residencyAllocation;
+    const partYear = periods.length > 1;
+    const fundTreatment =
+      TAX_TREATMENT[result.category] || TAX_TREATMENT.taxable;
+    const steps = [];
+    const addStep = (step) => steps.push({ details: [], notes: [], ...step });
+
+    // Stacked rates: tax on the fund's interest across the brackets it spans
+    const bracketLines = (brackets) =>
+      brackets.map(
+        (b) =>
+          `${formatCurrency(b.amount)} at ${pct(b.rate)} (bracket from ${formatCurrency(b.min)}) = ${formatCurrency(b.tax)}`,
+      );
+    const stackedValues = (brackets, rate) =>
+      brackets.length
+        ? `${formatCurrency(brackets.reduce((sum, b) => sum + b.tax, 0))} ÷ ${formatCurrency(interest)}`
+        : `marginal rate ${pct(rate)} at ${formatCurrency(result.taxableIncome)}`;
+    const periodSum = (getRate) =>
+      periods
+        .map((period) => `${pct(period.share)} × ${pct(getRate(period))}`)
+        .join(" + ");
+
+    addStep({
+      id: "net-yield",
+      label: "Net Yield",
+      formula: "Net Yield = Gross Yield - Expense Ratio",
+      values: `${formatPercent(result.grossYield)} - ${formatPercent(result.expenseRatio)}`,
+      result: formatPercent(result.netYield),
+    });
+
+    addStep({
+      id: "taxable-income",
+      label: "Taxable Income",
+      formula: `Taxable Income = Gross Income - ${result.deductionType === "itemized" ? "Itemized" : "Standard"} Deduction`,
+      values: `${formatCurrency(result.grossIncome)} - ${formatCurrency(result.deduction)}`,
+      result: formatCurrency(result.taxableIncome),
+    });
+
+    addStep({
+      id: "federal-rate",
+      label: "Federal Income Tax",
+      formula: "Federal Rate = Federal Tax on the Fund's Interest ÷ Interest",
+      values: stackedValues(result.federalBrackets, result.federalRate),
+      result: pct(result.federalRate),
+      details: bracketLines(result.federalBrackets),
+      notes: fundTreatment.federalTaxable
+        ? []
+        : ["This fund's dividends are exempt from federal income tax."],
+    });
+
+    const { niit } = getTaxYearTables(result.taxYear);
+    const niitThreshold =
+      getTableEntry(niit.thresholds, context.filingStatus) ||
+      niit.thresholds.single;
+    addStep({
+      id: "niit",
+      label: "Net Investment Income Tax",
+      formula: `NIIT = ${pct(niit.rate)} once gross income exceeds the filing-status threshold`,
+      values: `${formatCurrency(result.grossIncome)} gross income vs. ${formatCurrency(niitThreshold)} threshold`,
+      result: pct(result.niitRate),
+      notes: fundTreatment.niitApplicable
+        ? []
+        : ["Municipal interest is exempt from the NIIT."],
+    });
+
+    const stateNotes = [];
+    if (result.category === "state-municipal") {
+      stateNotes.push(getResidencyNote(result, context.state));
+    } else if (!rateTreatment.stateTaxable) {
+      stateNotes.push(
+        "This fund's dividends are exempt from state income tax.",
+      );
+    }
+    addStep({
+      id: "state-rate",
+      label: `State Income Tax (${periods.map((period) => period.state).join(", ")})`,
+      formula: partYear
+        ? "State Rate = Σ Share of Year × State Rate in Each State"
+        : "State Rate = State Tax on the Fund's Interest ÷ Interest",
+      values: partYear
+        ? periodSum((period) => period.stateRate)
+        : stackedValues(result.stateBrackets, result.stateRate),
+      result: pct(result.stateRate),
+      details: partYear
+        ? periods.map(
+            (period) =>
+              `${period.state}, ${period.startDate} to ${period.endDate}: ${pct(period.share)} of the year, state rate ${pct(period.blendedStateRate)}, local rate ${pct(period.blendedLocalRate)}, effective rate ${pct(period.effectiveTaxRate)}`,
+          )
+        : bracketLines(result.stateBrackets),
+      notes: stateNotes,
+    });
+
+    if (result.usGovernmentObligationsPct !== null) {
+      addStep({
+        id: "us-obligations",
+        label: "U.S. Government Obligations",
+        formula: partYear
+          ? "Blended State Rate = Σ Share of Year × State Rate × (1 - Exempt Share)"
+          : "Blended State Rate = State Rate × (1 - Exempt Share)",
+        values: partYear
+          ? periodSum((period) => period.blendedStateRate)
+          : `${pct(result.stateRate)} × (1 - ${pct(result.usObligationsExemptShare)})`,
+        result: pct(result.blendedStateRate),
+        notes: [
+          result.usObligationsExemptShare > 0
+            ? `${formatPercent(result.usGovernmentObligationsPct, 1)} of income comes from U.S. obligations, which are exempt from state tax.`
+            : `${formatPercent(result.usGovernmentObligationsPct, 1)} of income comes from U.S. obligations, below the state's threshold, so all dividends are state taxable.`,
+        ],
+      });
+    }
+
+    if (result.localityName) {
+      const localNotes = [];
+      if (!result.localTaxesInterest) {
+        localNotes.push(
+          `${result.localityName} income tax does not apply to interest.`,
+        );
+      } else if (!rateTreatment.localTaxable) {
+        localNotes.push("This fund's interest is exempt from local tax.");
+      }
+      addStep({
+        id: "local-rate",
+        label: `Local Income Tax (${result.localityName})`,
+        formula: partYear
+          ? "Local Rate = Σ Share of Year × Local Rate in Each State"
+          : "Blended Local Rate = Local Rate × (1 - Exempt Share)",
+        values: partYear
+          ? periodSum((period) => period.blendedLocalRate)
+          : `${pct(result.localRate)} × (1 - ${pct(result.usObligationsExemptShare)})`,
+        result: pct(result.blendedLocalRate),
+        details: bracketLines(result.localBrackets),
+        notes: localNotes,
+      });
+    }
+
+    if (
+      !result.shelteredAccount &&
+      rateTreatment.federalTaxable &&
+      result.blendedStateRate + result.blendedLocalRate > 0
+    ) {
+      addStep({
+        id: "salt",
+        label: "State Tax Deduction",
+        formula: "Federal Offset = Federal Rate × Deductible Share",
+        values: `${pct(result.federalRate)} × ${pct(result.saltDeductibleShare)}`,
+        result: pct(result.federalRate * result.saltDeductibleShare),
+        notes: [
+          getSaltNote({
+            treatment: result.saltTreatment,
+            cap: result.saltCap,
+            room: result.saltCapRoom,
+            share: result.saltDeductibleShare,
+          }),
+        ],
+      });
+    }
+
+    if (result.amtRate > 0 || result.category === "municipal-amt-free") {
+      addStep({
+        id: "amt",
+        label: "Alternative Minimum Tax",
+        formula: "AMT Cost = AMT Rate × Private Activity Bond Share",
+        values: `${pct(result.amtRate)} × ${pct(result.privateActivityBondShare)}`,
+        result: pct(result.amtRate * result.privateActivityBondShare),
+        notes:
+          result.category === "municipal-amt-free"
+            ? ["This fund holds no private activity bonds."]
+            : [],
+      });
+    }
+
+    // The effective rate adds the layers that apply to this fund
+    const account = ACCOUNT_TYPES[result.accountType];
+    if (result.shelteredAccount) {
+      addStep({
+        id: "effective-rate",
+        label: "Effective Tax Rate",
+        formula: "Effective Rate = 0 in a sheltered account",
+        values: `In a ${account.label}, ${account.description}`,
+        result: pct(0),
+      });
+    } else if (partYear) {
+      addStep({
+        id: "effective-rate",
+        label: "Effective Tax Rate",
+        formula:
+          "Effective Rate = Σ Share of Year × Effective Rate in Each State",
+        values: periodSum((period) => period.effectiveTaxRate),
+        result: pct(result.effectiveTaxRate),
+      });
+    } else {
+      const terms = [];
+      const offset = (rate) =>
+        rateTreatment.federalTaxable
+          ? `${pct(rate)} × (1 - ${pct(result.federalRate)} × ${pct(result.saltDeductibleShare)})`
+          : pct(rate);
+      const offsetName = rateTreatment.federalTaxable
+        ? " × (1 - Federal × Deductible Share)"
+        : "";
+      if (rateTreatment.federalTaxable) {
+        terms.push(["Federal", pct(result.federalRate)]);
+      }
+      if (rateTreatment.niitApplicable) {
+        terms.push(["NIIT", pct(result.niitRate)]);
+      }
+      if (rateTreatment.stateTaxable) {
+        terms.push([`State${offsetName}`, offset(result.blendedStateRate)]);
+      }
+      if (rateTreatment.localTaxable && result.localityName) {
+        terms.push([`Local${offsetName}`, offset(result.blendedLocalRate)]);
+      }
+      if (result.amtRate > 0) {
+        terms.push([
+          "AMT Rate × Private Activity Bond Share",
+          `${pct(result.amtRate)} × ${pct(result.privateActivityBondShare)}`,
+        ]);
+      }
+      addStep({
+        id: "effective-rate",
+        label: "Effective Tax Rate",
+        formula: terms.length
+          ? `Effective Rate = ${terms.map((term) => term[0]).join(" + ")}`
+          : "Effective Rate = 0 (no tax applies)",
+        values: terms.length
+          ? terms.map((term) => term[1]).join(" + ")
+          : pct(0),
+        result: pct(result.effectiveTaxRate),
+      });
+    }
+
+    addStep({
+      id: "after-tax-yield",
+      label: "After-Tax Yield",
+      formula: "After-Tax Yield = Net Yield × (1 - Effective Rate)",
+      values: `${formatPercent(result.netYield)} × (1 - ${pct(result.effectiveTaxRate)})`,
+      result: formatPercent(result.afterTaxYield),
+    });
+
+    if (context.grossedUp) {
+      addStep({
+        id: "taxable-rate",
+        label: "Fully Taxable Fund Rate",
+        formula:
+          "Taxable Rate = Federal + NIIT + (State + Local) × (1 - Federal × Deductible Share)",
+        values: `${pct(result.federalRate)} + ${pct(context.taxableNiitRate)} + (${pct(result.stateRate)} + ${pct(result.localRate)}) × (1 - ${pct(result.federalRate)} × ${pct(context.taxableSaltShare)})`,
+        result: pct(result.taxableTaxRate),
+      });
+      addStep({
+        id: "tey",
+        label: "Tax-Equivalent Yield",
+        formula: "TEY = After-Tax Yield ÷ (1 - Taxable Rate)",
+        values: `${formatPercent(result.afterTaxYield)} ÷ (1 - ${pct(result.taxableTaxRate)})`,
+        result: formatPercent(result.taxEquivalentYield),
+      });
+    } else {
+      addStep({
+        id: "tey",
+        label: "Tax-Equivalent Yield",
+        formula: "TEY = Net Yield",
+        values: formatPercent(result.netYield),
+        result: formatPercent(result.taxEquivalentYield),
+        notes: [
+          result.shelteredAccount
+            ? `No tax is due on dividends in a ${account.label}, so funds are ranked on net yield.`
+            : "This is a fully taxable fund, so it has no tax advantage to equalize.",
+        ].concat(
+          result.taxExemptInShelteredAccount
+            ? [
+                "This fund's tax exemption buys nothing here, so a taxable fund with a higher yield is the better choice.",
+              ]
+            : [],
+        ),
+      });
+    }
+
+    return steps;
+  }
+
   /**
    * Calculate tax-equivalent yield for a fund
    * @param {Object} fund - Fund object with grossYield, expenseRatio, category
    * @param {Object} userProfile - User's tax profile
+   * @param {Object} options - {explain}: add the step-by-step explanation
    * @returns {Object} Calculated yields and tax info
    */
-  function calculateTaxEquivalentYield(fund, userProfile) {
+  function calculateTaxEquivalentYield(fund, userProfile, options = {}) {
     const { income, filingStatus, state } = userProfile;
-
-    // Calculate marginal rates
-    const federalRate = calculateFederalMarginalRate(income, filingStatus);
-    const stateRate = calculateStateMarginalRate(state);
+    const taxYear = resolveTaxYear(userProfile.taxYear);
 
     // Calculate net yield (after expense ratio)
     const netYield = fund.grossYield - fund.expenseRatio;
 
-    // Determine effective tax rate based on fund category
-    const effectiveTaxRate = getEffectiveTaxRate(
-      fund.category,
-      federalRate,
-      stateRate,
+    // The fund's interest on the balance is stacked on top of other income,
+    // so a large balance can be taxed across more than one bracket
+    const balance =
+      userProfile.balance > 0 ? userProfile.balance : DEFAULT_BALANCE;
+    const interest = Math.max(balance * (netYield / 100), 0);
+
+    // Brackets apply to taxable income; NIIT and AMT thresholds below are
+    // tested against gross income as a stand-in for MAGI and AMT income
+    const taxable = calculateTaxableIncome(
+      income,
+      filingStatus,
+      taxYear,
+      userProfile.deductionType,
+      userProfile.itemizedDeduction,
+    );
+    const taxableIncome = taxable.taxableIncome;
+    const federal = calculateFederalStackedRate(
+      taxableIncome,
+      interest,
+      filingStatus,
+      taxYear,
+    );
+    const federalRate = federal.rate;
+
+    // Part-year residents split state and local tax across the states they
+    // lived in, weighted by the share of the year spent in each
+    const periods = getResidencyAllocation(
+      userProfile.residencyPeriods,
+      taxYear,
+      state,
+    );
+
+    // Single-state municipal funds are state tax-free only for residents of
+    // the issuing state; anyone else is taxed as on a national muni fund
+    const isStateMunicipal = fund.category === "state-municipal";
+
+    // Federal treatment does not depend on residency; municipal interest is
+    // exempt from the Net Investment Income Tax
+    const treatment =
+      TAX_TREATMENT[isStateMunicipal ? "municipal" : fund.category] ||
+      TAX_TREATMENT.taxable;
+    const userNiitRate = calculateNIITRate(income, filingStatus, taxYear);
+    const niitRate = treatment.niitApplicable ? userNiitRate : 0;
+
+    // Private activity bond dividends are taxed at the AMT rate for users
+    // subject to AMT; AMT-free funds hold none
+    const privateActivityBondShare = treatment.amtPreference
+      ? (fund.privateActivityBondShare ?? DEFAULT_PRIVATE_ACTIVITY_BOND_SHARE)
+      : 0;
+    const amtRate =
+      userProfile.amtExposure && privateActivityBondShare > 0
+        ? calculateAMTRate(income, taxYear)
+        : 0;
+
+    // Government and Treasury funds with U.S. obligations data: that share
+    // of income is exempt from state tax, subject to the state's threshold
+    const usObligationsPct = fund.usGovernmentObligationsPct ?? null;
+    const hasUsObligationsData =
+      treatment.federalTaxable && usObligationsPct !== null;
+
+    const allocation = periods.map((period) => {
+      const stateStacked = calculateStateStackedRate(
+        period.state,
+        taxableIncome,
+        interest,
+        filingStatus,
+        taxYear,
+      );
+      const residentExemption =
+        isStateMunicipal && fund.issuingState === period.state;
+      const taxCategory =
+        isStateMunicipal && !residentExemption ? "municipal" : fund.category;
+      const periodTreatment =
+        TAX_TREATMENT[taxCategory] || TAX_TREATMENT.taxable;
+      const usObligationsExemptShare = hasUsObligationsData
+        ? getUsObligationsExemptShare(period.state, usObligationsPct)
+        : 0;
+
+      // City/county tax applies only while living in the locality's state;
+      // U.S. obligations are exempt locally on the same terms as for the state
+      const local = calculateLocalRate(
+        period.state,
+        userProfile.locality,
+        taxableIncome,
+        interest,
+        filingStatus,
+        stateStacked.rate,
+      );
+
+      return {
+        ...period,
+        taxCategory: taxCategory,
+        residentExemption: residentExemption,
+        stateRate: stateStacked.rate,
+        stateBrackets: stateStacked.brackets,
+        usObligationsExemptShare: usObligationsExemptShare,
+        blendedStateRate: stateStacked.rate * (1 - usObligationsExemptShare),
+        localRate: local.rate,
+        localBrackets: local.brackets,
+        blendedLocalRate: local.rate * (1 - usObligationsExemptShare),
+        stateTaxable: hasUsObligationsData || periodTreatment.stateTaxable,
+        localTaxable: hasUsObligationsData || periodTreatment.localTaxable,
+      };
+    });
+
+    // Annual figures are the period figures weighted by share of the year
+    const weighted = (getValue) =>
+      allocation.reduce(
+        (sum, period) => sum + period.share * getValue(period),
+        0,
+      );
+    const stateRate = weighted((period) => period.stateRate);
+    const blendedStateRate = weighted((period) => period.blendedStateRate);
+    const usObligationsExemptShare = weighted(
+      (period) => period.usObligationsExemptShare,
+    );
+    const localRate = weighted((period) => period.localRate);
+    const blendedLocalRate = weighted((period) => period.blendedLocalRate);
+
+    // The period with the largest share supplies brackets and the headline
+    // category for display
+    const primary = allocation.reduce((best, period) =>
+      period.share > best.share ? period : best,
+    );
+    const taxCategory = primary.taxCategory;
+    const residentExemption = primary.residentExemption;
+    const localPeriod = allocation.find((period) =>
+      getLocality(period.state, userProfile.locality),
+    );
+    const localEntry = localPeriod
+      ? getLocality(localPeriod.state, userProfile.locality)
+      : null;
+
+    // State and local tax on the interest lowers federal tax only for
+    // itemizers with room left under the SALT cap
+    const salt = calculateSaltDeductibleShare(
+      interest *
+        weighted(
+          (period) =>
+            (period.stateTaxable ? period.blendedStateRate : 0) +
+            (period.localTaxable ? period.blendedLocalRate : 0),
+        ),
+      income,
+      taxYear,
+      userProfile.deductionType,
+      userProfile.saltPaid,
+    );
+    const taxableSalt = calculateSaltDeductibleShare(
+      interest * (stateRate + localRate),
+      income,
+      taxYear,
+      userProfile.deductionType,
+      userProfile.saltPaid,
+    );
+
+    // Sheltered accounts pay no tax on dividends, whatever the fund
+    const accountType = getTableEntry(ACCOUNT_TYPES, userProfile.accountType)
+      ? userProfile.accountType
+      : "taxable";
+    const sheltered = ACCOUNT_TYPES[accountType].sheltered;
+
+    // Determine effective tax rate based on fund category, including AMT
+    // on the private activity bond share, for each residency period
+    allocation.forEach((period) => {
+      period.effectiveTaxRate = sheltered
+        ? 0
+        : getEffectiveTaxRate(
+            hasUsObligationsData ? "taxable" : period.taxCategory,
+            federalRate,
+            period.blendedStateRate,
+            niitRate,
+            salt.share,
+            period.blendedLocalRate,
+          ) +
+          privateActivityBondShare * amtRate;
+    });
+    const effectiveTaxRate = weighted((period) => period.effectiveTaxRate);
+    const afterTaxYield = netYield * (1 - effectiveTaxRate);
+
+    // Rate a fully taxable fund would pay - the benchmark for TEY
+    const taxableTaxRate = weighted((period) =>
+      getEffectiveTaxRate(
+        "taxable",
+        federalRate,
+        period.stateRate,
+        userNiitRate,
+        taxableSalt.share,
+        period.localRate,
+      ),
     );
 
     // Calculate tax-equivalent yield
     // For taxable funds (including sweep and etf): TEY = Net Yield (no tax advantage)
-    // For tax-advantaged funds: TEY = Net Yield / (1 - Tax Rate)
+    // For tax-advantaged funds: TEY = After-Tax Yield / (1 - Taxable Rate)
     let taxEquivalentYield;
     const taxableCategories = ["taxable", "sweep", "etf"];
-    if (taxableCategories.includes(fund.category)) {
+    const grossedUp = !(
+      sheltered ||
+      (taxableCategories.includes(fund.category) &&
+        usObligationsExemptShare === 0)
+    );
+    if (!grossedUp) {
       // Taxable funds have no tax advantage, so TEY equals net yield
       taxEquivalentYield = netYield;
     } else {
-      // Tax-advantaged funds: calculate what taxable yield would need to be
+      // Tax-advantaged funds: the taxable yield that keeps the same after tax
       taxEquivalentYield =
-        effectiveTaxRate < 1 ? netYield / (1 - effectiveTaxRate) : netYield;
+        taxableTaxRate < 1
+          ? afterTaxYield / (1 - taxableTaxRate)
+          : afterTaxYield;
     }
 
-    // Calculate annual return on $10,000
-    const annualReturn = 10000 * (taxEquivalentYield / 100);
+    // Dollar figures on the user's balance at the current yield
+    const afterTaxIncome = balance * (afterTaxYield / 100);
+    const monthlyDividend = (balance * (netYield / 100)) / 12;
+    const projectedBalances = {};
+    PROJECTION_YEARS.forEach((years) => {
+      projectedBalances[years] = projectBalance(balance, afterTaxYield, years);
+    });
 
-    return {
+    const result = {
       fundName: fund.fundName,
       symbol: fund.symbol,
       category: fund.category,
+      taxCategory: taxCategory,
+      issuingState: fund.issuingState || null,
+      residentExemption: residentExemption,
       fundCategory: fund.fundCategory,
       grossYield: fund.grossYield,
       expenseRatio: fund.expenseRatio,
       netYield: netYield,
+      afterTaxYield: afterTaxYield,
       effectiveTaxRate: effectiveTaxRate,
+      taxableTaxRate: taxableTaxRate,
       taxEquivalentYield: taxEquivalentYield,
-      annualReturn: annualReturn,
+      balance: balance,
+      afterTaxIncome: afterTaxIncome,
+      monthlyDividend: monthlyDividend,
+      projectedBalances: projectedBalances,
+      grossIncome: income,
+      deductionType: taxable.deductionType,
+      deduction: taxable.deduction,
+      taxableIncome: taxableIncome,
       federalRate: federalRate,
+      federalBrackets: federal.brackets,
+      niitRate: niitRate,
+      federalTotalRate: federalRate + niitRate,
       stateRate: stateRate,
+      stateBrackets: primary.stateBrackets,
+      usGovernmentObligationsPct: usObligationsPct,
+      usObligationsExemptShare: usObligationsExemptShare,
+      blendedStateRate: blendedStateRate,
+      locality: localEntry ? userProfile.locality : null,
+      localityName: localEntry ? localEntry.name : null,
+      localTaxesInterest: localEntry
+        ? localEntry.taxesInterest !== false
+        : false,
+      localRate: localRate,
+      localBrackets: localPeriod ? localPeriod.localBrackets : [],
+      blendedLocalRate: blendedLocalRate,
+      residencyAllocation: allocation.map((period) => ({
+        state: period.state,
+        startDate: period.startDate,
+        endDate: period.endDate,
+        share: period.share,
+        taxCategory: period.taxCategory,
+        residentExemption: period.residentExemption,
+        stateRate: period.stateRate,
+        usObligationsExemptShare: period.usObligationsExemptShare,
+        blendedStateRate: period.blendedStateRate,
+        localRate: period.localRate,
+        blendedLocalRate: period.blendedLocalRate,
+        effectiveTaxRate: period.effectiveTaxRate,
+      })),
+      saltTreatment: salt.treatment,
+      saltCap: salt.cap,
+      saltCapRoom: salt.room,
+      saltDeductibleShare: salt.share,
+      amtRate: amtRate,
+      privateActivityBondShare: privateActivityBondShare,
+      accountType: accountType,
+      shelteredAccount: sheltered,
+      // Municipal funds give up yield for an exemption a sheltered account can't use
+      taxExemptInShelteredAccount: sheltered && !treatment.federalTaxable,
+      taxYear: taxYear,
     };
+
+    if (options.explain) {
+      result.explanation = buildExplanation(result, {
+        filingStatus: filingStatus,
+        state: state,
+        interest: interest,
+        taxableNiitRate: userNiitRate,
+        taxableSaltShare: taxableSalt.share,
+        rateTreatment:
+          TAX_TREATMENT[hasUsObligationsData ? "taxable" : taxCategory] ||
+          TAX_TREATMENT.taxable,
+        grossedUp: grossedUp,
+      });
+    }
+
+    return result;
   }
 
   /**
    * Calculate results for all funds
    * @param {Array} funds - Array of fund objects
-   * @param {Object} userProfile - User's tax profile
+   * @param {Object} userProfile - User's tax profile (taxYear optional)
+   * @param {Object} options - {asOfDate, usGovernmentObligations, explain}:
+   *   snapshot date used when the profile does not pin a tax year, the
+   *   "funds" table from us-government-obligations.json (the bundled file in
+   *   Node), and whether to add each result's step-by-step explanation
    * @returns {Array} Sorted array of calculated results
    */
-  function calculateAllFunds(funds, userProfile) {
+  function calculateAllFunds(funds, userProfile, options = {}) {
+    const profile = {
+      ...userProfile,
+      taxYear: resolveTaxYear(userProfile.taxYear, options.asOfDate),
+    };
     const results = funds.map((fund) =>
-      calculateTaxEquivalentYield(fund, userProfile),
+      calculateTaxEquivalentYield(
+        {
+          ...fund,
+          usGovernmentObligationsPct:
+            fund.usGovernmentObligationsPct ??
+            getUsObligationsPct(
+              options.usGovernmentObligations || BUNDLED_US_OBLIGATIONS,
+              fund.symbol,
+              profile.taxYear,
+            ),
+        },
+        profile,
+        { explain: options.explain },
+      ),
     );
 
     // Sort by tax-equivalent yield (descending)
+    // Taxable accounts rank on TEY; sheltered accounts on net yield, which is
+    // what their TEY reduces to
     results.sort((a, b) => b.taxEquivalentYield - a.taxEquivalentYield);
 
+    // After-tax dollars per year given up by holding each fund instead of the top one
+    results.forEach((result) => {
+      result.shortfallVsTop = results[0].afterTaxIncome - result.afterTaxIncome;
+    });
+
     return results;
   }
 
@@ -229,14 +1117,20 @@ const TaxCalculator = (() => {
   function getRecommendationExplanation(topFund, userProfile) {
     const { category, effectiveTaxRate, netYield, taxEquivalentYield } =
       topFund;
-    const treatment = TAX_TREATMENT[category];
+    const treatment = TAX_TREATMENT[topFund.taxCategory || category];
 
     const taxSavings = (
       ((taxEquivalentYield - netYield) / taxEquivalentYield) *
       100
     ).toFixed(1);
 
-    let explanation = `This ${category.replace("-", " ")} fund offers the best after-tax return for your situation. `;
+    // Inside a sheltered account only net yield matters
+    if (topFund.shelteredAccount) {
+      const account = ACCOUNT_TYPES[topFund.accountType];
+      return `This fund has the highest net yield (${netYield.toFixed(2)}%). In a ${account.label}, ${account.description}, so funds are ranked on net yield alone. Avoid municipal funds here: they pay less in exchange for a tax exemption the account cannot use.`;
+    }
+
+    let explanation = `This ${category.replace(/-/g, " ")} fund offers the best after-tax return for your situation. `;
 
     if (effectiveTaxRate > 0) {
       explanation += `${treatment.description}. At your ${(effectiveTaxRate * 100).toFixed(1)}% effective tax rate, `;
@@ -249,9 +1143,71 @@ const TaxCalculator = (() => {
       explanation += `${treatment.description}, providing the full ${netYield.toFixed(2)}% yield without tax impact.`;
     }
 
+    if (userProfile.amtExposure) {
+      if (category === "municipal-amt-free") {
+        explanation += ` Because you are subject to the AMT, this AMT-free fund beats municipal funds whose private activity bond income would be taxed at your AMT rate.`;
+      } else if (topFund.amtRate > 0) {
+        explanation += ` This already accounts for AMT at ${(topFund.amtRate * 100).toFixed(0)}% on the ${(topFund.privateActivityBondShare * 100).toFixed(0)}% of its income from private activity bonds.`;
+      }
+    }
+
+    if (category === "state-municipal") {
+      explanation += ` ${getResidencyNote(topFund, userProfile.state)}`;
+    }
+
+    explanation += ` In a taxable account funds are ranked on tax-equivalent yield; in an IRA, 401(k) or HSA they would be ranked on net yield instead.`;
+
     return explanation;
   }
 
+  /**
+   * Explain whether a single-state municipal fund's state exemption applies
+   * @param {Object} result - Calculated result for a state-municipal fund
+   * @param {string} state - User's state of residence
+   * @returns {string} One-sentence residency explanation
+   */
+  function getResidencyNote(result, state) {
+    const { issuingState, residentExemption } = result;
+    // Part-year residents get the exemption only while living in the issuing state
+    const periods = result.residencyAllocation || [];
+    if (periods.length > 1) {
+      const exemptShare = periods
+        .filter((period) => period.residentExemption)
+        .reduce((sum, period) => sum + period.share, 0);
+      if (exemptShare > 0) {
+        return `Its dividends are exempt from ${issuingState} income tax for the ${(exemptShare * 100).toFixed(0)}% of the year you lived in ${issuingState}; the other states you lived in tax them.`;
+      }
+      return `You did not live in ${issuingState || "its issuing state"} during the year, so it is taxed like a national municipal fund by each state you lived in.`;
+    }
+    if (residentExemption) {
+      return `As a ${issuingState} resident, its dividends are also exempt from ${issuingState} income tax.`;
+    }
+    if (!issuingState) {
+      return `Its issuing state is unknown, so it is taxed like a national municipal fund and your ${state} income tax applies.`;
+    }
+    return `Its ${issuingState} state tax exemption only applies to ${issuingState} residents, so your ${state} income tax applies.`;
+  }
+
+  /**
+   * Explain whether state tax on fund dividends is federally deductible
+   * @param {Object} salt - {share, cap, room, treatment} from
+   *   calculateSaltDeductibleShare (or the salt* fields of a result)
+   * @returns {string} One-sentence SALT explanation
+   */
+  function getSaltNote(salt) {
+    const { treatment, cap, room, share } = salt;
+    if (treatment === "standard") {
+      return "You take the standard deduction, so state tax on fund dividends is not deductible and counts in full.";
+    }
+    if (treatment === "capped") {
+      return `Your state and local taxes already reach the ${formatCurrency(cap)} SALT cap, so state tax on fund dividends is not deductible and counts in full.`;
+    }
+    if (treatment === "partial") {
+      return `Only ${formatCurrency(room)} of the ${formatCurrency(cap)} SALT cap is left, so about ${(share * 100).toFixed(0)}% of the state tax on these dividends is deductible at your federal rate.`;
+    }
+    return `You itemize with ${formatCurrency(room)} of the ${formatCurrency(cap)} SALT cap left, so state tax on fund dividends is deductible at your federal rate.`;
+  }
+
   /**
    * Format percentage for display
    * @param {number} value - Decimal value
@@ -268,24 +1224,52 @@ const TaxCalculator = (() => {
    * @returns {string} Formatted currency
    */
   function formatCurrency(value) {
-    return `$${value.toFixed(2)}`;
+    return `$${value.toLocaleString("en-US", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })}`;
   }
 
   // Public API
   return {
+    ACCOUNT_TYPES,
+    calculateTaxableIncome,
     calculateFederalMarginalRate,
     calculateStateMarginalRate,
+    calculateFederalStackedRate,
+    calculateStateStackedRate,
+    getBracketBreakdown,
+    calculateLocalRate,
+    calculateNIITRate,
+    calculateAMTRate,
+    calculateSaltDeductibleShare,
     getEffectiveTaxRate,
     calculateTaxEquivalentYield,
     calculateAllFunds,
+    projectBalance,
     getRecommendationExplanation,
+    getResidencyNote,
+    getSaltNote,
     formatPercent,
     formatCurrency,
-    getTaxBrackets: () => TAX_BRACKETS_2024,
-    getStateTaxRates: () => STATE_TAX_RATES,
+    resolveTaxYear,
+    findResidencyOverlap,
+    getTaxBrackets: (taxYear) => getTaxYearTables(taxYear).federal,
+    getStateTaxBrackets: (taxYear) => getTaxYearTables(taxYear).state,
+    getStandardDeductions: (taxYear) =>
+      getTaxYearTables(taxYear).standardDeduction,
+    getAvailableTaxYears: () => TAX_YEARS,
     getTaxTreatment: () => TAX_TREATMENT,
+    getAccountTypes: () => ACCOUNT_TYPES,
   };
 })();
 
-// Make available globally
-window.TaxCalculator = TaxCalculator;
+// Export for Node.js (server and tests)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = TaxCalculator;
+}
+
+// Export for browser
+if (typeof window !== "undefined") {
+  window.TaxCalculator = TaxCalculator;
+}
@@ -0,0 +1,1189 @@
+/**
+ * Tax Tables Module
+ * Tax-year registry of federal brackets, standard deductions and
+ * progressive state income tax brackets for all 50 states and DC
+ * Works in both Node.js and browser environments
+ */
+
+/**
+ * Expand [min, rate] pairs into {min, max, rate} brackets
+ * @param {Array<Array<number>>} rows - Bracket floors and rates, ascending
+ * @returns {Array<Object>} Brackets in the same shape as the federal tables
+ */
+function expandBrackets(rows) {
+  return rows.map(([min, rate], i) => ({
+    min: min,
+    max: i < rows.length - 1 ? rows[i + 1][0] : Infinity,
+    rate: rate,
+  }));
+}
+
+/**
+ * Build a state entry with brackets per filing status
+ * Married and head-of-household default to the single schedule for states
+ * that use one schedule for every filer.
+ * @param {string} name - State name
+ * @param {Array<Array<number>>} single - Single filer [min, rate] pairs
+ * @param {Array<Array<number>>} married - Married filing jointly pairs
+ * @param {Array<Array<number>>} head - Head of household pairs
+ * @returns {Object} {name, single, married, head}
+ */
+function stateSchedule(name, single, married = single, head = single) {
+  return {
+    name: name,
+    single: expandBrackets(single),
+    married: expandBrackets(married),
+    head: expandBrackets(head),
+  };
+}
+
+// Federal income tax brackets by tax year
+const FEDERAL_TAX_BRACKETS = {
+  2024: {
+    single: expandBrackets([
+      [0, 0.1],
+      [11600, 0.12],
+      [47150, 0.22],
+      [100525, 0.24],
+      [191950, 0.32],
+      [243725, 0.35],
+      [609350, 0.37],
+    ]),
+    married: expandBrackets([
+      [0, 0.1],
+      [23200, 0.12],
+      [94300, 0.22],
+      [201050, 0.24],
+      [383900, 0.32],
+      [487450, 0.35],
+      [731200, 0.37],
+    ]),
+    head: expandBrackets([
+      [0, 0.1],
+      [16550, 0.12],
+      [63100, 0.22],
+      [100500, 0.24],
+      [191950, 0.32],
+      [243700, 0.35],
+      [609350, 0.37],
+    ]),
+  },
+  2025: {
+    single: expandBrackets([
+      [0, 0.1],
+      [11925, 0.12],
+      [48475, 0.22],
+      [103350, 0.24],
+      [197300, 0.32],
+      [250525, 0.35],
+      [626350, 0.37],
+    ]),
+    married: expandBrackets([
+      [0, 0.1],
+      [23850, 0.12],
+      [96950, 0.22],
+      [206700, 0.24],
+      [394600, 0.32],
+      [501050, 0.35],
+      [751600, 0.37],
+    ]),
+    head: expandBrackets([
+      [0, 0.1],
+      [17000, 0.12],
+      [64850, 0.22],
+      [103350, 0.24],
+      [197300, 0.32],
+      [250500, 0.35],
+      [626350, 0.37],
+    ]),
+  },
+  2026: {
+    single: expandBrackets([
+      [0, 0.1],
+      [12400, 0.12],
+      [50400, 0.22],
+      [105700, 0.24],
+      [201775, 0.32],
+      [256225, 0.35],
+      [640600, 0.37],
+    ]),
+    married: expandBrackets([
+      [0, 0.1],
+      [24800, 0.12],
+      [100800, 0.22],
+      [211400, 0.24],
+      [403550, 0.32],
+      [512450, 0.35],
+      [768700, 0.37],
+    ]),
+    head: expandBrackets([
+      [0, 0.1],
+      [17700, 0.12],
+      [67450, 0.22],
+      [105700, 0.24],
+      [201750, 0.32],
+      [256200, 0.35],
+      [640600, 0.37],
+    ]),
+  },
+};
+
+// Federal standard deduction by tax year and filing status
+const STANDARD_DEDUCTIONS = {
+  2024: { single: 14600, married: 29200, head: 21900 },
+  2025: { single: 15750, married: 31500, head: 23625 },
+  2026: { single: 16100, married: 32200, head: 24150 },
+};
+
+// Net Investment Income Tax (IRC 1411): 3.8% on investment income once
+// modified AGI exceeds the threshold. Thresholds are set by statute and
+// are not indexed for inflation, so one table covers every tax year.
+const NIIT = {
+  rate: 0.038,
+  thresholds: { single: 200000, married: 250000, head: 200000 },
+};
+
+// Alternative minimum tax rates by tax year: 26%, then 28% above the
+// AMT income breakpoint (half for married filing separately, not modeled)
+const AMT_BRACKETS = {
+  2024: expandBrackets([
+    [0, 0.26],
+    [232600, 0.28],
+  ]),
+  2025: expandBrackets([
+    [0, 0.26],
+    [239100, 0.28],
+  ]),
+  2026: expandBrackets([
+    [0, 0.26],
+    [244500, 0.28],
+  ]),
+};
+
+// Cap on the itemized deduction for state and local taxes (SALT) by tax
+// year. From 2025 the cap is reduced by 30% of income above the phase-out
+// threshold, but never below the floor. Married filing separately gets half,
+// which is not modeled.
+const SALT_CAP = {
+  2024: {
+    cap: 10000,
+    phaseoutThreshold: Infinity,
+    phaseoutRate: 0,
+    floor: 10000,
+  },
+  2025: {
+    cap: 40000,
+    phaseoutThreshold: 500000,
+    phaseoutRate: 0.3,
+    floor: 10000,
+  },
+  2026: {
+    cap: 40400,
+    phaseoutThreshold: 505000,
+    phaseoutRate: 0.3,
+    floor: 10000,
+  },
+};
+
+// Share of a municipal money fund's dividends paid from private activity
+// bonds, which are an AMT preference item. Used when a fund does not carry
+// its own privateActivityBondShare; fund sponsors publish the actual share
+// after each year end.
+const DEFAULT_PRIVATE_ACTIVITY_BOND_SHARE = 0.15;
+
+// States that pass through the exemption for U.S. government obligations
+// only when they make up at least this percent of the fund; below it every
+// dividend is state taxable. Other states exempt the share as reported.
+const US_OBLIGATIONS_THRESHOLDS = { CA: 50, CT: 50, NY: 50 };
+
+// Local income taxes that reach interest, by state and locality code.
+// A locality has a flat `rate`, progressive `brackets` by filing status, or
+// a `stateTaxShare` surcharge on state tax (Yonkers). Ohio municipal taxes
+// and Pennsylvania earned income taxes do not apply to interest; those
+// localities are listed with taxesInterest: false so the UI can say so.
+// Rates change rarely, so one table covers every tax year (2024 figures).
+const LOCAL_TAX_RATES = {
+  NY: {
+    NYC: {
+      name: "New York City",
+      brackets: {
+        single: expandBrackets([
+          [0, 0.03078],
+          [12000, 0.03762],
+          [25000, 0.03819],
+          [50000, 0.03876],
+        ]),
+        married: expandBrackets([
+          [0, 0.03078],
+          [21600, 0.03762],
+          [45000, 0.03819],
+          [90000, 0.03876],
+        ]),
+        head: expandBrackets([
+          [0, 0.03078],
+          [14400, 0.03762],
+          [30000, 0.03819],
+          [60000, 0.03876],
+        ]),
+      },
+    },
+    YONKERS: { name: "Yonkers", stateTaxShare: 0.1675 },
+  },
+  MD: {
+    ANNE_ARUNDEL: { name: "Anne Arundel County", rate: 0.0281 },
+    BALTIMORE_CITY: { name: "Baltimore City", rate: 0.032 },
+    BALTIMORE_COUNTY: { name: "Baltimore County", rate: 0.032 },
+    FREDERICK: { name: "Frederick County", rate: 0.0296 },
+    HARFORD: { name: "Harford County", rate: 0.0306 },
+    HOWARD: { name: "Howard County", rate: 0.032 },
+    MONTGOMERY: { name: "Montgomery County", rate: 0.032 },
+    PRINCE_GEORGES: { name: "Prince George's County", rate: 0.032 },
+    TALBOT: { name: "Talbot County", rate: 0.024 },
+    WORCESTER: { name: "Worcester County", rate: 0.0225 },
+  },
+  OH: {
+    CINCINNATI: { name: "Cincinnati", rate: 0.018, taxesInterest: false },
+    CLEVELAND: { name: "Cleveland", rate: 0.025, taxesInterest: false },
+    COLUMBUS: { name: "Columbus", rate: 0.025, taxesInterest: false },
+    TOLEDO: { name: "Toledo", rate: 0.025, taxesInterest: false },
+  },
+  PA: {
+    PHILADELPHIA: { name: "Philadelphia (School Income Tax)", rate: 0.0375 },
+    PITTSBURGH: { name: "Pittsburgh", rate: 0.03, taxesInterest: false },
+  },
+};
+
+const NO_TAX = [[0, 0]];
+
+// 2025 state income tax brackets by filing status (taxable income floors).
+// Flat-tax states are a single bracket; zero-rate floors model the
+// standard exemptions some states build into their schedules.
+const STATE_TAX_BRACKETS_2025 = {
+  AL: stateSchedule(
+    "Alabama",
+    [
+      [0, 0.02],
+      [500, 0.04],
+      [3000, 0.05],
+    ],
+    [
+      [0, 0.02],
+      [1000, 0.04],
+      [6000, 0.05],
+    ],
+  ),
+  AK: stateSchedule("Alaska", NO_TAX),
+  AZ: stateSchedule("Arizona", [[0, 0.025]]),
+  AR: stateSchedule("Arkansas", [
+    [0, 0],
+    [5500, 0.02],
+    [10900, 0.03],
+    [15600, 0.034],
+    [25700, 0.039],
+  ]),
+  CA: stateSchedule(
+    "California",
+    [
+      [0, 0.01],
+      [11079, 0.02],
+      [26264, 0.04],
+      [41452, 0.06],
+      [57542, 0.08],
+      [72724, 0.093],
+      [371479, 0.103],
+      [445771, 0.113],
+      [742953, 0.123],
+      [1000000, 0.133], // 1% Mental Health Services Tax above $1M
+    ],
+    [
+      [0, 0.01],
+      [22158, 0.02],
+      [52528, 0.04],
+      [82904, 0.06],
+      [115084, 0.08],
+      [145448, 0.093],
+      [742958, 0.103],
+      [891542, 0.113],
+      [1000000, 0.123],
+      [1485906, 0.133],
+    ],
+    [
+      [0, 0.01],
+      [22173, 0.02],
+      [52530, 0.04],
+      [67716, 0.06],
+      [83805, 0.08],
+      [98990, 0.093],
+      [505208, 0.103],
+      [606251, 0.113],
+      [1000000, 0.123],
+      [1010417, 0.133],
+    ],
+  ),
+  CO: stateSchedule("Colorado", [[0, 0.044]]),
+  CT: stateSchedule(
+    "Connecticut",
+    [
+      [0, 0.02],
+      [10000, 0.045],
+      [50000, 0.055],
+      [100000, 0.06],
+      [200000, 0.065],
+      [250000, 0.069],
+      [500000, 0.0699],
+    ],
+    [
+      [0, 0.02],
+      [20000, 0.045],
+      [100000, 0.055],
+      [200000, 0.06],
+      [400000, 0.065],
+      [500000, 0.069],
+      [1000000, 0.0699],
+    ],
+    [
+      [0, 0.02],
+      [16000, 0.045],
+      [80000, 0.055],
+      [160000, 0.06],
+      [320000, 0.065],
+      [400000, 0.069],
+      [800000, 0.0699],
+    ],
+  ),
+  DE: stateSchedule("Delaware", [
+    [0, 0],
+    [2000, 0.022],
+    [5000, 0.039],
+    [10000, 0.048],
+    [20000, 0.052],
+    [25000, 0.0555],
+    [60000, 0.066],
+  ]),
+  DC: stateSchedule("District of Columbia", [
+    [0, 0.04],
+    [10000, 0.06],
+    [40000, 0.065],
+    [60000, 0.085],
+    [250000, 0.0925],
+    [500000, 0.0975],
+    [1000000, 0.1075],
+  ]),
+  FL: stateSchedule("Florida", NO_TAX),
+  GA: stateSchedule("Georgia", [[0, 0.0519]]),
+  HI: stateSchedule(
+    "Hawaii",
+    [
+      [0, 0.014],
+      [9600, 0.032],
+      [14400, 0.055],
+      [19200, 0.064],
+      [24000, 0.068],
+      [36000, 0.072],
+      [48000, 0.076],
+      [125000, 0.079],
+      [175000, 0.0825],
+      [225000, 0.09],
+      [275000, 0.1],
+      [325000, 0.11],
+    ],
+    [
+      [0, 0.014],
+      [19200, 0.032],
+      [28800, 0.055],
+      [38400, 0.064],
+      [48000, 0.068],
+      [72000, 0.072],
+      [96000, 0.076],
+      [250000, 0.079],
+      [350000, 0.0825],
+      [450000, 0.09],
+      [550000, 0.1],
+      [650000, 0.11],
+    ],
+    [
+      [0, 0.014],
+      [14400, 0.032],
+      [21600, 0.055],
+      [28800, 0.064],
+      [36000, 0.068],
+      [54000, 0.072],
+      [72000, 0.076],
+      [187500, 0.079],
+      [262500, 0.0825],
+      [337500, 0.09],
+      [412500, 0.1],
+      [487500, 0.11],
+    ],
+  ),
+  ID: stateSchedule(
+    "Idaho",
+    [
+      [0, 0],
+      [4673, 0.053],
+    ],
+    [
+      [0, 0],
+      [9346, 0.053],
+    ],
+    [
+      [0, 0],
+      [9346, 0.053],
+    ],
+  ),
+  IL: stateSchedule("Illinois", [[0, 0.0495]]),
+  IN: stateSchedule("Indiana", [[0, 0.03]]),
+  IA: stateSchedule("Iowa", [[0, 0.038]]),
+  KS: stateSchedule(
+    "Kansas",
+    [
+      [0, 0.052],
+      [23000, 0.0558],
+    ],
+    [
+      [0, 0.052],
+      [46000, 0.0558],
+    ],
+  ),
+  KY: stateSchedule("Kentucky", [[0, 0.04]]),
+  LA: stateSchedule("Louisiana", [[0, 0.03]]),
+  ME: stateSchedule(
+    "Maine",
+    [
+      [0, 0.058],
+      [26800, 0.0675],
+      [63450, 0.0715],
+    ],
+    [
+      [0, 0.058],
+      [53600, 0.0675],
+      [126900, 0.0715],
+    ],
+    [
+      [0, 0.058],
+      [40200, 0.0675],
+      [95150, 0.0715],
+    ],
+  ),
+  MD: stateSchedule(
+    "Maryland",
+    [
+      [0, 0.02],
+      [1000, 0.03],
+      [2000, 0.04],
+      [3000, 0.0475],
+      [100000, 0.05],
+      [125000, 0.0525],
+      [150000, 0.055],
+      [250000, 0.0575],
+      [500000, 0.0625],
+      [1000000, 0.065],
+    ],
+    [
+      [0, 0.02],
+      [1000, 0.03],
+      [2000, 0.04],
+      [3000, 0.0475],
+      [150000, 0.05],
+      [175000, 0.0525],
+      [225000, 0.055],
+      [300000, 0.0575],
+      [600000, 0.0625],
+      [1200000, 0.065],
+    ],
+    [
+      [0, 0.02],
+      [1000, 0.03],
+      [2000, 0.04],
+      [3000, 0.0475],
+      [150000, 0.05],
+      [175000, 0.0525],
+      [225000, 0.055],
+      [300000, 0.0575],
+      [600000, 0.0625],
+      [1200000, 0.065],
+    ],
+  ),
+  MA: stateSchedule("Massachusetts", [
+    [0, 0.05],
+    [1083150, 0.09], // 4% millionaire surtax
+  ]),
+  MI: stateSchedule("Michigan", [[0, 0.0425]]),
+  MN: stateSchedule(
+    "Minnesota",
+    [
+      [0, 0.0535],
+      [32570, 0.068],
+      [106990, 0.0785],
+      [198630, 0.0985],
+    ],
+    [
+      [0, 0.0535],
+      [47620, 0.068],
+      [189180, 0.0785],
+      [330410, 0.0985],
+    ],
+    [
+      [0, 0.0535],
+      [40100, 0.068],
+      [161130, 0.0785],
+      [264050, 0.0985],
+    ],
+  ),
+  MS: stateSchedule("Mississippi", [
+    [0, 0],
+    [10000, 0.044],
+  ]),
+  MO: stateSchedule("Missouri", [
+    [0, 0],
+    [1313, 0.02],
+    [2626, 0.025],
+    [3939, 0.03],
+    [5252, 0.035],
+    [6565, 0.04],
+    [7878, 0.045],
+    [9191, 0.047],
+  ]),
+  MT: stateSchedule(
+    "Montana",
+    [
+      [0, 0.047],
+      [21100, 0.059],
+    ],
+    [
+      [0, 0.047],
+      [42200, 0.059],
+    ],
+    [
+      [0, 0.047],
+      [31700, 0.059],
+    ],
+  ),
+  NE: stateSchedule(
+    "Nebraska",
+    [
+      [0, 0.0246],
+      [4030, 0.0351],
+      [24120, 0.0501],
+      [38870, 0.052],
+    ],
+    [
+      [0, 0.0246],
+      [8040, 0.0351],
+      [48250, 0.0501],
+      [77730, 0.052],
+    ],
+    [
+      [0, 0.0246],
+      [7510, 0.0351],
+      [38590, 0.0501],
+      [57630, 0.052],
+    ],
+  ),
+  NV: stateSchedule("Nevada", NO_TAX),
+  NH: stateSchedule("New Hampshire", NO_TAX), // Interest & dividends tax repealed for 2025
+  NJ: stateSchedule(
+    "New Jersey",
+    [
+      [0, 0.014],
+      [20000, 0.0175],
+      [35000, 0.035],
+      [40000, 0.05525],
+      [75000, 0.0637],
+      [500000, 0.0897],
+      [1000000, 0.1075],
+    ],
+    [
+      [0, 0.014],
+      [20000, 0.0175],
+      [50000, 0.0245],
+      [70000, 0.035],
+      [80000, 0.05525],
+      [150000, 0.0637],
+      [500000, 0.0897],
+      [1000000, 0.1075],
+    ],
+    [
+      [0, 0.014],
+      [20000, 0.0175],
+      [50000, 0.0245],
+      [70000, 0.035],
+      [80000, 0.05525],
+      [150000, 0.0637],
+      [500000, 0.0897],
+      [1000000, 0.1075],
+    ],
+  ),
+  NM: stateSchedule(
+    "New Mexico",
+    [
+      [0, 0.015],
+      [5500, 0.032],
+      [16500, 0.043],
+      [33500, 0.047],
+      [66500, 0.049],
+      [210000, 0.059],
+    ],
+    [
+      [0, 0.015],
+      [8000, 0.032],
+      [25000, 0.043],
+      [50000, 0.047],
+      [100000, 0.049],
+      [315000, 0.059],
+    ],
+    [
+      [0, 0.015],
+      [8000, 0.032],
+      [25000, 0.043],
+      [50000, 0.047],
+      [100000, 0.049],
+      [315000, 0.059],
+    ],
+  ),
+  NY: stateSchedule(
+    "New York",
+    [
+      [0, 0.04],
+      [8500, 0.045],
+      [11700, 0.0525],
+      [13900, 0.055],
+      [80650, 0.06],
+      [215400, 0.0685],
+      [1077550, 0.0965],
+      [5000000, 0.103],
+      [25000000, 0.109],
+    ],
+    [
+      [0, 0.04],
+      [17150, 0.045],
+      [23600, 0.0525],
+      [27900, 0.055],
+      [161550, 0.06],
+      [323200, 0.0685],
+      [2155350, 0.0965],
+      [5000000, 0.103],
+      [25000000, 0.109],
+    ],
+    [
+      [0, 0.04],
+      [12800, 0.045],
+      [17650, 0.0525],
+      [20900, 0.055],
+      [107650, 0.06],
+      [269300, 0.0685],
+      [1616450, 0.0965],
+      [5000000, 0.103],
+      [25000000, 0.109],
+    ],
+  ),
+  NC: stateSchedule("North Carolina", [[0, 0.0425]]),
+  ND: stateSchedule(
+    "North Dakota",
+    [
+      [0, 0],
+      [48475, 0.0195],
+      [244825, 0.025],
+    ],
+    [
+      [0, 0],
+      [80975, 0.0195],
+      [298075, 0.025],
+    ],
+    [
+      [0, 0],
+      [64950, 0.0195],
+      [271450, 0.025],
+    ],
+  ),
+  OH: stateSchedule("Ohio", [
+    [0, 0],
+    [26050, 0.0275],
+    [100000, 0.035],
+  ]),
+  OK: stateSchedule(
+    "Oklahoma",
+    [
+      [0, 0.0025],
+      [1000, 0.0075],
+      [2500, 0.0175],
+      [3750, 0.0275],
+      [4900, 0.0375],
+      [7200, 0.0475],
+    ],
+    [
+      [0, 0.0025],
+      [2000, 0.0075],
+      [5000, 0.0175],
+      [7500, 0.0275],
+      [9800, 0.0375],
+      [12200, 0.0475],
+    ],
+    [
+      [0, 0.0025],
+      [2000, 0.0075],
+      [5000, 0.0175],
+      [7500, 0.0275],
+      [9800, 0.0375],
+      [12200, 0.0475],
+    ],
+  ),
+  OR: stateSchedule(
+    "Oregon",
+    [
+      [0, 0.0475],
+      [4400, 0.0675],
+      [11050, 0.0875],
+      [125000, 0.099],
+    ],
+    [
+      [0, 0.0475],
+      [8800, 0.0675],
+      [22100, 0.0875],
+      [250000, 0.099],
+    ],
+    [
+      [0, 0.0475],
+      [8800, 0.0675],
+      [22100, 0.0875],
+      [250000, 0.099],
+    ],
+  ),
+  PA: stateSchedule("Pennsylvania", [[0, 0.0307]]),
+  RI: stateSchedule("Rhode Island", [
+    [0, 0.0375],
+    [79900, 0.0475],
+    [181650, 0.0599],
+  ]),
+  SC: stateSchedule("South Carolina", [
+    [0, 0],
+    [3560, 0.03],
+    [17830, 0.062],
+  ]),
+  SD: stateSchedule("South Dakota", NO_TAX),
+  TN: stateSchedule("Tennessee", NO_TAX),
+  TX: stateSchedule("Texas", NO_TAX),
+  UT: stateSchedule("Utah", [[0, 0.045]]),
+  VT: stateSchedule(
+    "Vermont",
+    [
+      [0, 0.0335],
+      [47900, 0.066],
+      [116000, 0.076],
+      [242000, 0.0875],
+    ],
+    [
+      [0, 0.0335],
+      [79950, 0.066],
+      [193300, 0.076],
+      [294600, 0.0875],
+    ],
+    [
+      [0, 0.0335],
+      [64200, 0.066],
+      [165700, 0.076],
+      [268300, 0.0875],
+    ],
+  ),
+  VA: stateSchedule("Virginia", [
+    [0, 0.02],
+    [3000, 0.03],
+    [5000, 0.05],
+    [17000, 0.0575],
+  ]),
+  WA: stateSchedule("Washington", NO_TAX),
+  WV: stateSchedule("West Virginia", [
+    [0, 0.0222],
+    [10000, 0.0296],
+    [25000, 0.0333],
+    [40000, 0.0444],
+    [60000, 0.0482],
+  ]),
+  WI: stateSchedule(
+    "Wisconsin",
+    [
+      [0, 0.035],
+      [14680, 0.044],
+      [29370, 0.053],
+      [323290, 0.0765],
+    ],
+    [
+      [0, 0.035],
+      [19580, 0.044],
+      [39150, 0.053],
+      [431060, 0.0765],
+    ],
+  ),
+  WY: stateSchedule("Wyoming", NO_TAX),
+};
+
+// State brackets by tax year. Other years start from the 2025 schedules
+// and override the states whose law differed in that year.
+const STATE_TAX_BRACKETS = {
+  2024: {
+    ...STATE_TAX_BRACKETS_2025,
+    CO: stateSchedule("Colorado", [[0, 0.0425]]),
+    GA: stateSchedule("Georgia", [[0, 0.0539]]),
+    IA: stateSchedule(
+      "Iowa",
+      [
+        [0, 0.044],
+        [6210, 0.0482],
+        [31050, 0.057],
+      ],
+      [
+        [0, 0.044],
+        [12420, 0.0482],
+        [62100, 0.057],
+      ],
+    ),
+    ID: stateSchedule(
+      "Idaho",
+      [
+        [0, 0],
+        [4489, 0.05695],
+      ],
+      [
+        [0, 0],
+        [8978, 0.05695],
+      ],
+      [
+        [0, 0],
+        [8978, 0.05695],
+      ],
+    ),
+    IN: stateSchedule("Indiana", [[0, 0.0305]]),
+    LA: stateSchedule(
+      "Louisiana",
+      [
+        [0, 0.0185],
+        [12500, 0.035],
+        [50000, 0.0425],
+      ],
+      [
+        [0, 0.0185],
+        [25000, 0.035],
+        [100000, 0.0425],
+      ],
+    ),
+    MO: stateSchedule("Missouri", [
+      [0, 0],
+      [1273, 0.02],
+      [2546, 0.025],
+      [3819, 0.03],
+      [5092, 0.035],
+      [6365, 0.04],
+      [7638, 0.045],
+      [8911, 0.048],
+    ]),
+    MS: stateSchedule("Mississippi", [
+      [0, 0],
+      [10000, 0.047],
+    ]),
+    NC: stateSchedule("North Carolina", [[0, 0.045]]),
+    NH: stateSchedule("New Hampshire", [[0, 0.03]]), // Interest & dividends only
+    SC: stateSchedule("South Carolina", [
+      [0, 0],
+      [3460, 0.03],
+      [17330, 0.064],
+    ]),
+    UT: stateSchedule("Utah", [[0, 0.0455]]),
+  },
+  2025: STATE_TAX_BRACKETS_2025,
+  2026: {
+    ...STATE_TAX_BRACKETS_2025,
+    IN: stateSchedule("Indiana", [[0, 0.0295]]),
+    MS: stateSchedule("Mississippi", [
+      [0, 0],
+      [10000, 0.04],
+    ]),
+    NC: stateSchedule("North Carolina", [[0, 0.0399]]),
+    OH: stateSchedule("Ohio", [
+      [0, 0],
+      [26050, 0.0275],
+    ]),
+  },
+};
+
+const TAX_YEARS = Object.keys(FEDERAL_TAX_BRACKETS)
+  .map(Number)
+  .sort((a, b) => a - b);
+
+/**
+ * Pick the tax year to apply
+ * An explicit year wins; otherwise the year of the data snapshot date,
+ * then the current year. The result is clamped to the latest available
+ * year on or before it (or the earliest year if it predates the registry).
+ * @param {number|string} taxYear - Explicit tax year, or "auto"/empty
+ * @param {Date|string} asOfDate - Snapshot date (Date, MM-DD-YYYY or YYYY-MM-DD)
+ * @returns {number} Tax year present in the registry
+ */
+function resolveTaxYear(taxYear, asOfDate) {
+  let year = parseInt(taxYear);
+
+  if (isNaN(year) && asOfDate) {
+    const match =
+      asOfDate instanceof Date
+        ? [null, String(asOfDate.getFullYear())]
+        : String(asOfDate).match(/(\d{4})/);
+    year = match ? parseInt(match[1]) : NaN;
+  }
+
+  if (isNaN(year)) {
+    year = new Date().getFullYear();
+  }
+
+  const available = TAX_YEARS.filter((y) => y <= year);
+  return available.length ? available[available.length - 1] : TAX_YEARS[0];
+}
+
+/**
+ * Get the federal, state and standard deduction tables for a tax year
+ * @param {number|string} taxYear - Tax year (resolved with resolveTaxYear)
+ * @returns {Object} {year, federal, state, standardDeduction, niit, amt, saltCap}
+ */
+function getTaxYearTables(taxYear) {
+  const year = resolveTaxYear(taxYear);
+  return {
+    year: year,
+    federal: FEDERAL_TAX_BRACKETS[year],
+    state: STATE_TAX_BRACKETS[year],
+    standardDeduction: STANDARD_DEDUCTIONS[year],
+    niit: NIIT,
+    amt: AMT_BRACKETS[year],
+    saltCap: SALT_CAP[year],
+  };
+}
+
+/**
+ * Look up a fund's U.S. government obligations percentage for a tax year
+ * Falls back to the latest earlier year with data, since sponsors publish
+ * the figure after year end.
+ * @param {Object} table - {SYMBOL: {YYYY: percent}} (us-government-obligations.json "funds")
+ * @param {string} symbol - Fund ticker
+ * @param {number} taxYear - Tax year
+ * @returns {number|null} Percent of income from U.S. obligations, or null
+ */
+function getUsObligationsPct(table, symbol, taxYear) {
+  const byYear = table && table[symbol];
+  if (!byYear) return null;
+
+  const years = Object.keys(byYear)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const earlier = years.filter((y) => y <= taxYear);
+  const year = earlier.length ? earlier[earlier.length - 1] : years[0];
+  return byYear[year];
+}
+
+/**
+ * Look up a table entry by its own key only, so request values such as
+ * "constructor" or "toString" don't reach Object.prototype
+ * @param {Object} table - Table keyed by state, locality or filing status
+ * @param {string} key - Key to look up
+ * @returns {*} Entry, or undefined when the table has no such key
+ */
+function getTableEntry(table, key) {
+  return Object.prototype.hasOwnProperty.call(table || {}, key)
+    ? table[key]
+    : undefined;
+}
+
+/**
+ * Get the share of a fund's dividends exempt from a state's income tax
+ * @param {string} state - State abbreviation
+ * @param {number} usObligationsPct - Percent of income from U.S. obligations
+ * @returns {number} Exempt share (decimal), 0 if under the state threshold
+ */
+function getUsObligationsExemptShare(state, usObligationsPct) {
+  const threshold = getTableEntry(US_OBLIGATIONS_THRESHOLDS, state) || 0;
+  if (!(usObligationsPct > 0) || usObligationsPct < threshold) return 0;
+  return Math.min(usObligationsPct, 100) / 100;
+}
+
+/**
+ * Get the SALT deduction cap for a tax year after the high-income phase-out
+ * @param {number|string} taxYear - Tax year
+ * @param {number} income - Income (stand-in for modified AGI)
+ * @returns {number} Cap in dollars
+ */
+function getSaltCap(taxYear, income) {
+  const { cap, phaseoutThreshold, phaseoutRate, floor } =
+    getTaxYearTables(taxYear).saltCap;
+  const reduction = Math.max(income - phaseoutThreshold, 0) * phaseoutRate;
+  return Math.max(cap - reduction, floor);
+}
+
+/**
+ * Look up a locality within a state
+ * @param {string} state - State abbreviation
+ * @param {string} locality - Locality code (e.g., "NYC")
+ * @returns {Object|null} Locality entry, or null if none or not in that state
+ */
+function getLocality(state, locality) {
+  if (!locality) return null;
+  return getTableEntry(getTableEntry(LOCAL_TAX_RATES, state), locality) || null;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD date as a UTC day number
+ * @param {string} value - Date string
+ * @returns {number|null} Days since the epoch, or null if not a date
+ */
+function parseDay(value) {
+  const match = String(value || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const time = Date.UTC(match[1], match[2] - 1, match[3]);
+  return isNaN(time) ? null : time / DAY_MS;
+}
+
+/**
+ * Format a UTC day number as YYYY-MM-DD
+ * @param {number} day - Days since the epoch
+ * @returns {string} Date string
+ */
+function formatDay(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Clip residency periods to the tax year
+ * A missing start or end date means the start or end of the year; periods
+ * without a state or outside the year are dropped.
+ * @param {Array<Object>} periods - [{state, startDate, endDate}] with YYYY-MM-DD dates
+ * @param {number} taxYear - Tax year
+ * @returns {Array<Object>} [{state, start, end}] as day numbers, by start date
+ */
+function clipResidencyPeriods(periods, taxYear) {
+  const yearStart = Date.UTC(taxYear, 0, 1) / DAY_MS;
+  const yearEnd = Date.UTC(taxYear, 11, 31) / DAY_MS;
+
+  return (Array.isArray(periods) ? periods : [])
+    .filter((period) => period && period.state)
+    .map((period) => {
+      const start = parseDay(period.startDate);
+      const end = parseDay(period.endDate);
+      return {
+        state: period.state,
+        start: Math.max(start === null ? yearStart : start, yearStart),
+        end: Math.min(end === null ? yearEnd : end, yearEnd),
+      };
+    })
+    .filter((period) => period.end >= period.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Describe the first two residency periods that share a day of the tax year
+ * @param {Array<Object>} periods - [{state, startDate, endDate}] with YYYY-MM-DD dates
+ * @param {number} taxYear - Tax year
+ * @returns {string|null} Error message, or null when no periods overlap
+ */
+function findResidencyOverlap(periods, taxYear) {
+  const clipped = clipResidencyPeriods(periods, taxYear);
+  const index = clipped.findIndex(
+    (period, i) => i > 0 && period.start <= clipped[i - 1].end,
+  );
+  if (index < 0) return null;
+
+  const describe = (period) =>
+    `${period.state} (${formatDay(period.start)} to ${formatDay(period.end)})`;
+  return `Residency periods overlap: ${describe(clipped[index - 1])} and ${describe(clipped[index])}`;
+}
+
+/**
+ * Split the tax year across the states a part-year resident lived in
+ * Periods are clipped to the tax year; a missing start or end date means
+ * the start or end of the year. Days no period covers are spent in the
+ * fallback state (the profile's state), so each period's share is its days
+ * over the days in the year. Without usable periods the whole year goes to
+ * the fallback state.
+ * @param {Array<Object>} periods - [{state, startDate, endDate}] with YYYY-MM-DD dates
+ * @param {number} taxYear - Tax year
+ * @param {string} fallbackState - State for days no period covers
+ * @returns {Array<Object>} [{state, startDate, endDate, share}] in date order
+ * @throws {Error} When two periods share a day (see findResidencyOverlap)
+ */
+function getResidencyAllocation(periods, taxYear, fallbackState) {
+  const overlap = findResidencyOverlap(periods, taxYear);
+  if (overlap) {
+    throw new Error(overlap);
+  }
+
+  const yearStart = Date.UTC(taxYear, 0, 1) / DAY_MS;
+  const yearEnd = Date.UTC(taxYear, 11, 31) / DAY_MS;
+  const filled = [];
+  let next = yearStart;
+  clipResidencyPeriods(periods, taxYear).forEach((period) => {
+    if (period.start > next) {
+      filled.push({ state: fallbackState, start: next, end: period.start - 1 });
+    }
+    filled.push(period);
+    next = period.end + 1;
+  });
+  if (next <= yearEnd) {
+    filled.push({ state: fallbackState, start: next, end: yearEnd });
+  }
+
+  const yearDays = yearEnd - yearStart + 1;
+  return filled.map((period) => ({
+    state: period.state,
+    startDate: formatDay(period.start),
+    endDate: formatDay(period.end),
+    share: (period.end - period.start + 1) / yearDays,
+  }));
+}
+
+// Export for Node.js
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    expandBrackets,
+    FEDERAL_TAX_BRACKETS,
+    STATE_TAX_BRACKETS,
+    STANDARD_DEDUCTIONS,
+    NIIT,
+    AMT_BRACKETS,
+    SALT_CAP,
+    LOCAL_TAX_RATES,
+    DEFAULT_PRIVATE_ACTIVITY_BOND_SHARE,
+    US_OBLIGATIONS_THRESHOLDS,
+    TAX_YEARS,
+    resolveTaxYear,
+    getTaxYearTables,
+    getUsObligationsPct,
+    getUsObligationsExemptShare,
+    getSaltCap,
+    getTableEntry,
+    getLocality,
+    findResidencyOverlap,
+    getResidencyAllocation,
+  };
+}
+
+// Export for browser
+if (typeof window !== "undefined") {
+  window.TaxTables = {
+    expandBrackets,
+    FEDERAL_TAX_BRACKETS,
+    STATE_TAX_BRACKETS,
+    STANDARD_DEDUCTIONS,
+    NIIT,
+    AMT_BRACKETS,
+    SALT_CAP,
+    LOCAL_TAX_RATES,
+    DEFAULT_PRIVATE_ACTIVITY_BOND_SHARE,
+    US_OBLIGATIONS_THRESHOLDS,
+    TAX_YEARS,
+    resolveTaxYear,
+    getTaxYearTables,
+    getUsObligationsPct,
+    getUsObligationsExemptShare,
+    getSaltCap,
+    getTableEntry,
+    getLocality,
+    findResidencyOverlap,
+    getResidencyAllocation,
+  };
+}
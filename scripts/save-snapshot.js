@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Save a provider's money funds page as a dated CSV snapshot
+ *
+ * Usage: node scripts/save-snapshot.js <provider> <saved-page.html> [MM-DD-YYYY]
+ *
+ * For providers whose pages are rendered in the browser (Fidelity,
+ * Vanguard), save the page from the browser first. The snapshot is written
+ * to public/<provider>_money_funds_MM-DD-YYYY.csv (today by default) and
+ * csv-manifest.json is rebuilt.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { getProvider, PROVIDERS } = require("../src/providers");
+const {
+  getTodayDate,
+  writeSnapshot,
+  writeManifest,
+} = require("../src/snapshots");
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+
+function main() {
+  const [providerId, pagePath, date = getTodayDate()] = process.argv.slice(2);
+  const provider = getProvider(providerId);
+
+  if (!provider || !pagePath) {
+    console.error(
+      `Usage: node scripts/save-snapshot.js <${Object.keys(PROVIDERS).join("|")}> <saved-page.html> [MM-DD-YYYY]`,
+    );
+    process.exit(1);
+  }
+  if (!/^\d{2}-\d{2}-\d{4}$/.test(date)) {
+    console.error(`Error: date must be MM-DD-YYYY, got ${date}`);
+    process.exit(1);
+  }
+
+  const rows = provider.parse(fs.readFileSync(pagePath, "utf8"));
+  if (!rows.length) {
+    console.error(
+      `Error: no fund tables found in ${pagePath}. The page structure may have changed.`,
+    );
+    process.exit(1);
+  }
+
+  const filepath = writeSnapshot(PUBLIC_DIR, provider.id, rows, date);
+  console.log(
+    `Saved ${rows.length} ${provider.metadata.name} funds to ${filepath}`,
+  );
+
+  const entries = writeManifest(PUBLIC_DIR);
+  console.log(`Total CSV files in manifest: ${entries.length}`);
+}
+
+main();
@@ -10,13 +10,20 @@ const helmet = require("helmet");
 const compression = require("compression");
 const rateLimit = require("express-rate-limit");
 const path = require("path");
-const fs = require("fs");
 
 const scraper = require("./src/scraper");
-const taxEngine = require("./src/tax-engine");
+const providers = require("./src/providers");
+const snapshotStore = require("./src/snapshots");
+const csvScraper = require("./src/csv-scraper");
+const scrapeScheduler = require("./src/scrape-scheduler");
+const taxEngine = require("./public/js/tax-calculator");
+const history = require("./src/history");
+const breakeven = require("./public/js/breakeven");
+const heatmap = require("./public/js/heatmap");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const PUBLIC_DIR = path.join(__dirname, "public");
 
 // Middleware
 app.use(
@@ -38,23 +45,25 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Static files
-app.use(express.static(path.join(__dirname, "public")));
+app.use(express.static(PUBLIC_DIR));
 
-// Manifest endpoint to list available CSV snapshots in /public
+// Manifest endpoint to list available CSV snapshots in /public, newest
+// first; ?provider=fidelity lists one provider's
 app.get("/api/csv-files", (req, res) => {
   try {
-    const publicDir = path.join(__dirname, "public");
-    const files = fs
-      .readdirSync(publicDir)
-      .filter(
-        (name) =>
-          name.startsWith("schwab_money_funds_") && name.endsWith(".csv"),
+    const { provider } = req.query;
+    if (provider && !providers.getProvider(provider)) {
+      return res
+        .status(400)
+        .json({ error: `Unknown fund provider: ${provider}` });
+    }
+
+    const files = snapshotStore
+      .listSnapshotFiles(
+        PUBLIC_DIR,
+        provider ? providers.getProvider(provider).id : null,
       )
-      .map((name) => ({
-        name,
-        date: name.replace("schwab_money_funds_", "").replace(".csv", ""),
-      }))
-      .sort((a, b) => b.date.localeCompare(a.date));
+      .reverse();
 
     res.json(files);
   } catch (err) {
@@ -78,63 +87,136 @@ const refreshLimiter = rateLimit({
 
 app.use("/api/", apiLimiter);
 
-// Cache for fund data (6 hour TTL)
+// Providers merged by /api/funds unless ?providers= is given
+const FUND_PROVIDER_IDS = providers.parseProviderIds(
+  process.env.FUND_PROVIDERS,
+).ids;
+
+// Cache for fund data (6 hour TTL), one entry per provider list
 let fundDataCache = {
-  data: null,
-  timestamp: null,
+  entries: {},
   ttl: parseInt(process.env.CACHE_DURATION) || 21600, // 6 hours in seconds
 };
 
 /**
  * Check if cache is valid
+ * @param {Array<string>} providerIds - Provider ids of the entry
  */
-function isCacheValid() {
-  if (!fundDataCache.data || !fundDataCache.timestamp) {
+function isCacheValid(providerIds = FUND_PROVIDER_IDS) {
+  const entry = fundDataCache.entries[providerIds.join(",")];
+  if (!entry || !entry.data || !entry.timestamp) {
     return false;
   }
 
   const now = Date.now();
-  const age = (now - fundDataCache.timestamp) / 1000; // Convert to seconds
+  const age = (now - entry.timestamp) / 1000; // Convert to seconds
 
   return age < fundDataCache.ttl;
 }
 
 /**
  * Get fund data (from cache or fresh scrape)
+ * @param {Array<string>} providerIds - Providers to merge
+ * @returns {Promise<Object>} {funds, skipped} (see scraper.scrapeProviders)
  */
-async function getFundData() {
-  if (isCacheValid()) {
+async function getFundData(providerIds = FUND_PROVIDER_IDS) {
+  if (isCacheValid(providerIds)) {
     console.log("Returning cached fund data");
-    return fundDataCache.data;
+    return fundDataCache.entries[providerIds.join(",")].data;
   }
 
   console.log("Cache expired or empty, fetching fresh data...");
 
   try {
-    const funds = await scraper.scrapeFunds();
+    const data = await scraper.scrapeProviders({ providers: providerIds });
 
     // Update cache
-    fundDataCache.data = funds;
-    fundDataCache.timestamp = Date.now();
+    fundDataCache.entries[providerIds.join(",")] = {
+      data,
+      timestamp: Date.now(),
+    };
 
-    return funds;
+    return data;
   } catch (error) {
     console.error("Error fetching fund data:", error);
     throw error;
   }
 }
 
+// Daily CSV snapshots, when SCRAPE_SCHEDULER_ENABLED=true. A snapshot
+// already saved for the day is kept, so restarts don't scrape twice.
+const scheduler = scrapeScheduler.createScheduler({
+  ...scrapeScheduler.readSchedulerConfig(process.env),
+  run: async () => {
+    const result = await csvScraper.scrapeSnapshot({ overwrite: false });
+    return {
+      status: result.status,
+      date: result.date,
+      snapshot: path.basename(result.filepath),
+      funds: result.funds,
+    };
+  },
+});
+
 // ===================================
 // API Routes
 // ===================================
 
+/**
+ * Read the ?providers= list of a request
+ * @param {string|undefined} value - Comma-separated provider ids
+ * @returns {Object} {ids, error}: FUND_PROVIDERS when not given
+ */
+function readProviderParam(value) {
+  if (!value) {
+    return { ids: FUND_PROVIDER_IDS, error: null };
+  }
+  const { ids, unknown } = providers.parseProviderIds(value);
+  return {
+    ids,
+    error: unknown.length
+      ? `Unknown fund providers: ${unknown.join(", ")}`
+      : null,
+  };
+}
+
+/**
+ * GET /api/providers
+ * Lists the fund providers and their default selection
+ */
+app.get("/api/providers", (req, res) => {
+  res.json({
+    defaults: FUND_PROVIDER_IDS,
+    providers: Object.values(providers.PROVIDERS).map((provider) => ({
+      id: provider.id,
+      name: provider.metadata.name,
+      url: provider.metadata.url,
+      live: provider.metadata.live,
+    })),
+  });
+});
+
 /**
  * GET /api/funds
  * Returns current fund data with yields and expense ratios
+ * ?providers=schwab,fidelity merges providers (default FUND_PROVIDERS);
+ * providers that could not be scraped are left out and listed in the
+ * X-Skipped-Providers header
  */
 app.get("/api/funds", async (req, res) => {
+  const { ids, error } = readProviderParam(req.query.providers);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
   try {
-    const funds = await getFundData();
+    const { funds, skipped } = await getFundData(ids);
+    if (skipped.length) {
+      res.set(
+        "X-Skipped-Providers",
+        skipped.map((entry) => entry.provider).join(","),
+      );
+    }
     res.json(funds);
   } catch (error) {
     console.error("Error in /api/funds:", error);
@@ -148,10 +230,11 @@ app.get("/api/funds", async (req, res) => {
 /**
  * POST /api/calculate
  * Calculate tax-equivalent yields for funds based on user profile
+ * ?explain=true adds each result's step-by-step explanation
  */
 app.post("/api/calculate", (req, res) => {
   try {
-    const { userProfile, funds } = req.body;
+    const { userProfile, funds, asOfDate } = req.body;
 
     if (!userProfile || !funds) {
       return res.status(400).json({
@@ -159,7 +242,18 @@ app.post("/api/calculate", (req, res) => {
       });
     }
 
-    const results = taxEngine.calculateAllFunds(funds, userProfile);
+    const overlap = taxEngine.findResidencyOverlap(
+      userProfile.residencyPeriods,
+      taxEngine.resolveTaxYear(userProfile.taxYear, asOfDate),
+    );
+    if (overlap) {
+      return res.status(400).json({ error: overlap });
+    }
+
+    const results = taxEngine.calculateAllFunds(funds, userProfile, {
+      asOfDate,
+      explain: req.query.explain === "true",
+    });
 
     res.json(results);
   } catch (error) {
@@ -171,27 +265,183 @@ app.post("/api/calculate", (req, res) => {
   }
 });
 
+// Limits that keep one analysis request from holding the event loop for
+// long: the funds compared, and for /api/breakeven the highest income
+// searched and the state and filing status pairs analyzed
+const MAX_ANALYSIS_FUNDS = 20;
+const MAX_BREAKEVEN_INCOME = breakeven.BREAKEVEN_MAX_INCOME;
+const MAX_BREAKEVEN_PROFILES = 12;
+// Funds ranked across a /api/heatmap grid (incomes × states × filing
+// statuses × funds): the default grid over all 50 states and DC at the fund
+// limit, a few seconds of work
+const MAX_HEATMAP_EVALUATIONS =
+  (heatmap.HEATMAP_MAX_INCOME / heatmap.HEATMAP_INCOME_STEP) *
+  51 *
+  heatmap.HEATMAP_FILING_STATUSES.length *
+  MAX_ANALYSIS_FUNDS;
+
 /**
- * GET /api/history/:fundName
- * Get historical yield data for a specific fund
+ * Check the optional state and filing status filters of an analysis request
+ * @param {number} taxYear - Resolved tax year
+ * @param {Array<string>|undefined} states - Requested states
+ * @param {Array<string>|undefined} filingStatuses - Requested filing statuses
+ * @returns {string|null} Error message, or null when valid
  */
-app.get("/api/history/:fundName", async (req, res) => {
+function validateProfileFilters(taxYear, states, filingStatuses) {
+  const knownStates = Object.keys(taxEngine.getStateTaxBrackets(taxYear));
+  const unknownStates = (states || []).filter(
+    (state) => !knownStates.includes(state),
+  );
+  if (unknownStates.length) {
+    return `Unknown states: ${unknownStates.join(", ")}`;
+  }
+
+  const unknownStatuses = (filingStatuses || []).filter(
+    (status) => !breakeven.FILING_STATUSES.includes(status),
+  );
+  if (unknownStatuses.length) {
+    return `Invalid filing status: use one of ${breakeven.FILING_STATUSES.join(", ")}`;
+  }
+
+  return null;
+}
+
+/**
+ * POST /api/breakeven
+ * Find the taxable incomes where each pair of funds trade places on
+ * tax-equivalent yield, per filing status and state (all filing statuses
+ * and the profile's state by default)
+ */
+app.post("/api/breakeven", (req, res) => {
   try {
-    const { fundName } = req.params;
-    const { startDate, endDate } = req.query;
+    const { userProfile, funds, asOfDate, maxIncome } = req.body;
+    const states = [].concat(
+      req.body.states || (userProfile && userProfile.state) || [],
+    );
+    const filingStatuses =
+      req.body.filingStatuses && [].concat(req.body.filingStatuses);
+
+    if (!userProfile || !Array.isArray(funds)) {
+      return res.status(400).json({
+        error: "Missing required parameters: userProfile and funds",
+      });
+    }
 
-    const dateRange = {
-      startDate: startDate
-        ? new Date(startDate)
-        : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
-      endDate: endDate ? new Date(endDate) : new Date(),
-    };
+    const taxYear = taxEngine.resolveTaxYear(userProfile.taxYear, asOfDate);
+    const filterError = validateProfileFilters(taxYear, states, filingStatuses);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    if (funds.length > MAX_ANALYSIS_FUNDS) {
+      return res.status(400).json({
+        error: `Too many funds: compare at most ${MAX_ANALYSIS_FUNDS}`,
+      });
+    }
+
+    if (!states.length) {
+      return res.status(400).json({
+        error: "Missing states: pass states or a userProfile.state",
+      });
+    }
+
+    const profileCount =
+      states.length * (filingStatuses || breakeven.FILING_STATUSES).length;
+    if (profileCount > MAX_BREAKEVEN_PROFILES) {
+      return res.status(400).json({
+        error: `Too many profiles: pass states and filingStatuses covering at most ${MAX_BREAKEVEN_PROFILES} state and filing status pairs`,
+      });
+    }
 
-    return res.status(501).json({ error: "Historical API disabled" });
+    if (
+      maxIncome !== undefined &&
+      !(Number(maxIncome) > 0 && Number(maxIncome) <= MAX_BREAKEVEN_INCOME)
+    ) {
+      return res.status(400).json({
+        error: `Invalid maxIncome: use a positive taxable income up to ${MAX_BREAKEVEN_INCOME}`,
+      });
+    }
+
+    res.json(
+      breakeven.findCrossovers(taxEngine, funds, userProfile, {
+        asOfDate,
+        states,
+        filingStatuses,
+        maxIncome: maxIncome && Number(maxIncome),
+      }),
+    );
   } catch (error) {
-    console.error("Error in /api/history/:fundName:", error);
+    console.error("Error in /api/breakeven:", error);
     res.status(500).json({
-      error: "Failed to fetch historical data",
+      error: "Break-even analysis failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/heatmap
+ * Best fund and its TEY margin over the runner-up for every income on a
+ * grid, crossed with states and filing statuses (all by default)
+ */
+app.post("/api/heatmap", (req, res) => {
+  try {
+    const { userProfile, funds, asOfDate, incomeStep, maxIncome } = req.body;
+    const states = req.body.states && [].concat(req.body.states);
+    const filingStatuses =
+      req.body.filingStatuses && [].concat(req.body.filingStatuses);
+
+    if (!userProfile || !Array.isArray(funds)) {
+      return res.status(400).json({
+        error: "Missing required parameters: userProfile and funds",
+      });
+    }
+
+    const taxYear = taxEngine.resolveTaxYear(userProfile.taxYear, asOfDate);
+    const filterError = validateProfileFilters(taxYear, states, filingStatuses);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    if (funds.length > MAX_ANALYSIS_FUNDS) {
+      return res.status(400).json({
+        error: `Too many funds: compare at most ${MAX_ANALYSIS_FUNDS}`,
+      });
+    }
+
+    const step = Number(incomeStep || heatmap.HEATMAP_INCOME_STEP);
+    const max = Number(maxIncome || heatmap.HEATMAP_MAX_INCOME);
+    if (!(step >= 1000) || !(max >= step) || max / step > 400) {
+      return res.status(400).json({
+        error:
+          "Invalid income grid: use an incomeStep of at least 1000 and at most 400 incomes",
+      });
+    }
+
+    const evaluations =
+      Math.floor(max / step) *
+      (states || Object.keys(taxEngine.getStateTaxBrackets(taxYear))).length *
+      (filingStatuses || heatmap.HEATMAP_FILING_STATUSES).length *
+      funds.length;
+    if (evaluations > MAX_HEATMAP_EVALUATIONS) {
+      return res.status(400).json({
+        error: `Heatmap too large: incomes × states × filing statuses × funds may be at most ${MAX_HEATMAP_EVALUATIONS}`,
+      });
+    }
+
+    res.json(
+      heatmap.buildHeatmap(taxEngine, funds, userProfile, {
+        asOfDate,
+        states,
+        filingStatuses,
+        incomeStep: step,
+        maxIncome: max,
+      }),
+    );
+  } catch (error) {
+    console.error("Error in /api/heatmap:", error);
+    res.status(500).json({
+      error: "Heatmap calculation failed",
       message: error.message,
     });
   }
@@ -199,33 +449,83 @@ app.get("/api/history/:fundName", async (req, res) => {
 
 /**
  * GET /api/history/compare
- * Get historical data for multiple funds
+ * Compare historical data for multiple funds on one shared date axis.
+ * Registered before /api/history/:fundName so "compare" is not taken as a fund.
  */
 app.get("/api/history/compare", async (req, res) => {
   try {
-    let { fundNames, startDate, endDate } = req.query;
+    let { fundNames, startDate, endDate, metric, baseline } = req.query;
 
-    // Parse fund names (comma-separated)
-    if (typeof fundNames === "string") {
-      fundNames = fundNames
-        .split(",")
-        .map((name) => decodeURIComponent(name.trim()));
-    }
+    // Parse fund names (comma-separated, or repeated query params)
+    fundNames = []
+      .concat(fundNames || [])
+      .flatMap((names) => String(names).split(","))
+      .map((name) => name.trim())
+      .filter(Boolean);
 
-    if (!fundNames || fundNames.length === 0) {
+    if (fundNames.length === 0) {
       return res.status(400).json({
         error: "Missing required parameter: fundNames",
       });
     }
 
+    metric = metric || "netYield";
+    if (!history.HISTORY_METRICS.includes(metric)) {
+      return res.status(400).json({
+        error: `Invalid metric: use one of ${history.HISTORY_METRICS.join(", ")}`,
+      });
+    }
+
     const dateRange = {
-      startDate: startDate
-        ? new Date(startDate)
-        : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
-      endDate: endDate ? new Date(endDate) : new Date(),
+      startDate: history.parseDateParam(startDate),
+      endDate: history.parseDateParam(endDate),
     };
 
-    return res.status(501).json({ error: "Historical comparison disabled" });
+    if (
+      (dateRange.startDate && isNaN(dateRange.startDate)) ||
+      (dateRange.endDate && isNaN(dateRange.endDate))
+    ) {
+      return res.status(400).json({
+        error: "Invalid date: use YYYY-MM-DD or MM-DD-YYYY",
+      });
+    }
+
+    const snapshots = history.loadSnapshots(PUBLIC_DIR);
+    const funds = [];
+    const unknown = [];
+    fundNames.forEach((name) => {
+      const fund = history.resolveFund(snapshots, name);
+      if (!fund) {
+        unknown.push(name);
+      } else if (!funds.some((f) => f.symbol === fund.symbol)) {
+        funds.push(fund);
+      }
+    });
+
+    if (unknown.length) {
+      return res.status(404).json({
+        error: `Unknown funds: ${unknown.join(", ")}`,
+      });
+    }
+
+    let baselineSymbol = null;
+    if (baseline) {
+      const baseFund = history.resolveFund(snapshots, baseline);
+      if (!baseFund || !funds.some((f) => f.symbol === baseFund.symbol)) {
+        return res.status(400).json({
+          error: `Baseline must be one of the requested funds: ${baseline}`,
+        });
+      }
+      baselineSymbol = baseFund.symbol;
+    }
+
+    res.json(
+      history.compareFunds(snapshots, funds, {
+        dateRange,
+        metric,
+        baseline: baselineSymbol,
+      }),
+    );
   } catch (error) {
     console.error("Error in /api/history/compare:", error);
     res.status(500).json({
@@ -235,6 +535,46 @@ app.get("/api/history/compare", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/history/:fundName
+ * Get historical yield data for a specific fund (ticker or fund name)
+ * built from the dated CSV snapshots in /public
+ */
+app.get("/api/history/:fundName", async (req, res) => {
+  try {
+    const { fundName } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const dateRange = {
+      startDate: history.parseDateParam(startDate),
+      endDate: history.parseDateParam(endDate),
+    };
+
+    if (
+      (dateRange.startDate && isNaN(dateRange.startDate)) ||
+      (dateRange.endDate && isNaN(dateRange.endDate))
+    ) {
+      return res.status(400).json({
+        error: "Invalid date: use YYYY-MM-DD or MM-DD-YYYY",
+      });
+    }
+
+    const result = history.getFundHistory(PUBLIC_DIR, fundName, dateRange);
+
+    if (!result) {
+      return res.status(404).json({ error: `Unknown fund: ${fundName}` });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error("Error in /api/history/:fundName:", error);
+    res.status(500).json({
+      error: "Failed to fetch historical data",
+      message: error.message,
+    });
+  }
+});
+
 /**
  * POST /api/refresh
  * Trigger fresh scrape of fund data
@@ -244,15 +584,15 @@ app.post("/api/refresh", refreshLimiter, async (req, res) => {
     console.log("Manual refresh triggered");
 
     // Force cache invalidation
-    fundDataCache.data = null;
-    fundDataCache.timestamp = null;
+    fundDataCache.entries = {};
 
-    const funds = await getFundData();
+    const { funds, skipped } = await getFundData();
 
     res.json({
       success: true,
       message: "Data refreshed successfully",
       fundCount: funds.length,
+      skippedProviders: skipped,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -266,16 +606,27 @@ app.post("/api/refresh", refreshLimiter, async (req, res) => {
 
 /**
  * GET /api/tax-brackets
- * Return current tax bracket data
+ * Return tax bracket data for a tax year (?year=YYYY, defaults to the
+ * current year) along with the years available in the registry
  */
 app.get("/api/tax-brackets", (req, res) => {
   try {
-    const brackets = taxEngine.getTaxBrackets();
-    const stateTaxRates = taxEngine.getStateTaxRates();
+    const { year } = req.query;
+
+    if (year !== undefined && !/^\d{4}$/.test(String(year))) {
+      return res.status(400).json({
+        error: "Invalid year: use a four-digit tax year",
+      });
+    }
+
+    const taxYear = taxEngine.resolveTaxYear(year);
 
     res.json({
-      federal: brackets,
-      state: stateTaxRates,
+      year: taxYear,
+      availableYears: taxEngine.getAvailableTaxYears(),
+      federal: taxEngine.getTaxBrackets(taxYear),
+      state: taxEngine.getStateTaxBrackets(taxYear),
+      standardDeduction: taxEngine.getStandardDeductions(taxYear),
     });
   } catch (error) {
     console.error("Error in /api/tax-brackets:", error);
@@ -291,14 +642,31 @@ app.get("/api/tax-brackets", (req, res) => {
  * Health check endpoint
  */
 app.get("/api/health", (req, res) => {
+  const scrape = scheduler.getStatus();
   res.json({
     status: "ok",
     timestamp: new Date().toISOString(),
     cacheValid: isCacheValid(),
     uptime: process.uptime(),
+    scrape: {
+      enabled: scrape.enabled,
+      running: scrape.running,
+      lastRunStatus: scrape.lastRun ? scrape.lastRun.status : null,
+      lastRunAt: scrape.lastRun ? scrape.lastRun.finishedAt : null,
+      nextRunAt: scrape.nextRunAt,
+      lastError: scrape.errors.length ? scrape.errors[0].message : null,
+    },
   });
 });
 
+/**
+ * GET /api/scrape/status
+ * The snapshot scheduler's schedule, last run, next run and recent errors
+ */
+app.get("/api/scrape/status", (req, res) => {
+  res.json(scheduler.getStatus());
+});
+
 // ===================================
 // Error Handling
 // ===================================
@@ -335,6 +703,11 @@ async function startServer() {
       console.log(
         `🔄 Cache TTL: ${fundDataCache.ttl} seconds (${fundDataCache.ttl / 3600} hours)`,
       );
+      scheduler.start();
+      const { enabled, schedule, nextRunAt } = scheduler.getStatus();
+      if (enabled) {
+        console.log(`🗓️  Snapshot scrape: ${schedule}, next at ${nextRunAt}`);
+      }
       console.log(`\nPress Ctrl+C to stop the server\n`);
     });
   } catch (error) {
@@ -343,18 +716,23 @@ async function startServer() {
   }
 }
 
-// Handle graceful shutdown
-process.on("SIGTERM", async () => {
-  console.log("\nReceived SIGTERM, shutting down gracefully...");
-  process.exit(0);
-});
+// Start the server when run directly; tests require the app without
+// listening
+if (require.main === module) {
+  // Handle graceful shutdown
+  process.on("SIGTERM", async () => {
+    console.log("\nReceived SIGTERM, shutting down gracefully...");
+    scheduler.stop();
+    process.exit(0);
+  });
 
-process.on("SIGINT", async () => {
-  console.log("\nReceived SIGINT, shutting down gracefully...");
-  process.exit(0);
-});
+  process.on("SIGINT", async () => {
+    console.log("\nReceived SIGINT, shutting down gracefully...");
+    scheduler.stop();
+    process.exit(0);
+  });
 
-// Start the server
-startServer();
+  startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,249 @@
+/**
+ * CSV Snapshot Scraper
+ * Scrapes Schwab's money funds page into a dated CSV snapshot in /public.
+ * Used by `npm run scrape:cli` and by the server's scrape scheduler.
+ *
+ * Yields, expense ratios, minimums and eligibility come from the money
+ * funds page; NAV and total net assets from each fund's page. The fund
+ * registry in src/providers/schwab-funds.js fills in only what neither page
+ * had, and each row's Notes say where its values came from. Every fund
+ * linked from the page is diffed against the registry, and the change
+ * report is written to data/reports/.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const schwab = require("./providers/schwab");
+const { SCHWAB_FUNDS } = require("./providers/schwab-funds");
+const { findTickerLinks } = require("./providers/page-utils");
+const { getFundDetails } = require("./scraper");
+const {
+  getTodayDate,
+  getSnapshotName,
+  mergeSnapshotRow,
+  writeSnapshot,
+  writeManifest,
+} = require("./snapshots");
+const {
+  getChangePolicy,
+  diffFunds,
+  hasChanges,
+  flagRows,
+  writeChangeReport,
+} = require("./fund-changes");
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const REPORTS_DIR = path.join(__dirname, "..", "data", "reports");
+
+/**
+ * Read a fund's own page, or nothing when it cannot be fetched
+ * @param {string} ticker - Fund ticker
+ * @returns {Promise<Object>} Values keyed by the snapshot columns
+ */
+async function fetchDetails(ticker) {
+  try {
+    return (await getFundDetails(ticker)) || {};
+  } catch (error) {
+    console.log(`  Could not read ${ticker}'s fund page: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Build the snapshot rows: each fund on the page, filled in from its fund
+ * page and then the registry (under its previous ticker after a ticker
+ * change), followed by registry funds the page no longer lists (their
+ * yields are "--")
+ * @param {Array<Object>} pageRows - Rows parsed from the money funds page
+ * @param {Object} changes - Report from diffFunds
+ * @param {boolean} details - Whether to read each fund's page
+ * @returns {Promise<Array<Object>>} Snapshot rows
+ */
+async function buildRows(pageRows, changes, details) {
+  const rows = [];
+  const previousTickers = new Map(
+    changes.renamed
+      .filter((change) => change.previousTicker)
+      .map((change) => [change.ticker, change.previousTicker]),
+  );
+
+  for (const pageRow of pageRows) {
+    const fundPage = details ? await fetchDetails(pageRow.Ticker) : {};
+    const registryTicker =
+      previousTickers.get(pageRow.Ticker) || pageRow.Ticker;
+    rows.push(
+      mergeSnapshotRow([
+        { name: "page", row: pageRow },
+        { name: "fund page", row: fundPage },
+        { name: "fallback", row: SCHWAB_FUNDS[registryTicker] },
+      ]),
+    );
+  }
+
+  changes.missing
+    .map(({ ticker }) => ticker)
+    .concat(changes.delisted)
+    .forEach((ticker) => {
+      rows.push(
+        mergeSnapshotRow([
+          {
+            name: "fallback",
+            row: { ...SCHWAB_FUNDS[ticker], Ticker: ticker },
+          },
+        ]),
+      );
+    });
+
+  return rows;
+}
+
+/**
+ * Print the change report, one line per fund
+ * @param {Object} changes - Report from diffFunds
+ */
+function logChanges(changes) {
+  changes.added.forEach(({ ticker, fundName }) => {
+    console.log(
+      `  Added:   ${ticker} - ${fundName || "(no name on the page)"}`,
+    );
+  });
+  changes.missing.forEach(({ ticker, fundName }) => {
+    console.log(`  Missing: ${ticker} - ${fundName}`);
+  });
+  changes.renamed.forEach((change) => {
+    const previous = change.previousTicker || change.previousName;
+    console.log(
+      `  Renamed: ${change.ticker} - ${previous} -> ${change.fundName}`,
+    );
+  });
+  if (changes.delisted.length > 0) {
+    console.log(`  Known delisted: ${changes.delisted.join(", ")}`);
+  }
+}
+
+/**
+ * Scrape Schwab's page into today's snapshot and rebuild the manifest
+ * @param {Object} options - Options:
+ *   - date: snapshot date, MM-DD-YYYY (default today)
+ *   - policy: "flag" or "fail" on fund list changes (default
+ *     FUND_CHANGE_POLICY, else flag)
+ *   - details: read each fund's page (default true)
+ *   - overwrite: replace a snapshot already saved for the date (default
+ *     true); when false the run is skipped before fetching anything
+ *   - publicDir, reportsDir: where snapshots and change reports go
+ * @returns {Promise<Object>} {status: "saved"|"skipped", date, filepath,
+ *   funds, fallbackCount, changes, reportPath}
+ * @throws {Error} When the page cannot be fetched or has no fund tables
+ *   (error.html holds the page), the change policy is unknown
+ *   (error.retryable is false), or the fund list changed under the "fail"
+ *   policy (error.report holds the change report, error.retryable is false)
+ */
+async function scrapeSnapshot(options = {}) {
+  const {
+    date = getTodayDate(),
+    details = true,
+    overwrite = true,
+    publicDir = PUBLIC_DIR,
+    reportsDir = REPORTS_DIR,
+  } = options;
+  let policy;
+  try {
+    policy = getChangePolicy(options.policy || process.env.FUND_CHANGE_POLICY);
+  } catch (error) {
+    // A bad setting fails every attempt the same way
+    error.retryable = false;
+    throw error;
+  }
+  const filepath = path.join(publicDir, getSnapshotName(schwab.id, date));
+
+  if (!overwrite && fs.existsSync(filepath)) {
+    console.log(`Snapshot for ${date} already saved: ${filepath}`);
+    return { status: "skipped", date, filepath };
+  }
+
+  // Fetch the page
+  const html = await schwab.fetchPage();
+  console.log(`Fetched ${html.length} bytes\n`);
+
+  // Parse the fund tables
+  const pageRows = schwab.parse(html);
+  console.log(`Found ${pageRows.length} funds:\n`);
+
+  for (const row of pageRows) {
+    const yieldVal = row["7-Day Yield (with waivers)"] || "--";
+    console.log(
+      `  ${row.Ticker}: ${yieldVal.padStart(6)} - ${row["Fund Name"]}`,
+    );
+  }
+
+  if (pageRows.length === 0) {
+    const error = new Error(
+      "No fund tables found. The page structure may have changed.",
+    );
+    error.html = html;
+    throw error;
+  }
+
+  // Diff every fund linked from the page against the registry
+  const changes = diffFunds(SCHWAB_FUNDS, [
+    ...pageRows.map((row) => ({
+      ticker: row.Ticker,
+      fundName: row["Fund Name"],
+    })),
+    ...findTickerLinks(html),
+  ]);
+  const changed = hasChanges(changes);
+  const report = {
+    provider: schwab.id,
+    date,
+    policy,
+    status: !changed ? "unchanged" : policy === "fail" ? "failed" : "flagged",
+    ...changes,
+  };
+
+  console.log(changed ? "\nFund changes:" : "\nNo fund changes");
+  logChanges(changes);
+  const reportPath = writeChangeReport(reportsDir, report);
+  console.log(`Change report: ${reportPath}`);
+
+  if (report.status === "failed") {
+    const error = new Error(
+      "The fund list changed. Update src/providers/schwab-funds.js, or rerun with --on-change=flag.",
+    );
+    error.report = report;
+    error.retryable = false;
+    throw error;
+  }
+
+  // Fill in each fund from its fund page and the registry
+  console.log("");
+  const rows = flagRows(await buildRows(pageRows, changes, details), changes);
+  const fallbackCount = rows.filter((row) =>
+    row.Notes.includes("fallback ("),
+  ).length;
+
+  // Save to file and update the CSV manifest file
+  writeSnapshot(publicDir, schwab.id, rows, date);
+  const manifest = writeManifest(publicDir);
+
+  console.log(`\nSaved to: ${filepath}`);
+  console.log(`\nTotal funds: ${rows.length}`);
+  console.log(`Funds on the page: ${pageRows.length}`);
+  console.log(`Funds using registry fallbacks: ${fallbackCount}`);
+  console.log(`Total CSV files in manifest: ${manifest.length}`);
+
+  return {
+    status: "saved",
+    date,
+    filepath,
+    funds: rows.length,
+    fallbackCount,
+    changes,
+    reportPath,
+  };
+}
+
+module.exports = {
+  buildRows,
+  scrapeSnapshot,
+};
@@ -0,0 +1,172 @@
+/**
+ * Fund Change Detection
+ * Compares the funds a provider's page lists with its fund registry, so a
+ * new share class, a dropped fund or a renamed one is reported instead of
+ * silently skipped, and applies the configured change policy
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { normalizeFundName } = require("./history");
+
+// flag: write the snapshot, noting each change on the affected row
+// fail: write only the change report and fail the run
+const CHANGE_POLICIES = ["flag", "fail"];
+const DEFAULT_CHANGE_POLICY = "flag";
+
+/**
+ * Read a change policy (from --on-change or FUND_CHANGE_POLICY)
+ * @param {string|undefined} value - "flag" or "fail" (default flag)
+ * @returns {string} Policy
+ */
+function getChangePolicy(value) {
+  const policy = String(value || DEFAULT_CHANGE_POLICY)
+    .trim()
+    .toLowerCase();
+  if (!CHANGE_POLICIES.includes(policy)) {
+    throw new Error(
+      `Unknown change policy: ${value} (use ${CHANGE_POLICIES.join(" or ")})`,
+    );
+  }
+  return policy;
+}
+
+/**
+ * Diff the funds listed on a page against the registry
+ * A new ticker under the name of a fund missing from the page counts as a
+ * rename (a ticker change), not as one added and one missing fund.
+ * @param {Object} registry - Known funds by ticker ({"Fund Name", listed});
+ *   listed: false marks a fund known to be off the page
+ * @param {Array<Object>} listedFunds - [{ticker, fundName}] from the page;
+ *   a repeated ticker keeps its first entry
+ * @returns {Object} Change report:
+ *   - added: [{ticker, fundName}] on the page, not in the registry
+ *   - missing: [{ticker, fundName}] in the registry, not on the page
+ *   - renamed: [{ticker, fundName, previousName}] for a new name, or
+ *     [{ticker, fundName, previousTicker}] for a new ticker
+ *   - delisted: tickers marked listed: false and still off the page
+ */
+function diffFunds(registry, listedFunds) {
+  const onPage = new Map();
+  listedFunds.forEach((fund) => {
+    if (!onPage.has(fund.ticker)) {
+      onPage.set(fund.ticker, fund);
+    }
+  });
+  const funds = [...onPage.values()];
+  const offPage = Object.keys(registry).filter((ticker) => !onPage.has(ticker));
+  const sameName = (a, b) =>
+    Boolean(a) && normalizeFundName(a) === normalizeFundName(b);
+
+  let missing = offPage
+    .filter((ticker) => registry[ticker].listed !== false)
+    .map((ticker) => ({ ticker, fundName: registry[ticker]["Fund Name"] }));
+  const renamed = funds
+    .filter(
+      (fund) =>
+        registry[fund.ticker] &&
+        fund.fundName &&
+        !sameName(fund.fundName, registry[fund.ticker]["Fund Name"]),
+    )
+    .map((fund) => ({
+      ticker: fund.ticker,
+      fundName: fund.fundName,
+      previousName: registry[fund.ticker]["Fund Name"],
+    }));
+
+  const added = funds
+    .filter((fund) => !registry[fund.ticker])
+    .filter((fund) => {
+      const previous = missing.find((entry) =>
+        sameName(fund.fundName, entry.fundName),
+      );
+      if (!previous) {
+        return true;
+      }
+      missing = missing.filter((entry) => entry !== previous);
+      renamed.push({
+        ticker: fund.ticker,
+        fundName: fund.fundName,
+        previousTicker: previous.ticker,
+      });
+      return false;
+    })
+    .map(({ ticker, fundName }) => ({ ticker, fundName }));
+
+  const delisted = offPage.filter(
+    (ticker) => registry[ticker].listed === false,
+  );
+
+  return { added, missing, renamed, delisted };
+}
+
+/**
+ * Check whether a change report has anything the policy acts on
+ * @param {Object} changes - Report from diffFunds
+ * @returns {boolean} True when funds were added, went missing or renamed
+ */
+function hasChanges(changes) {
+  return (
+    changes.added.length + changes.missing.length + changes.renamed.length > 0
+  );
+}
+
+/**
+ * Note each change on the snapshot row it affects (the "flag" policy)
+ * @param {Array<Object>} rows - Snapshot rows keyed by the snapshot columns
+ * @param {Object} changes - Report from diffFunds
+ * @returns {Array<Object>} Rows with the change prepended to Notes
+ */
+function flagRows(rows, changes) {
+  const flags = new Map();
+  changes.added.forEach(({ ticker }) => {
+    flags.set(ticker, "New fund: not in the fund registry");
+  });
+  changes.missing.forEach(({ ticker }) => {
+    flags.set(ticker, "Missing from the page");
+  });
+  changes.renamed.forEach((change) => {
+    flags.set(
+      change.ticker,
+      `Renamed from ${change.previousTicker || change.previousName}`,
+    );
+  });
+
+  return rows.map((row) => {
+    const flag = flags.get(row.Ticker);
+    if (!flag) {
+      return row;
+    }
+    return {
+      ...row,
+      Notes: [flag, row.Notes].filter(Boolean).join("; "),
+    };
+  });
+}
+
+/**
+ * Write a change report as JSON
+ * @param {string} dir - Report directory (created when missing)
+ * @param {Object} report - {provider, date, policy, status, ...changes}
+ * @returns {string} Path of the written file
+ *   (<provider>_changes_MM-DD-YYYY.json)
+ */
+function writeChangeReport(dir, report) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filepath = path.join(
+    dir,
+    `${report.provider}_changes_${report.date}.json`,
+  );
+  fs.writeFileSync(filepath, JSON.stringify(report, null, 2) + "\n");
+  return filepath;
+}
+
+module.exports = {
+  CHANGE_POLICIES,
+  DEFAULT_CHANGE_POLICY,
+  getChangePolicy,
+  diffFunds,
+  hasChanges,
+  flagRows,
+  writeChangeReport,
+};
@@ -0,0 +1,325 @@
+/**
+ * Historical Data Module
+ * Builds per-fund yield time series from the dated CSV snapshots in /public
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseCSV, getField, parseDateMMDDYYYY } = require("./data-utils");
+const snapshots = require("./snapshots");
+
+// Point fields that can be compared across funds
+const HISTORY_METRICS = ["grossYield", "grossYieldWithoutWaivers", "netYield"];
+
+/**
+ * List snapshot CSV files in a directory, for every provider
+ * @param {string} dir - Directory holding <provider>_money_funds_MM-DD-YYYY.csv files
+ * @returns {Array<Object>} Array of {provider, name, date} objects (oldest first)
+ */
+function listSnapshotFiles(dir) {
+  return snapshots.listSnapshotFiles(dir);
+}
+
+/**
+ * Load and parse every snapshot CSV in a directory
+ * Providers' snapshots from the same day are merged into one
+ * @param {string} dir - Snapshot directory
+ * @returns {Array<Object>} Array of {date, rows} objects (oldest first)
+ */
+function loadSnapshots(dir) {
+  const byDate = [];
+  listSnapshotFiles(dir).forEach((file) => {
+    const rows = parseCSV(fs.readFileSync(path.join(dir, file.name), "utf-8"));
+    const snapshot = byDate.find((entry) => entry.date === file.date);
+    if (snapshot) {
+      snapshot.rows = snapshot.rows.concat(rows);
+    } else {
+      byDate.push({ date: file.date, rows });
+    }
+  });
+  return byDate;
+}
+
+/**
+ * Parse a date query parameter (YYYY-MM-DD or MM-DD-YYYY) as a local date
+ * @param {string} value - Raw query value
+ * @returns {Date|null} Parsed date (may be invalid), or null when not provided
+ */
+function parseDateParam(value) {
+  if (!value) return null;
+
+  const str = String(value).trim();
+  const iso = str.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    return new Date(parseInt(iso[1]), parseInt(iso[2]) - 1, parseInt(iso[3]));
+  }
+  if (/^\d{2}-\d{2}-\d{4}$/.test(str)) {
+    return parseDateMMDDYYYY(str);
+  }
+  return new Date(NaN);
+}
+
+/**
+ * Format a local date as YYYY-MM-DD
+ * @param {Date|null} date - Date to format
+ * @returns {string|null} Formatted date or null
+ */
+function formatISODate(date) {
+  if (!date) return null;
+  const mm = String(date.getMonth() + 1).padStart(2, "0");
+  const dd = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${mm}-${dd}`;
+}
+
+/**
+ * Parse a percentage cell, treating blanks and "--" as missing
+ * @param {string} val - Percentage string (e.g., "3.52%")
+ * @returns {number|null} Numeric value or null
+ */
+function parseOptionalPercent(val) {
+  if (!val || val.trim() === "--") return null;
+  const num = parseFloat(String(val).replace("%", "").trim());
+  return isNaN(num) ? null : num;
+}
+
+/**
+ * Normalize a fund name for matching (case, whitespace and dash spacing)
+ * @param {string} name - Fund name
+ * @returns {string} Normalized name
+ */
+function normalizeFundName(name) {
+  return (name || "")
+    .toLowerCase()
+    .replace(/\s*-\s*/g, " - ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Find a fund by ticker or fund name across snapshots
+ * The most recent snapshot wins so the returned name is the current one.
+ * @param {Array<Object>} snapshots - Loaded snapshots
+ * @param {string} fundKey - Ticker (e.g., "SWVXX") or fund name
+ * @returns {Object|null} {symbol, fundName, csvCategory} or null if unknown
+ */
+function resolveFund(snapshots, fundKey) {
+  const ticker = String(fundKey || "")
+    .trim()
+    .toUpperCase();
+  const name = normalizeFundName(fundKey);
+
+  for (let i = snapshots.length - 1; i >= 0; i--) {
+    const row = snapshots[i].rows.find(
+      (r) =>
+        getField(r, ["Ticker", "Symbol"]).toUpperCase() === ticker ||
+        normalizeFundName(getField(r, ["Fund Name", "FundName"])) === name,
+    );
+    if (row) {
+      return {
+        symbol: getField(row, ["Ticker", "Symbol"]),
+        fundName: getField(row, ["Fund Name", "FundName"]),
+        csvCategory: row["Category"] || "",
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a snapshot date falls inside an optional date range
+ * @param {string} dateStr - Snapshot date in MM-DD-YYYY format
+ * @param {Object} dateRange - {startDate, endDate}, either may be null
+ * @returns {boolean} True if the date is within range
+ */
+function isInRange(dateStr, dateRange = {}) {
+  const date = parseDateMMDDYYYY(dateStr);
+  if (dateRange.startDate && date < dateRange.startDate) return false;
+  if (dateRange.endDate && date > dateRange.endDate) return false;
+  return true;
+}
+
+/**
+ * Build a yield data point from a snapshot row
+ * @param {Object} row - CSV row for the fund
+ * @param {string} dateStr - Snapshot date
+ * @returns {Object} Data point
+ */
+function buildHistoryPoint(row, dateStr) {
+  const grossYield = parseOptionalPercent(
+    getField(row, ["7-Day Yield (with waivers)", "7DayYieldWithWaivers"]),
+  );
+  const expenseRatio = parseOptionalPercent(
+    getField(row, ["Net Expense Ratio", "NetExpenseRatio", "Expense Ratio"]),
+  );
+
+  return {
+    date: dateStr,
+    grossYield: grossYield,
+    grossYieldWithoutWaivers: parseOptionalPercent(
+      getField(row, [
+        "7-Day Yield (without waivers)",
+        "7DayYieldWithoutWaivers",
+      ]),
+    ),
+    expenseRatio: expenseRatio,
+    netYield:
+      grossYield !== null && expenseRatio !== null
+        ? roundYield(grossYield - expenseRatio)
+        : null,
+  };
+}
+
+/**
+ * Build the time series for one ticker
+ * Snapshots that do not list the fund are skipped.
+ * @param {Array<Object>} snapshots - Loaded snapshots
+ * @param {string} symbol - Fund ticker
+ * @param {Object} dateRange - {startDate, endDate}
+ * @returns {Array<Object>} Data points (oldest first)
+ */
+function buildFundSeries(snapshots, symbol, dateRange) {
+  const points = [];
+
+  snapshots.forEach((snapshot) => {
+    if (!isInRange(snapshot.date, dateRange)) return;
+    const row = snapshot.rows.find(
+      (r) => getField(r, ["Ticker", "Symbol"]) === symbol,
+    );
+    if (row) points.push(buildHistoryPoint(row, snapshot.date));
+  });
+
+  return points;
+}
+
+/**
+ * Get historical yield data for a fund from the snapshot archive
+ * @param {string} dir - Snapshot directory
+ * @param {string} fundKey - Ticker or fund name
+ * @param {Object} dateRange - {startDate, endDate}, either may be null
+ * @returns {Object|null} History payload, or null if the fund is unknown
+ */
+function getFundHistory(dir, fundKey, dateRange = {}) {
+  const snapshots = loadSnapshots(dir);
+  const fund = resolveFund(snapshots, fundKey);
+  if (!fund) return null;
+
+  return {
+    symbol: fund.symbol,
+    fundName: fund.fundName,
+    csvCategory: fund.csvCategory,
+    startDate: formatISODate(dateRange.startDate),
+    endDate: formatISODate(dateRange.endDate),
+    points: buildFundSeries(snapshots, fund.symbol, dateRange),
+  };
+}
+
+/**
+ * Round a computed yield to strip floating point noise
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundYield(value) {
+  return Number(value.toFixed(4));
+}
+
+/**
+ * Summarize one aligned series, ignoring missing values
+ * @param {Array<number|null>} values - Values on the shared date axis
+ * @returns {Object} {count, min, max, mean, latest, change}
+ */
+function summarizeSeries(values) {
+  const present = values.filter((v) => v !== null);
+  if (!present.length) {
+    return {
+      count: 0,
+      min: null,
+      max: null,
+      mean: null,
+      latest: null,
+      change: null,
+    };
+  }
+
+  const first = present[0];
+  const latest = present[present.length - 1];
+  const sum = present.reduce((acc, v) => acc + v, 0);
+
+  return {
+    count: present.length,
+    min: Math.min(...present),
+    max: Math.max(...present),
+    mean: roundYield(sum / present.length),
+    latest: latest,
+    change: roundYield(latest - first),
+  };
+}
+
+/**
+ * Compare several funds on one shared date axis
+ * Every snapshot in range becomes a date; a fund missing from a snapshot
+ * (or with a missing value) gets null at that position.
+ * @param {Array<Object>} snapshots - Loaded snapshots
+ * @param {Array<Object>} funds - Resolved funds ({symbol, fundName, csvCategory})
+ * @param {Object} options - {dateRange, metric, baseline}
+ * @returns {Object} Comparison payload
+ */
+function compareFunds(snapshots, funds, options = {}) {
+  const { dateRange = {}, metric = "netYield", baseline = null } = options;
+  const inRange = snapshots.filter((s) => isInRange(s.date, dateRange));
+  const dates = inRange.map((s) => s.date);
+
+  const series = {};
+  const summary = {};
+  funds.forEach((fund) => {
+    series[fund.symbol] = inRange.map((snapshot) => {
+      const row = snapshot.rows.find(
+        (r) => getField(r, ["Ticker", "Symbol"]) === fund.symbol,
+      );
+      return row ? buildHistoryPoint(row, snapshot.date)[metric] : null;
+    });
+    summary[fund.symbol] = summarizeSeries(series[fund.symbol]);
+  });
+
+  let spread = null;
+  if (baseline) {
+    spread = {};
+    const base = series[baseline];
+    funds
+      .filter((fund) => fund.symbol !== baseline)
+      .forEach((fund) => {
+        spread[fund.symbol] = series[fund.symbol].map((v, i) =>
+          v !== null && base[i] !== null ? roundYield(v - base[i]) : null,
+        );
+      });
+  }
+
+  return {
+    metric: metric,
+    startDate: formatISODate(dateRange.startDate),
+    endDate: formatISODate(dateRange.endDate),
+    dates: dates,
+    funds: funds,
+    series: series,
+    summary: summary,
+    baseline: baseline,
+    spread: spread,
+  };
+}
+
+module.exports = {
+  HISTORY_METRICS,
+  listSnapshotFiles,
+  loadSnapshots,
+  parseDateParam,
+  formatISODate,
+  parseOptionalPercent,
+  normalizeFundName,
+  resolveFund,
+  isInRange,
+  buildHistoryPoint,
+  buildFundSeries,
+  getFundHistory,
+  summarizeSeries,
+  compareFunds,
+};
@@ -0,0 +1,31 @@
+/**
+ * Fidelity Fund Provider
+ * Fidelity's money market page builds its tables in the browser, so funds
+ * are read from a locally saved copy of the page
+ */
+
+const { categorizeFund } = require("../data-utils");
+const { parseFundTables } = require("./page-utils");
+
+const FIDELITY_URL =
+  "https://www.fidelity.com/mutual-funds/fidelity-funds/money-market-funds";
+
+module.exports = {
+  id: "fidelity",
+  metadata: {
+    name: "Fidelity",
+    url: FIDELITY_URL,
+    snapshotPrefix: "fidelity_money_funds_",
+    live: false,
+  },
+  fetchPage: () =>
+    Promise.reject(
+      new Error(
+        "Fidelity's page is rendered in the browser; save it as fidelity.html in the pages directory",
+      ),
+    ),
+  parse: parseFundTables,
+  // Fidelity groups government and Treasury funds under one heading, so
+  // only the fund name decides the category
+  categorize: (row) => categorizeFund({ "Fund Name": row["Fund Name"] }),
+};
@@ -0,0 +1,89 @@
+/**
+ * Fund Provider Registry
+ * Each provider knows how to fetch its money funds page, parse it into
+ * CSV-style rows and categorize its funds:
+ *
+ *   {
+ *     id,                                  // "schwab", used in URLs and file names
+ *     metadata: { name, url, snapshotPrefix, live },
+ *     fetchPage() → Promise<string>,       // page HTML (rejects when not live)
+ *     parse(html) → Array<Object>,         // rows keyed by the CSV snapshot headers
+ *     categorize(row) → string,            // tax category key
+ *     fetchDetails(ticker) → Promise<Object>,  // optional: one fund's page,
+ *                                          // keyed like parse's rows
+ *   }
+ */
+
+const { transformRowToFund } = require("../data-utils");
+const schwab = require("./schwab");
+const fidelity = require("./fidelity");
+const vanguard = require("./vanguard");
+
+const PROVIDERS = { schwab, fidelity, vanguard };
+const DEFAULT_PROVIDER_IDS = ["schwab"];
+
+/**
+ * Look up a provider by id
+ * @param {string} id - Provider id (any case)
+ * @returns {Object|null} Provider, or null when unknown
+ */
+function getProvider(id) {
+  const key = String(id || "")
+    .trim()
+    .toLowerCase();
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, key)
+    ? PROVIDERS[key]
+    : null;
+}
+
+/**
+ * Parse a comma-separated provider list (a query param or FUND_PROVIDERS)
+ * @param {string|Array<string>|undefined} value - "schwab,fidelity" or ids
+ * @returns {Object} {ids, unknown}: known ids in order without repeats
+ *   (the defaults when the list is empty) and the unrecognized entries
+ */
+function parseProviderIds(value) {
+  const entries = (
+    Array.isArray(value) ? value : String(value || "").split(",")
+  )
+    .map((entry) => String(entry).trim())
+    .filter(Boolean);
+  const ids = [];
+  const unknown = [];
+
+  entries.forEach((entry) => {
+    const provider = getProvider(entry);
+    if (!provider) {
+      unknown.push(entry);
+    } else if (!ids.includes(provider.id)) {
+      ids.push(provider.id);
+    }
+  });
+
+  return { ids: ids.length ? ids : [...DEFAULT_PROVIDER_IDS], unknown };
+}
+
+/**
+ * Turn a provider's parsed rows into fund objects
+ * Uses the same row transform as the CSV snapshots, with the provider's
+ * categorization
+ * @param {Object} provider - Provider
+ * @param {Array<Object>} rows - Rows from provider.parse
+ * @returns {Array<Object>} Fund objects tagged with provider and sourceUrl
+ */
+function toFunds(provider, rows) {
+  return rows.map((row) => ({
+    ...transformRowToFund(row),
+    category: provider.categorize(row),
+    provider: provider.id,
+    sourceUrl: provider.metadata.url,
+  }));
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER_IDS,
+  getProvider,
+  parseProviderIds,
+  toFunds,
+};
@@ -0,0 +1,293 @@
+/**
+ * Fund Page Utilities
+ * Fetching and table parsing shared by the fund providers
+ */
+
+const axios = require("axios");
+const cheerio = require("cheerio");
+
+const REQUEST_TIMEOUT_MS = 30000;
+const USER_AGENT =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+/**
+ * Map a page's column headers to the CSV snapshot columns
+ * Checked in order, so "without waivers" wins over the plain yield column
+ * and "gross" over the plain expense ratio column
+ */
+const COLUMN_PATTERNS = [
+  [/^(ticker|symbol)$/, "Ticker"],
+  [/^(fund|fund name|name)$/, "Fund Name"],
+  [/without waivers/, "7-Day Yield (without waivers)"],
+  [/7-day (sec )?yield|seven-day yield/, "7-Day Yield (with waivers)"],
+  [/minimum/, "Minimum Initial Investment"],
+  [/gross expense/, "Gross Expense Ratio"],
+  [/expense ratio/, "Net Expense Ratio"],
+  [/total net assets/, "Total Net Assets"],
+  [/\bnav\b|net asset value/, "NAV"],
+  [/eligib/, "Eligible Investors"],
+];
+
+const HEADINGS = "h1, h2, h3, h4, h5, h6";
+const TICKER_PATTERN = /^[A-Z]{2,6}$/;
+const FUND_LINK_PATTERN = /\/(?:products|profile)\/([a-z]{2,6})(?:[/?#]|$)/i;
+
+/**
+ * Fetch a fund page's HTML
+ * @param {string} url - Page URL
+ * @returns {Promise<string>} Page HTML
+ */
+async function fetchPage(url) {
+  console.log(`Fetching ${url}...`);
+
+  const response = await axios.get(url, {
+    headers: {
+      "User-Agent": USER_AGENT,
+      Accept: "text/html,application/xhtml+xml",
+    },
+    responseType: "text",
+    timeout: REQUEST_TIMEOUT_MS,
+  });
+  return response.data;
+}
+
+/**
+ * Collapse whitespace in an element's text, leaving out footnote markers
+ * @param {Object} $ - Loaded cheerio document
+ * @param {Object} element - Element to read
+ * @returns {string} Trimmed text
+ */
+function getCellText($, element) {
+  return $(element)
+    .clone()
+    .find("sup")
+    .remove()
+    .end()
+    .text()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Find the section title a fund table sits under: its caption, or else
+ * the nearest heading before it or before one of its ancestors
+ * @param {Object} $ - Loaded cheerio document
+ * @param {Object} table - Table element
+ * @returns {string} Section title, or "" when there is none
+ */
+function findSectionTitle($, table) {
+  const caption = $(table).children("caption");
+  if (caption.length) {
+    return getCellText($, caption);
+  }
+
+  for (
+    let node = $(table);
+    node.length && !node.is("body");
+    node = node.parent()
+  ) {
+    for (const sibling of node.prevAll().toArray()) {
+      const heading = $(sibling).is(HEADINGS)
+        ? $(sibling)
+        : $(sibling).find(HEADINGS).last();
+      if (heading.length) {
+        return getCellText($, heading);
+      }
+    }
+  }
+
+  return "";
+}
+
+/**
+ * Read the ticker from a fund name cell's link: its text when that is a
+ * ticker, else the ".../products/TICKER" or ".../profile/ticker" path
+ * @param {Object} $ - Loaded cheerio document
+ * @param {Object} cell - Fund name cell
+ * @returns {string|null} Ticker, or null when the cell has none
+ */
+function getLinkedTicker($, cell) {
+  const link = $(cell).find("a").first();
+  const linkText = link.text().trim();
+  if (TICKER_PATTERN.test(linkText)) {
+    return linkText;
+  }
+
+  const hrefMatch = (link.attr("href") || "").match(FUND_LINK_PATTERN);
+  return hrefMatch ? hrefMatch[1].toUpperCase() : null;
+}
+
+/**
+ * Read the ticker and fund name from a row, using the Ticker and Fund Name
+ * columns when the table has them and the first cell otherwise, which may
+ * hold "Fund Name (<a href=".../products/TICKER">TICKER</a>)"
+ * @param {Object} $ - Loaded cheerio document
+ * @param {Array<Object>} cells - The row's <td> elements
+ * @param {Array<string|null>} columns - Snapshot column of each cell
+ * @returns {Object|null} {fundName, ticker}, or null when there is no ticker
+ */
+function parseFundCell($, cells, columns) {
+  const nameIndex = Math.max(columns.indexOf("Fund Name"), 0);
+  const tickerIndex = columns.indexOf("Ticker");
+  const nameCell = cells[nameIndex];
+
+  const tickerText =
+    tickerIndex >= 0 && cells[tickerIndex]
+      ? getCellText($, cells[tickerIndex]).toUpperCase()
+      : "";
+  const ticker = TICKER_PATTERN.test(tickerText)
+    ? tickerText
+    : getLinkedTicker($, nameCell);
+  if (!ticker) {
+    return null;
+  }
+
+  const fundName = getCellText($, nameCell)
+    .replace(new RegExp(`\\(\\s*${ticker}\\s*\\)`, "i"), "")
+    .trim();
+  return { fundName, ticker };
+}
+
+/**
+ * Parse the fund tables on a money funds page
+ * Columns are matched by header text, so reordered or missing columns still
+ * parse; tables without a 7-day yield column are skipped
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} Rows keyed by the CSV snapshot headers
+ *   (Category, Fund Name, Ticker, 7-Day Yield (with waivers), ...), each
+ *   ticker once
+ */
+function parseFundTables(html) {
+  const $ = cheerio.load(html);
+  const rows = [];
+  const seen = new Set();
+
+  $("table").each((_, table) => {
+    const headerCells = $(table).find("tr").first().children("th");
+    const columns = headerCells.toArray().map((cell) => {
+      const text = getCellText($, cell).toLowerCase();
+      const match = COLUMN_PATTERNS.find(([pattern]) => pattern.test(text));
+      return match ? match[1] : null;
+    });
+    if (!columns.includes("7-Day Yield (with waivers)")) {
+      return;
+    }
+
+    const category = findSectionTitle($, table);
+    $(table)
+      .find("tr")
+      .each((_, tr) => {
+        const cells = $(tr).children("td").toArray();
+        const fund = cells.length > 1 ? parseFundCell($, cells, columns) : null;
+        if (!fund || seen.has(fund.ticker)) {
+          return;
+        }
+        seen.add(fund.ticker);
+
+        const row = {
+          Category: category,
+          "Fund Name": fund.fundName,
+          Ticker: fund.ticker,
+        };
+        columns.forEach((column, index) => {
+          if (
+            column &&
+            column !== "Fund Name" &&
+            column !== "Ticker" &&
+            cells[index]
+          ) {
+            row[column] = getCellText($, cells[index]);
+          }
+        });
+        rows.push(row);
+      });
+  });
+
+  return rows;
+}
+
+/**
+ * List every fund linked from a page, inside the fund tables or not
+ * Finds links to ".../products/TICKER" or ".../profile/ticker" pages, so a
+ * share class listed outside the yield tables is still seen
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} [{ticker, fundName}], each ticker once; the name
+ *   is the link's cell or list item without "(TICKER)", else the link text
+ */
+function findTickerLinks(html) {
+  const $ = cheerio.load(html);
+  const funds = [];
+  const seen = new Set();
+
+  $("a[href]").each((_, link) => {
+    const match = $(link).attr("href").match(FUND_LINK_PATTERN);
+    const ticker = match ? match[1].toUpperCase() : null;
+    if (!ticker || seen.has(ticker)) {
+      return;
+    }
+    seen.add(ticker);
+
+    const container = $(link).closest("td, li");
+    const text = getCellText($, container.length ? container : link);
+    const fundName = text
+      .replace(new RegExp(`\\(\\s*${ticker}\\s*\\)`, "i"), "")
+      .trim();
+    funds.push({
+      ticker,
+      fundName: fundName.toUpperCase() === ticker ? "" : fundName,
+    });
+  });
+
+  return funds;
+}
+
+/**
+ * Parse the fund facts on a single fund's page
+ * Reads label/value pairs from definition lists (<dt>/<dd>) and two-cell
+ * table rows, matching labels the same way as column headers
+ * @param {string} html - Fund page HTML
+ * @returns {Object} Values keyed by the CSV snapshot headers (NAV, Total
+ *   Net Assets, Net Expense Ratio, ...), the first of each label kept
+ */
+function parseFundDetails(html) {
+  const $ = cheerio.load(html);
+  const details = {};
+
+  const addDetail = (labelElement, valueElement) => {
+    const label = getCellText($, labelElement).toLowerCase();
+    const value = getCellText($, valueElement);
+    const match = COLUMN_PATTERNS.find(([pattern]) => pattern.test(label));
+    const column = match ? match[1] : null;
+    if (
+      column &&
+      column !== "Ticker" &&
+      column !== "Fund Name" &&
+      value &&
+      !(column in details)
+    ) {
+      details[column] = value;
+    }
+  };
+
+  $("dt").each((_, dt) => addDetail(dt, $(dt).next("dd")));
+  $("tr").each((_, tr) => {
+    const cells = $(tr).children("th, td").toArray();
+    if (cells.length === 2) {
+      addDetail(cells[0], cells[1]);
+    }
+  });
+
+  return details;
+}
+
+module.exports = {
+  COLUMN_PATTERNS,
+  fetchPage,
+  getCellText,
+  findSectionTitle,
+  getLinkedTicker,
+  parseFundCell,
+  parseFundTables,
+  findTickerLinks,
+  parseFundDetails,
+};
@@ -0,0 +1,150 @@
+/**
+ * Schwab Fund Registry
+ * Hand-maintained facts for each Schwab money fund, keyed by ticker and by
+ * the CSV snapshot headers. The CLI scraper reads these values from the
+ * money funds page and the fund pages, and falls back to this table only
+ * for fields neither page had. The scraper also diffs the page against
+ * this registry (src/fund-changes.js); listed: false marks a fund known to
+ * be off the page, which is kept in snapshots without being reported.
+ */
+
+const INVESTOR_SHARES = {
+  "Minimum Initial Investment": "No Minimum",
+  "Gross Expense Ratio": "0.35%",
+  "Net Expense Ratio": "0.34%",
+  NAV: "$1.00",
+};
+
+const ULTRA_SHARES = {
+  "Minimum Initial Investment": "$1,000,000",
+  "Gross Expense Ratio": "0.20%",
+  "Net Expense Ratio": "0.19%",
+  NAV: "$1.00",
+};
+
+const SCHWAB_FUNDS = {
+  SWVXX: {
+    ...INVESTOR_SHARES,
+    Category: "Taxable Money Funds",
+    "Fund Name": "Schwab Prime Advantage Money Fund - Investor Shares",
+    "Eligible Investors": "Retail",
+  },
+  SNAXX: {
+    ...ULTRA_SHARES,
+    Category: "Taxable Money Funds",
+    "Fund Name": "Schwab Prime Advantage Money Fund - Ultra Shares",
+    "Eligible Investors": "Retail",
+  },
+  SNVXX: {
+    ...INVESTOR_SHARES,
+    Category: "Taxable Money Funds",
+    "Fund Name": "Schwab Government Money Fund - Investor Shares",
+    "Eligible Investors": "Retail/Institutional",
+  },
+  SGUXX: {
+    ...ULTRA_SHARES,
+    Category: "Taxable Money Funds",
+    "Fund Name": "Schwab Government Money Fund - Ultra Shares",
+    "Eligible Investors": "Retail/Institutional",
+  },
+  SNOXX: {
+    ...INVESTOR_SHARES,
+    Category: "Taxable Money Funds",
+    "Fund Name": "Schwab Treasury Obligations Money Fund - Investor Shares",
+    "Eligible Investors": "Retail/Institutional",
+  },
+  SCOXX: {
+    ...ULTRA_SHARES,
+    Category: "Taxable Money Funds",
+    "Fund Name": "Schwab Treasury Obligations Money Fund - Ultra Shares",
+    "Eligible Investors": "Retail/Institutional",
+  },
+  SNSXX: {
+    ...INVESTOR_SHARES,
+    Category: "Taxable Money Funds",
+    "Fund Name": "Schwab U.S. Treasury Money Fund - Investor Shares",
+    "Eligible Investors": "Retail/Institutional",
+  },
+  SUTXX: {
+    ...ULTRA_SHARES,
+    Category: "Taxable Money Funds",
+    "Fund Name": "Schwab U.S. Treasury Money Fund - Ultra Shares",
+    "Eligible Investors": "Retail/Institutional",
+  },
+  SWTXX: {
+    ...INVESTOR_SHARES,
+    Category: "Tax-Exempt Money Funds",
+    "Fund Name": "Schwab Municipal Money Fund - Investor Shares",
+    "Eligible Investors": "Retail",
+  },
+  SWOXX: {
+    ...ULTRA_SHARES,
+    Category: "Tax-Exempt Money Funds",
+    "Fund Name": "Schwab Municipal Money Fund - Ultra Shares",
+    "Eligible Investors": "Retail",
+  },
+  SWWXX: {
+    ...INVESTOR_SHARES,
+    Category: "Tax-Exempt Money Funds",
+    "Fund Name": "Schwab AMT Tax-Free Money Fund - Investor Shares",
+    "Gross Expense Ratio": "0.36%",
+    "Eligible Investors": "Retail",
+  },
+  SCTXX: {
+    ...ULTRA_SHARES,
+    Category: "Tax-Exempt Money Funds",
+    "Fund Name": "Schwab AMT Tax-Free Money Fund - Ultra Shares",
+    "Gross Expense Ratio": "0.21%",
+    "Eligible Investors": "Retail",
+  },
+  SWKXX: {
+    ...INVESTOR_SHARES,
+    Category: "Tax-Exempt Money Funds",
+    "Fund Name": "Schwab California Municipal Money Fund - Investor Shares",
+    "Eligible Investors": "Retail",
+  },
+  SCAXX: {
+    ...ULTRA_SHARES,
+    Category: "Tax-Exempt Money Funds",
+    "Fund Name": "Schwab California Municipal Money Fund - Ultra Shares",
+    "Eligible Investors": "Retail",
+  },
+  SWYXX: {
+    ...INVESTOR_SHARES,
+    Category: "Tax-Exempt Money Funds",
+    "Fund Name": "Schwab New York Municipal Money Fund - Investor Shares",
+    "Gross Expense Ratio": "0.36%",
+    "Eligible Investors": "Retail",
+  },
+  SNYXX: {
+    ...ULTRA_SHARES,
+    Category: "Tax-Exempt Money Funds",
+    "Fund Name": "Schwab New York Municipal Money Fund - Ultra Shares",
+    "Gross Expense Ratio": "0.21%",
+    "Eligible Investors": "Retail",
+  },
+  SWGXX: {
+    Category: "Sweep Money Fund",
+    "Fund Name": "Schwab Government Money Fund - Sweep Shares",
+    "Minimum Initial Investment": "No Minimum",
+    "Gross Expense Ratio": "0.45%",
+    "Net Expense Ratio": "0.44%",
+    NAV: "$1.00",
+    "Eligible Investors": "--",
+    // Schwab eliminated sweep money funds as a cash feature
+    Notes: "No longer publicly listed; limited availability",
+    listed: false,
+  },
+  SGVT: {
+    Category: "Money Market ETF",
+    "Fund Name": "Schwab Government Money Market ETF",
+    "Minimum Initial Investment": "No Minimum",
+    "Gross Expense Ratio": "--",
+    "Net Expense Ratio": "0.28%",
+    NAV: "--",
+    "Eligible Investors": "Retail/Institutional",
+    Notes: "ETF; NAV not stable; trades on exchange",
+  },
+};
+
+module.exports = { SCHWAB_FUNDS };
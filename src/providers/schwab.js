@@ -0,0 +1,34 @@
+/**
+ * Schwab Fund Provider
+ * Schwab's money funds page is server-rendered, so it can be fetched live,
+ * and each fund's page on schwabassetmanagement.com adds its NAV and total
+ * net assets
+ */
+
+const { categorizeFund } = require("../data-utils");
+const {
+  fetchPage,
+  parseFundTables,
+  parseFundDetails,
+} = require("./page-utils");
+
+const SCHWAB_URL = "https://www.schwab.com/money-market-funds";
+const FUND_PAGE_URL = "https://www.schwabassetmanagement.com/products/";
+
+module.exports = {
+  id: "schwab",
+  metadata: {
+    name: "Charles Schwab",
+    url: SCHWAB_URL,
+    snapshotPrefix: "schwab_money_funds_",
+    live: true,
+  },
+  fetchPage: () => fetchPage(SCHWAB_URL),
+  parse: parseFundTables,
+  // Optional provider method: one fund's facts, keyed like parse's rows
+  fetchDetails: (ticker) =>
+    fetchPage(`${FUND_PAGE_URL}${ticker}`).then(parseFundDetails),
+  // Section titles are Schwab's own ("Taxable Money Funds", "Tax-Exempt
+  // Money Funds", ...), which categorizeFund was written against
+  categorize: categorizeFund,
+};
@@ -0,0 +1,31 @@
+/**
+ * Vanguard Fund Provider
+ * Vanguard's money market page builds its tables in the browser, so funds
+ * are read from a locally saved copy of the page
+ */
+
+const { categorizeFund } = require("../data-utils");
+const { parseFundTables } = require("./page-utils");
+
+const VANGUARD_URL =
+  "https://investor.vanguard.com/investment-products/mutual-funds/money-market-funds";
+
+module.exports = {
+  id: "vanguard",
+  metadata: {
+    name: "Vanguard",
+    url: VANGUARD_URL,
+    snapshotPrefix: "vanguard_money_funds_",
+    live: false,
+  },
+  fetchPage: () =>
+    Promise.reject(
+      new Error(
+        "Vanguard's page is rendered in the browser; save it as vanguard.html in the pages directory",
+      ),
+    ),
+  parse: parseFundTables,
+  // Sections are "Taxable" and "Tax-exempt", which categorizeFund reads
+  // together with the fund name
+  categorize: categorizeFund,
+};
@@ -0,0 +1,381 @@
+/**
+ * Scrape Scheduler
+ * Runs a scrape inside the server on a cron-like schedule, with random
+ * jitter after each scheduled time and retries with exponential backoff,
+ * and keeps the last run, the next run and recent errors for the status
+ * routes. Configured from .env (see readSchedulerConfig).
+ */
+
+// Cron fields in order: "minute hour day-of-month month day-of-week"
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+// setTimeout's longest delay; longer waits are re-armed
+const MAX_TIMER_MS = 2 ** 31 - 1;
+// Errors kept for the status routes
+const MAX_ERRORS = 10;
+// How far ahead to look for a schedule's next run (long enough for Feb 29)
+const MAX_LOOKAHEAD_YEARS = 5;
+
+const DEFAULT_SCHEDULE = "30 18 * * 1-5";
+
+/**
+ * Parse one cron field: "*", "5", "1-5", "*\/15", "0-30/10" or a list of
+ * those ("0,30")
+ * @param {string} text - Field text
+ * @param {Object} field - {name, min, max}
+ * @returns {Set<number>} Matching values
+ */
+function parseCronField(text, field) {
+  const values = new Set();
+
+  text.split(",").forEach((part) => {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name}: ${part}`);
+    }
+    const start = match[1] === "*" ? field.min : Number(match[2]);
+    const end =
+      match[1] === "*"
+        ? field.max
+        : match[3] !== undefined
+          ? Number(match[3])
+          : match[4]
+            ? field.max
+            : start;
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`Invalid ${field.name}: ${part}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Parse a five-field cron expression ("minute hour day month weekday")
+ * Day of week runs 0-6 from Sunday (7 is Sunday too). As in cron, when both
+ * day fields are restricted a day matching either one runs.
+ * @param {string} expression - Cron expression (e.g., "30 18 * * 1-5")
+ * @returns {Object} {expression, minutes, hours, days, months, weekdays,
+ *   anyDay, anyWeekday}
+ * @throws {Error} For a malformed expression
+ */
+function parseSchedule(expression) {
+  const parts = String(expression || "")
+    .trim()
+    .split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(
+      `Invalid schedule "${expression}": expected 5 fields (minute hour day month weekday)`,
+    );
+  }
+
+  let sets;
+  try {
+    sets = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  } catch (error) {
+    throw new Error(`Invalid schedule "${expression}": ${error.message}`);
+  }
+  const [minutes, hours, days, months, weekdays] = sets;
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    expression: parts.join(" "),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
+
+/**
+ * Check whether a schedule runs on a date's day
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Local date
+ * @returns {boolean} True when the day matches
+ */
+function matchesDay(schedule, date) {
+  const day = schedule.days.has(date.getDate());
+  const weekday = schedule.weekdays.has(date.getDay());
+  if (schedule.anyDay || schedule.anyWeekday) {
+    return day && weekday;
+  }
+  return day || weekday;
+}
+
+/**
+ * Find a schedule's next run after a time, in local time
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} from - Start (exclusive)
+ * @returns {Date|null} Next run, or null when none is within five years
+ */
+function getNextRun(schedule, from) {
+  const next = new Date(from.getTime());
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  while (next <= limit) {
+    if (!schedule.months.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0);
+    } else if (!matchesDay(schedule, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0);
+    } else if (!schedule.hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1);
+    } else {
+      return next;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Delay before a retry: the base delay, doubled after each failed attempt
+ * @param {number} attempt - Failed attempt (1 for the first run)
+ * @param {number} baseMs - Delay after the first failure
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt, baseMs) {
+  return baseMs * 2 ** (attempt - 1);
+}
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string|undefined} value - Environment value
+ * @param {number} fallback - Default when not set
+ * @param {string} name - Variable name for the error
+ * @returns {number} Value
+ */
+function readNumber(value, fallback, name) {
+  if (value === undefined || value === "") {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Read the scheduler settings from the environment
+ *   SCRAPE_SCHEDULER_ENABLED=true  turns it on (off by default)
+ *   SCRAPE_SCHEDULE                cron expression (default 30 18 * * 1-5)
+ *   SCRAPE_JITTER_MINUTES          random delay after each time (default 15)
+ *   SCRAPE_MAX_RETRIES             retries after a failed run (default 3)
+ *   SCRAPE_RETRY_DELAY_SECONDS     first retry delay, doubling (default 60)
+ * The other settings are only read when the scheduler is enabled, so a
+ * stray value can't stop a server that doesn't use it.
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object} {enabled, schedule, jitterMs, maxRetries, retryDelayMs}
+ * @throws {Error} For an invalid schedule or number when enabled
+ */
+function readSchedulerConfig(env) {
+  const enabled = env.SCRAPE_SCHEDULER_ENABLED === "true";
+  const settings = enabled ? env : {};
+  const schedule = settings.SCRAPE_SCHEDULE || DEFAULT_SCHEDULE;
+  parseSchedule(schedule);
+
+  return {
+    enabled,
+    schedule,
+    jitterMs:
+      readNumber(settings.SCRAPE_JITTER_MINUTES, 15, "SCRAPE_JITTER_MINUTES") *
+      60000,
+    maxRetries: Math.floor(
+      readNumber(settings.SCRAPE_MAX_RETRIES, 3, "SCRAPE_MAX_RETRIES"),
+    ),
+    retryDelayMs:
+      readNumber(
+        settings.SCRAPE_RETRY_DELAY_SECONDS,
+        60,
+        "SCRAPE_RETRY_DELAY_SECONDS",
+      ) * 1000,
+  };
+}
+
+/**
+ * Create a scrape scheduler
+ * Runs never overlap: a run requested while one is going returns the
+ * running one's result. An error with retryable: false is not retried.
+ * @param {Object} options - Options:
+ *   - enabled: whether start() schedules runs (default true)
+ *   - schedule: cron expression
+ *   - jitterMs: up to this much random delay after each scheduled time
+ *   - maxRetries: retries after a failed run
+ *   - retryDelayMs: delay before the first retry, doubling after each
+ *   - run: async () => result ({status, ...}) — the scrape
+ *   - random: () => [0, 1) for the jitter (default Math.random)
+ * @returns {Object} {start, stop, runNow, getStatus}
+ */
+function createScheduler(options) {
+  const {
+    enabled = true,
+    jitterMs = 0,
+    maxRetries = 0,
+    retryDelayMs = 60000,
+    run,
+    random = Math.random,
+  } = options;
+  const schedule = parseSchedule(options.schedule || DEFAULT_SCHEDULE);
+
+  let started = false;
+  let timer = null;
+  let nextRunAt = null;
+  let currentRun = null;
+  let lastRun = null;
+  const errors = [];
+
+  const later = (callback, delay) => {
+    const handle = setTimeout(callback, delay);
+    if (handle.unref) {
+      handle.unref();
+    }
+    return handle;
+  };
+
+  const arm = (runAt) => {
+    const delay = runAt.getTime() - Date.now();
+    timer = later(
+      () => {
+        timer = null;
+        if (delay > MAX_TIMER_MS) {
+          arm(runAt);
+        } else {
+          runNow().then(plan);
+        }
+      },
+      Math.max(0, Math.min(delay, MAX_TIMER_MS)),
+    );
+  };
+
+  const plan = () => {
+    if (!started) {
+      return;
+    }
+    const next = getNextRun(schedule, new Date());
+    nextRunAt = next
+      ? new Date(next.getTime() + Math.floor(random() * jitterMs))
+      : null;
+    if (nextRunAt) {
+      arm(nextRunAt);
+    }
+  };
+
+  const attemptRuns = async () => {
+    const entry = { startedAt: new Date().toISOString(), attempts: 0 };
+
+    for (;;) {
+      entry.attempts += 1;
+      try {
+        const result = await run();
+        entry.status = result.status;
+        entry.result = result;
+        break;
+      } catch (error) {
+        errors.unshift({
+          at: new Date().toISOString(),
+          attempt: entry.attempts,
+          message: error.message,
+        });
+        errors.splice(MAX_ERRORS);
+        if (entry.attempts > maxRetries || error.retryable === false) {
+          entry.status = "failed";
+          entry.error = error.message;
+          break;
+        }
+        const delay = getBackoffDelay(entry.attempts, retryDelayMs);
+        console.error(
+          `Scheduled scrape failed (attempt ${entry.attempts}): ${error.message}; retrying in ${Math.round(delay / 1000)}s`,
+        );
+        await new Promise((resolve) => later(resolve, delay));
+      }
+    }
+
+    entry.finishedAt = new Date().toISOString();
+    return entry;
+  };
+
+  /**
+   * Run a scrape now, with retries
+   * @returns {Promise<Object>} The run: {startedAt, finishedAt, attempts,
+   *   status, result, error}
+   */
+  function runNow() {
+    if (!currentRun) {
+      currentRun = attemptRuns().then((entry) => {
+        lastRun = entry;
+        currentRun = null;
+        return entry;
+      });
+    }
+    return currentRun;
+  }
+
+  /**
+   * Start scheduling runs (no-op when disabled or already started)
+   */
+  function start() {
+    if (enabled && !started) {
+      started = true;
+      plan();
+    }
+  }
+
+  /**
+   * Stop scheduling runs; a run in progress finishes
+   */
+  function stop() {
+    started = false;
+    clearTimeout(timer);
+    timer = null;
+    nextRunAt = null;
+  }
+
+  /**
+   * Current status for the status routes
+   * @returns {Object} {enabled, schedule, running, lastRun, nextRunAt,
+   *   errors}
+   */
+  function getStatus() {
+    return {
+      enabled,
+      schedule: schedule.expression,
+      running: Boolean(currentRun),
+      lastRun,
+      nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+      errors: [...errors],
+    };
+  }
+
+  return { start, stop, runNow, getStatus };
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  parseSchedule,
+  getNextRun,
+  getBackoffDelay,
+  readSchedulerConfig,
+  createScheduler,
+};
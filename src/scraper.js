@@ -1,13 +1,31 @@
 /**
  * Web Scraper Module
- * Scrapes money market fund data from Schwab
+ * Gathers money market fund data from the fund providers in src/providers,
+ * from a locally saved copy of each provider's page or from the live page
  * Includes mock data fallback for development/testing
  */
 
-const puppeteer = require('puppeteer');
+const fs = require('fs');
+const path = require('path');
+const { getProvider, parseProviderIds, toFunds } = require('./providers');
 
-const SCHWAB_URL = 'https://www.schwab.com/money-market-funds';
-const USE_MOCK_DATA = process.env.USE_MOCK_DATA === 'true' || true; // Default to mock for now
+const SCHWAB_URL = getProvider('schwab').metadata.url;
+const DEFAULT_PAGES_DIR = path.join(__dirname, '..', 'data', 'pages');
+
+/**
+ * Mock data is the default; only USE_MOCK_DATA=false scrapes the live page
+ * Read on each call so .env and tests can change it after load
+ */
+function isMockDataEnabled() {
+    return process.env.USE_MOCK_DATA !== 'false';
+}
+
+/**
+ * Directory of saved provider pages (<provider>.html), from FUND_PAGES_DIR
+ */
+function getPagesDir() {
+    return process.env.FUND_PAGES_DIR || DEFAULT_PAGES_DIR;
+}
 
 /**
  * Mock fund data for development and testing
@@ -25,7 +43,7 @@ const MOCK_FUND_DATA = [
     {
         fundName: 'Schwab Treasury Obligations Money Fund',
         symbol: 'SNOXX',
-        category: 'treasury',
+        category: 'taxable',
         grossYield: 4.62,
         expenseRatio: 0.31,
         sourceUrl: SCHWAB_URL
@@ -33,7 +51,7 @@ const MOCK_FUND_DATA = [
     {
         fundName: 'Schwab Government Money Fund',
         symbol: 'SNVXX',
-        category: 'treasury',
+        category: 'taxable',
         grossYield: 4.58,
         expenseRatio: 0.28,
         sourceUrl: SCHWAB_URL
@@ -50,6 +68,7 @@ const MOCK_FUND_DATA = [
         fundName: 'Schwab California Municipal Money Fund',
         symbol: 'SWCXX',
         category: 'state-municipal',
+        issuingState: 'CA',
         grossYield: 3.18,
         expenseRatio: 0.48,
         sourceUrl: SCHWAB_URL
@@ -58,6 +77,7 @@ const MOCK_FUND_DATA = [
         fundName: 'Schwab New York Municipal Money Fund',
         symbol: 'SWYXX',
         category: 'state-municipal',
+        issuingState: 'NY',
         grossYield: 3.22,
         expenseRatio: 0.45,
         sourceUrl: SCHWAB_URL
@@ -69,35 +89,101 @@ const MOCK_FUND_DATA = [
         grossYield: 4.81,
         expenseRatio: 0.36,
         sourceUrl: SCHWAB_URL
-    },
-    {
-        fundName: 'Schwab Cash Reserves',
-        symbol: 'SWRXX',
-        category: 'taxable',
-        grossYield: 4.79,
-        expenseRatio: 0.38,
-        sourceUrl: SCHWAB_URL
     }
 ];
 
 /**
- * Scrape funds from Schwab website
- * Currently uses mock data - implement real scraping when ready
+ * Scrape funds from one or more providers and merge them
+ * A ticker listed by two providers is kept once, from the first provider.
+ * A provider that cannot be scraped (e.g. no saved page) is skipped and
+ * reported, so one missing page doesn't fail the merge.
+ * @param {Object} options - {providers, pagesDir}: provider ids (default
+ *   schwab) and the saved pages directory (default FUND_PAGES_DIR or
+ *   data/pages)
+ * @returns {Promise<Object>} {funds, skipped}: fund objects, and
+ *   [{provider, error}] for each provider left out
+ * @throws {Error} For unknown providers, or the first provider's error when
+ *   none could be scraped
  */
-async function scrapeFunds() {
+async function scrapeProviders(options = {}) {
     console.log('Fetching fund data...');
-    
-    if (USE_MOCK_DATA) {
+
+    const { ids, unknown } = parseProviderIds(options.providers);
+    if (unknown.length) {
+        throw new Error(`Unknown fund providers: ${unknown.join(', ')}`);
+    }
+
+    const merged = [];
+    const seen = new Set();
+    const skipped = [];
+    const errors = [];
+    for (const id of ids) {
+        let funds;
+        try {
+            funds = await scrapeProvider(getProvider(id), options.pagesDir || getPagesDir());
+        } catch (error) {
+            console.error(`Skipping ${id}: ${error.message}`);
+            skipped.push({ provider: id, error: error.message });
+            errors.push(error);
+            continue;
+        }
+        funds.forEach(fund => {
+            if (!seen.has(fund.symbol)) {
+                seen.add(fund.symbol);
+                merged.push(fund);
+            }
+        });
+    }
+
+    if (skipped.length === ids.length) {
+        throw errors[0];
+    }
+
+    return { funds: merged, skipped };
+}
+
+/**
+ * Scrape and merge funds, leaving out providers that cannot be scraped
+ * @param {Object} options - See scrapeProviders
+ * @returns {Promise<Array<Object>>} Fund objects
+ */
+async function scrapeFunds(options = {}) {
+    return (await scrapeProviders(options)).funds;
+}
+
+/**
+ * Get one provider's funds
+ * A saved page (<pagesDir>/<provider>.html) wins; otherwise Schwab returns
+ * mock data unless USE_MOCK_DATA=false, and live providers fetch their page.
+ * A failed scrape throws rather than passing mock yields off as real ones.
+ * @param {Object} provider - Provider from src/providers
+ * @param {string} pagesDir - Saved pages directory
+ * @returns {Promise<Array<Object>>} Fund objects
+ */
+async function scrapeProvider(provider, pagesDir) {
+    const { name } = provider.metadata;
+    const savedPage = path.join(pagesDir, `${provider.id}.html`);
+
+    let html;
+    if (fs.existsSync(savedPage)) {
+        console.log(`Reading saved ${name} page from ${savedPage}`);
+        html = fs.readFileSync(savedPage, 'utf8');
+    } else if (provider.id === 'schwab' && isMockDataEnabled()) {
         console.log('Using mock data (set USE_MOCK_DATA=false in .env for real scraping)');
         return getMockData();
+    } else {
+        html = await provider.fetchPage();
     }
-    
-    try {
-        return await scrapeSchwabWebsite();
-    } catch (error) {
-        console.error('Scraping failed, falling back to mock data:', error.message);
-        return getMockData();
+
+    const funds = toFunds(provider, provider.parse(html));
+    console.log(`Scraped ${funds.length} funds from ${name}`);
+
+    if (funds.length === 0) {
+        throw new Error(`No funds found on the ${name} page - page structure may have changed`);
     }
+
+    funds.forEach(validateFundData);
+    return funds;
 }
 
 /**
@@ -107,126 +193,12 @@ async function scrapeFunds() {
 function getMockData() {
     return MOCK_FUND_DATA.map(fund => ({
         ...fund,
+        provider: 'schwab',
         // Add small random variation to yields (±0.05%)
         grossYield: fund.grossYield + (Math.random() * 0.1 - 0.05)
     }));
 }
 
-/**
- * Scrape Schwab website using Puppeteer
- * This is a template - needs customization based on actual site structure
- */
-async function scrapeSchwabWebsite() {
-    console.log('Launching browser to scrape Schwab website...');
-    
-    const browser = await puppeteer.launch({
-        headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-    
-    try {
-        const page = await browser.newPage();
-        
-        // Set user agent to avoid detection
-        await page.setUserAgent(
-            'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-        );
-        
-        // Navigate to Schwab money market funds page
-        console.log(`Navigating to ${SCHWAB_URL}...`);
-        await page.goto(SCHWAB_URL, {
-            waitUntil: 'networkidle2',
-            timeout: 30000
-        });
-        
-        // Wait for content to load
-        await page.waitForTimeout(3000);
-        
-        // Extract fund data
-        const funds = await page.evaluate(() => {
-            const fundElements = document.querySelectorAll('.fund-row, .fund-item, tr[data-fund]');
-            const results = [];
-            
-            fundElements.forEach(element => {
-                try {
-                    // These selectors are placeholders - adjust based on actual HTML structure
-                    const name = element.querySelector('.fund-name, .name')?.textContent?.trim();
-                    const symbol = element.querySelector('.symbol, .ticker')?.textContent?.trim();
-                    const yieldText = element.querySelector('.yield, .seven-day-yield')?.textContent?.trim();
-                    const expenseText = element.querySelector('.expense-ratio, .er')?.textContent?.trim();
-                    
-                    if (name && yieldText) {
-                        const grossYield = parseFloat(yieldText.replace('%', '').trim());
-                        const expenseRatio = expenseText ? parseFloat(expenseText.replace('%', '').trim()) : 0.35;
-                        
-                        // Determine category based on fund name
-                        let category = 'taxable';
-                        if (name.toLowerCase().includes('treasury') || name.toLowerCase().includes('government')) {
-                            category = 'treasury';
-                        } else if (name.toLowerCase().includes('municipal')) {
-                            if (name.includes('California') || name.includes('New York')) {
-                                category = 'state-municipal';
-                            } else {
-                                category = 'municipal';
-                            }
-                        }
-                        
-                        results.push({
-                            fundName: name,
-                            symbol: symbol || 'N/A',
-                            category: category,
-                            grossYield: grossYield,
-                            expenseRatio: expenseRatio,
-                            sourceUrl: window.location.href
-                        });
-                    }
-                } catch (err) {
-                    console.error('Error parsing fund element:', err);
-                }
-            });
-            
-            return results;
-        });
-        
-        console.log(`Scraped ${funds.length} funds from Schwab`);
-        
-        if (funds.length === 0) {
-            throw new Error('No funds found - page structure may have changed');
-        }
-        
-        return funds;
-        
-    } catch (error) {
-        console.error('Scraping error:', error);
-        throw error;
-    } finally {
-        await browser.close();
-    }
-}
-
-/**
- * Categorize fund based on name/description
- * Helper function for categorization logic
- */
-function categorizeFund(fundName, description = '') {
-    const text = (fundName + ' ' + description).toLowerCase();
-    
-    if (text.includes('treasury') || text.includes('government')) {
-        return 'treasury';
-    }
-    
-    if (text.includes('municipal') || text.includes('tax-free') || text.includes('tax free')) {
-        // Check for state-specific
-        const states = ['california', 'new york', 'massachusetts', 'new jersey', 'pennsylvania'];
-        if (states.some(state => text.includes(state))) {
-            return 'state-municipal';
-        }
-        return 'municipal';
-    }
-    
-    return 'taxable';
-}
-
 /**
  * Validate fund data
  */
@@ -234,43 +206,56 @@ function validateFundData(fund) {
     if (!fund.fundName || typeof fund.fundName !== 'string') {
         throw new Error('Invalid fund name');
     }
-    
+
     if (typeof fund.grossYield !== 'number' || fund.grossYield < 0 || fund.grossYield > 20) {
         throw new Error(`Invalid gross yield for ${fund.fundName}: ${fund.grossYield}`);
     }
-    
+
     if (typeof fund.expenseRatio !== 'number' || fund.expenseRatio < 0 || fund.expenseRatio > 5) {
         throw new Error(`Invalid expense ratio for ${fund.fundName}: ${fund.expenseRatio}`);
     }
-    
-    const validCategories = ['taxable', 'treasury', 'municipal', 'state-municipal'];
+
+    const validCategories = [
+        'taxable',
+        'treasury',
+        'municipal',
+        'municipal-amt-free',
+        'state-municipal',
+        'sweep',
+        'etf'
+    ];
     if (!validCategories.includes(fund.category)) {
         throw new Error(`Invalid category for ${fund.fundName}: ${fund.category}`);
     }
-    
+
     return true;
 }
 
 /**
- * Get fund details (for individual fund pages)
- * This would fetch expense ratios and other detailed info
+ * Get fund details from the fund's own page
+ * Reads what the money funds page leaves out (NAV, total net assets) and
+ * anything else the fund page lists, such as expense ratios and minimums
+ * @param {string} symbol - Fund ticker
+ * @param {string} providerId - Provider id (default schwab)
+ * @returns {Promise<Object|null>} Values keyed by the CSV snapshot headers,
+ *   or null when the provider has no fund pages
  */
-async function getFundDetails(symbol) {
-    // Placeholder for detailed fund information scraping
+async function getFundDetails(symbol, providerId = 'schwab') {
+    const provider = getProvider(providerId);
+    if (!provider || !provider.fetchDetails) {
+        return null;
+    }
+
     console.log(`Fetching details for ${symbol}...`);
-    
-    // In a real implementation, this would:
-    // 1. Navigate to individual fund page
-    // 2. Extract detailed information
-    // 3. Return enhanced fund object
-    
-    return null;
+    return provider.fetchDetails(symbol);
 }
 
 module.exports = {
+    SCHWAB_URL,
+    scrapeProviders,
     scrapeFunds,
+    scrapeProvider,
     getMockData,
-    categorizeFund,
     validateFundData,
     getFundDetails
 };
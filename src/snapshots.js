@@ -0,0 +1,208 @@
+/**
+ * Snapshot Store
+ * Dated CSV snapshots in /public, namespaced by provider through the file
+ * name prefix (schwab_money_funds_MM-DD-YYYY.csv,
+ * fidelity_money_funds_MM-DD-YYYY.csv, ...), and the csv-manifest.json
+ * that lists them for the static site
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseDateMMDDYYYY } = require("./data-utils");
+const { PROVIDERS, getProvider } = require("./providers");
+
+const MANIFEST_NAME = "csv-manifest.json";
+
+// Columns of every snapshot, in order
+const SNAPSHOT_COLUMNS = [
+  "Category",
+  "Fund Name",
+  "Ticker",
+  "7-Day Yield (with waivers)",
+  "7-Day Yield (without waivers)",
+  "Minimum Initial Investment",
+  "Gross Expense Ratio",
+  "Net Expense Ratio",
+  "Total Net Assets",
+  "NAV",
+  "Eligible Investors",
+  "Notes",
+];
+
+/**
+ * Get today's date in MM-DD-YYYY format, the date of a new snapshot
+ * @param {Date} now - Current time (default now)
+ * @returns {string} Date (e.g., "01-15-2026")
+ */
+function getTodayDate(now = new Date()) {
+  const mm = String(now.getMonth() + 1).padStart(2, "0");
+  const dd = String(now.getDate()).padStart(2, "0");
+  const yyyy = now.getFullYear();
+  return `${mm}-${dd}-${yyyy}`;
+}
+
+/**
+ * Build a snapshot file name
+ * @param {string} providerId - Provider id
+ * @param {string} date - Snapshot date in MM-DD-YYYY format
+ * @returns {string} File name (e.g., "schwab_money_funds_01-15-2026.csv")
+ */
+function getSnapshotName(providerId, date) {
+  return `${getProvider(providerId).metadata.snapshotPrefix}${date}.csv`;
+}
+
+/**
+ * Read the provider and date from a snapshot file name
+ * @param {string} name - File name
+ * @returns {Object|null} {provider, name, date}, or null for other files
+ */
+function parseSnapshotName(name) {
+  for (const provider of Object.values(PROVIDERS)) {
+    const { snapshotPrefix } = provider.metadata;
+    const date = name.startsWith(snapshotPrefix)
+      ? name.slice(snapshotPrefix.length).replace(/\.csv$/, "")
+      : null;
+    if (date && name.endsWith(".csv") && /^\d{2}-\d{2}-\d{4}$/.test(date)) {
+      return { provider: provider.id, name, date };
+    }
+  }
+  return null;
+}
+
+/**
+ * List snapshot CSV files in a directory
+ * @param {string} dir - Snapshot directory
+ * @param {string} providerId - Only this provider's files (optional)
+ * @returns {Array<Object>} Array of {provider, name, date} (oldest first)
+ */
+function listSnapshotFiles(dir, providerId = null) {
+  return fs
+    .readdirSync(dir)
+    .map(parseSnapshotName)
+    .filter((file) => file && (!providerId || file.provider === providerId))
+    .sort((a, b) => parseDateMMDDYYYY(a.date) - parseDateMMDDYYYY(b.date));
+}
+
+/**
+ * Rewrite csv-manifest.json from the snapshots in a directory
+ * @param {string} dir - Snapshot directory
+ * @returns {Array<Object>} Manifest entries (newest first)
+ */
+function writeManifest(dir) {
+  const entries = listSnapshotFiles(dir).reverse();
+  fs.writeFileSync(
+    path.join(dir, MANIFEST_NAME),
+    JSON.stringify(entries, null, 2) + "\n",
+  );
+  return entries;
+}
+
+// Short names for the columns whose source is recorded in Notes
+const SOURCED_COLUMNS = {
+  "7-Day Yield (with waivers)": "yield",
+  "7-Day Yield (without waivers)": "yield without waivers",
+  "Minimum Initial Investment": "minimum",
+  "Gross Expense Ratio": "gross expense ratio",
+  "Net Expense Ratio": "net expense ratio",
+  "Total Net Assets": "total net assets",
+  NAV: "NAV",
+  "Eligible Investors": "eligibility",
+};
+
+/**
+ * Check whether a snapshot value is present ("--" marks a missing value)
+ * @param {*} value - Cell value
+ * @returns {boolean} True when the value is present
+ */
+function hasValue(value) {
+  return (
+    value !== undefined && value !== null && value !== "" && value !== "--"
+  );
+}
+
+/**
+ * Build one snapshot row from several sources, in order of preference
+ * Each column takes the first source that has a value, and Notes records
+ * which source each value came from, e.g. "Sources: page (yield, minimum);
+ * fund page (NAV); fallback (gross expense ratio)"
+ * @param {Array<Object>} sources - [{name, row}], most trusted first; Notes
+ *   from any source are kept
+ * @returns {Object} Row keyed by the snapshot columns
+ */
+function mergeSnapshotRow(sources) {
+  const row = {};
+  const used = new Map(sources.map((source) => [source.name, []]));
+
+  SNAPSHOT_COLUMNS.filter((column) => column !== "Notes").forEach((column) => {
+    const source = sources.find((candidate) =>
+      hasValue((candidate.row || {})[column]),
+    );
+    if (!source) {
+      return;
+    }
+    row[column] = source.row[column];
+    if (SOURCED_COLUMNS[column]) {
+      used.get(source.name).push(SOURCED_COLUMNS[column]);
+    }
+  });
+
+  const notes = sources
+    .map((source) => (source.row || {}).Notes)
+    .filter(hasValue);
+  const credits = [...used]
+    .filter(([, columns]) => columns.length)
+    .map(([name, columns]) => `${name} (${columns.join(", ")})`);
+  if (credits.length) {
+    notes.push(`Sources: ${credits.join("; ")}`);
+  }
+  row.Notes = notes.join("; ");
+
+  return row;
+}
+
+/**
+ * Quote a CSV value when it holds a comma, quote or line break
+ * @param {string} value - Cell value
+ * @returns {string} CSV-safe value
+ */
+function toCsvValue(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write a provider's rows as a dated snapshot
+ * Missing columns are written as "--", as in the Schwab snapshots
+ * @param {string} dir - Snapshot directory
+ * @param {string} providerId - Provider id
+ * @param {Array<Object>} rows - Rows keyed by the snapshot columns
+ * @param {string} date - Snapshot date in MM-DD-YYYY format
+ * @returns {string} Path of the written file
+ */
+function writeSnapshot(dir, providerId, rows, date) {
+  const lines = [SNAPSHOT_COLUMNS.join(",")].concat(
+    rows.map((row) =>
+      SNAPSHOT_COLUMNS.map((column) =>
+        toCsvValue(
+          row[column] === undefined && column !== "Notes" ? "--" : row[column],
+        ),
+      ).join(","),
+    ),
+  );
+  const filepath = path.join(dir, getSnapshotName(providerId, date));
+  fs.writeFileSync(filepath, lines.join("\n"));
+  return filepath;
+}
+
+module.exports = {
+  MANIFEST_NAME,
+  SNAPSHOT_COLUMNS,
+  getTodayDate,
+  getSnapshotName,
+  parseSnapshotName,
+  listSnapshotFiles,
+  writeManifest,
+  mergeSnapshotRow,
+  toCsvValue,
+  writeSnapshot,
+};
@@ -0,0 +1,252 @@
+/**
+ * Unit Tests for Break-even Analysis
+ * Ensures fund pair crossovers are found at the right taxable income
+ */
+
+const app = require("../server");
+const taxEngine = require("../public/js/tax-calculator");
+const {
+  FILING_STATUSES,
+  BREAKEVEN_MAX_INCOME,
+  getBreakevenSamplePoints,
+  findProfileCrossovers,
+  findCrossovers,
+} = require("../public/js/breakeven");
+
+const funds = [
+  {
+    fundName: "Taxable Fund",
+    symbol: "TAXXX",
+    category: "taxable",
+    grossYield: 4.0,
+    expenseRatio: 0,
+  },
+  {
+    fundName: "Municipal Fund",
+    symbol: "MUNXX",
+    category: "municipal",
+    grossYield: 3.0,
+    expenseRatio: 0,
+  },
+  {
+    fundName: "Taxable Twin",
+    symbol: "TWNXX",
+    category: "taxable",
+    grossYield: 4.0,
+    expenseRatio: 0,
+  },
+];
+
+// A small balance keeps the stacked interest from blurring the crossover
+const profile = { taxYear: 2025, balance: 100 };
+
+describe("Sample Points", () => {
+  test("includes bracket floors and the interest window below them", () => {
+    const points = getBreakevenSamplePoints(
+      "TX",
+      "single",
+      2025,
+      15750,
+      500,
+      BREAKEVEN_MAX_INCOME,
+    );
+    expect(points).toContain(197300);
+    expect(points).toContain(196800);
+    expect(points).toContain(200000 - 15750);
+    expect(points[0]).toBe(0);
+    expect(points[points.length - 1]).toBe(BREAKEVEN_MAX_INCOME);
+    expect([...points].sort((a, b) => a - b)).toEqual(points);
+  });
+
+  test("stays inside the searched income range", () => {
+    const points = getBreakevenSamplePoints(
+      "CA",
+      "married",
+      2025,
+      31500,
+      500,
+      300000,
+    );
+    expect(Math.min(...points)).toBe(0);
+    expect(Math.max(...points)).toBe(300000);
+  });
+});
+
+describe("Profile Crossovers", () => {
+  test("finds where a municipal fund overtakes a taxable fund", () => {
+    // 3% tax-free beats 4% taxable once the rate tops 25%: in Texas that
+    // is 24% federal plus 3.8% NIIT above $200,000 gross income
+    const crossovers = findProfileCrossovers(taxEngine, funds, {
+      ...profile,
+      filingStatus: "single",
+      state: "TX",
+    });
+    const crossover = crossovers.find((c) => c.below.symbol === "TAXXX");
+    const { deduction } = taxEngine.calculateTaxableIncome(0, "single", 2025);
+
+    expect(crossover.above.symbol).toBe("MUNXX");
+    expect(crossover.filingStatus).toBe("single");
+    expect(crossover.state).toBe("TX");
+    expect(Math.abs(crossover.grossIncome - 200000)).toBeLessThanOrEqual(1);
+    expect(crossover.taxableIncome).toBe(crossover.grossIncome - deduction);
+  });
+
+  test("agrees with the tax engine on either side of the crossover", () => {
+    const userProfile = { ...profile, filingStatus: "married", state: "CA" };
+    const [crossover] = findProfileCrossovers(taxEngine, funds, userProfile);
+    const teyAt = (income, symbol) =>
+      taxEngine
+        .calculateAllFunds(funds, { ...userProfile, income })
+        .find((r) => r.symbol === symbol).taxEquivalentYield;
+
+    const before = crossover.grossIncome - 1;
+    expect(teyAt(before, "TAXXX")).toBeGreaterThan(teyAt(before, "MUNXX"));
+    expect(teyAt(crossover.grossIncome, "MUNXX")).toBeGreaterThan(
+      teyAt(crossover.grossIncome, "TAXXX"),
+    );
+  });
+
+  test("reports no crossover between funds with identical yields", () => {
+    const crossovers = findProfileCrossovers(taxEngine, funds, {
+      ...profile,
+      filingStatus: "single",
+      state: "CA",
+    });
+    expect(
+      crossovers.some((c) =>
+        [c.below.symbol, c.above.symbol].every((s) => s !== "MUNXX"),
+      ),
+    ).toBe(false);
+  });
+
+  test("reports no crossovers in a sheltered account", () => {
+    const crossovers = findProfileCrossovers(taxEngine, funds, {
+      ...profile,
+      filingStatus: "single",
+      state: "CA",
+      accountType: "roth",
+    });
+    expect(crossovers).toEqual([]);
+  });
+
+  test("itemized deductions shift the gross income of the crossover", () => {
+    const crossovers = findProfileCrossovers(taxEngine, funds, {
+      ...profile,
+      filingStatus: "single",
+      state: "TX",
+      deductionType: "itemized",
+      itemizedDeduction: 40000,
+    });
+    expect(crossovers[0].grossIncome - crossovers[0].taxableIncome).toBe(40000);
+  });
+});
+
+describe("findCrossovers", () => {
+  test("covers every filing status and state by default", () => {
+    const result = findCrossovers(taxEngine, funds.slice(0, 2), profile);
+    expect(result.taxYear).toBe(2025);
+    expect(result.maxIncome).toBe(BREAKEVEN_MAX_INCOME);
+    expect(result.filingStatuses).toEqual(FILING_STATUSES);
+    expect(result.states.length).toBe(51);
+    expect(result.states).toContain("DC");
+    expect(new Set(result.crossovers.map((c) => c.state)).size).toBe(51);
+  });
+
+  test("limits the analysis to the requested profiles", () => {
+    const result = findCrossovers(taxEngine, funds.slice(0, 2), profile, {
+      filingStatuses: ["head"],
+      states: ["NY", "FL"],
+      maxIncome: 150000,
+    });
+    expect(result.states).toEqual(["NY", "FL"]);
+    result.crossovers.forEach((c) => {
+      expect(c.filingStatus).toBe("head");
+      expect(["NY", "FL"]).toContain(c.state);
+      expect(c.taxableIncome).toBeLessThanOrEqual(150000);
+    });
+  });
+
+  test("resolves the tax year from the data date", () => {
+    const result = findCrossovers(
+      taxEngine,
+      funds.slice(0, 2),
+      { balance: 100 },
+      { states: ["TX"], asOfDate: "01-15-2026" },
+    );
+    expect(result.taxYear).toBe(2026);
+  });
+});
+
+describe("POST /api/breakeven", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const post = (body) =>
+    fetch(`${baseUrl}/api/breakeven`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ userProfile: profile, funds, ...body }),
+    }).then(async (response) => ({
+      status: response.status,
+      body: await response.json(),
+    }));
+
+  test("analyzes the requested profiles", async () => {
+    const { status, body } = await post({ states: ["TX", "NY"] });
+    expect(status).toBe(200);
+    expect(body.states).toEqual(["TX", "NY"]);
+    expect(body.filingStatuses).toEqual(FILING_STATUSES);
+  });
+
+  test("analyzes the profile's state by default", async () => {
+    const { status, body } = await post({
+      userProfile: { ...profile, state: "CA" },
+    });
+    expect(status).toBe(200);
+    expect(body.states).toEqual(["CA"]);
+  });
+
+  test("rejects a request without states or a profile state", async () => {
+    const { status, body } = await post({});
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/Missing states/);
+  });
+
+  test("rejects more state and filing status pairs than the limit", async () => {
+    const { status, body } = await post({
+      states: ["CA", "NY", "TX", "FL", "IL"],
+    });
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/Too many profiles/);
+  });
+
+  test("rejects a maxIncome over the limit", async () => {
+    const { status, body } = await post({
+      states: ["TX"],
+      maxIncome: BREAKEVEN_MAX_INCOME + 1,
+    });
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/Invalid maxIncome/);
+  });
+
+  test("rejects too many funds", async () => {
+    const many = Array.from({ length: 21 }, (_, i) => ({
+      ...funds[0],
+      symbol: `F${i}XX`,
+    }));
+    const { status, body } = await post({ states: ["TX"], funds: many });
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/Too many funds/);
+  });
+});
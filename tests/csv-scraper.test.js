@@ -0,0 +1,187 @@
+/**
+ * Unit Tests for the CSV Snapshot Scraper
+ * Ensures Schwab's pages become a dated snapshot with sourced values, a
+ * change report and an updated manifest
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+const { scrapeSnapshot } = require("../src/csv-scraper");
+const { SCHWAB_URL } = require("../src/scraper");
+const { parseCSV } = require("../src/data-utils");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+const pageHtml = fixture("pages/schwab.html");
+const fundPageHtml = fixture("schwab-fund-swvxx.html");
+const DATE = "01-16-2026";
+
+describe("CSV Snapshot Scraper", () => {
+  let dir;
+  let options;
+
+  /**
+   * Serve the money funds page, and SWVXX's fund page for SWVXX only
+   * @param {string} html - Money funds page HTML
+   */
+  const servePages = (html) =>
+    jest.spyOn(axios, "get").mockImplementation(async (url) => {
+      if (url === SCHWAB_URL) {
+        return { data: html };
+      }
+      if (url.endsWith("/SWVXX")) {
+        return { data: fundPageHtml };
+      }
+      throw new Error("Request failed with status 404");
+    });
+
+  const readSnapshot = () =>
+    parseCSV(
+      fs.readFileSync(
+        path.join(options.publicDir, `schwab_money_funds_${DATE}.csv`),
+        "utf8",
+      ),
+    );
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-scraper-"));
+    options = {
+      date: DATE,
+      policy: "flag",
+      publicDir: path.join(dir, "public"),
+      reportsDir: path.join(dir, "reports"),
+    };
+    fs.mkdirSync(options.publicDir);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("saves the page's funds, filled in from fund pages and the registry", async () => {
+    servePages(pageHtml);
+    const result = await scrapeSnapshot(options);
+    const rows = readSnapshot();
+    const byTicker = (ticker) => rows.find((row) => row.Ticker === ticker);
+
+    expect(result).toMatchObject({
+      status: "saved",
+      date: DATE,
+      funds: 18,
+      fallbackCount: 16,
+    });
+    expect(byTicker("SWVXX")).toMatchObject({
+      "7-Day Yield (without waivers)": "3.51%",
+      "Total Net Assets": "$68.21B",
+      NAV: "$1.00",
+      Notes:
+        "Sources: page (yield, yield without waivers, minimum, gross expense ratio, net expense ratio, eligibility); fund page (total net assets, NAV)",
+    });
+    expect(byTicker("SNAXX")).toMatchObject({
+      "Total Net Assets": "--",
+      NAV: "$1.00",
+    });
+    expect(byTicker("SNAXX").Notes).toContain("fallback (NAV)");
+    expect(byTicker("SWGXX")["7-Day Yield (with waivers)"]).toBe("--");
+
+    expect(
+      JSON.parse(
+        fs.readFileSync(path.join(options.publicDir, "csv-manifest.json")),
+      ),
+    ).toEqual([
+      {
+        provider: "schwab",
+        name: `schwab_money_funds_${DATE}.csv`,
+        date: DATE,
+      },
+    ]);
+    expect(JSON.parse(fs.readFileSync(result.reportPath))).toMatchObject({
+      provider: "schwab",
+      date: DATE,
+      status: "unchanged",
+      delisted: ["SWGXX"],
+    });
+  });
+
+  test("skips fund pages when asked", async () => {
+    const get = servePages(pageHtml);
+    await scrapeSnapshot({ ...options, details: false });
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(readSnapshot()[0]["Total Net Assets"]).toBe("--");
+  });
+
+  test("keeps a snapshot already saved for the date unless overwriting", async () => {
+    const get = servePages(pageHtml);
+    const filepath = path.join(
+      options.publicDir,
+      `schwab_money_funds_${DATE}.csv`,
+    );
+    fs.writeFileSync(filepath, "saved earlier");
+
+    expect(await scrapeSnapshot({ ...options, overwrite: false })).toEqual({
+      status: "skipped",
+      date: DATE,
+      filepath,
+    });
+    expect(get).not.toHaveBeenCalled();
+    expect(fs.readFileSync(filepath, "utf8")).toBe("saved earlier");
+
+    await scrapeSnapshot({ ...options, details: false });
+    expect(readSnapshot().length).toBe(18);
+  });
+
+  test("flags fund list changes on the rows, or fails without saving", async () => {
+    servePages(
+      pageHtml
+        .replace(/SNAXX/g, "SNBXX")
+        .replace(/SWOXX/g, "SWQXX")
+        .replace(
+          "Schwab Municipal Money Fund - Ultra Shares",
+          "Schwab Municipal Money Fund - Select Shares",
+        ),
+    );
+    await scrapeSnapshot({ ...options, details: false });
+    const rows = readSnapshot();
+    expect(rows.find((row) => row.Ticker === "SNBXX").Notes).toMatch(
+      /^Renamed from SNAXX; /,
+    );
+    expect(rows.find((row) => row.Ticker === "SWQXX").Notes).toMatch(
+      /^New fund: not in the fund registry; /,
+    );
+    expect(rows.find((row) => row.Ticker === "SWOXX").Notes).toMatch(
+      /^Missing from the page; /,
+    );
+
+    fs.rmSync(path.join(options.publicDir, `schwab_money_funds_${DATE}.csv`));
+    const error = await scrapeSnapshot({
+      ...options,
+      policy: "fail",
+    }).catch((e) => e);
+    expect(error.message).toContain("The fund list changed");
+    expect(error.retryable).toBe(false);
+    expect(error.report).toMatchObject({ status: "failed", policy: "fail" });
+    expect(fs.readdirSync(options.publicDir)).toEqual(["csv-manifest.json"]);
+  });
+
+  test("fails without retries on an unknown change policy", async () => {
+    const error = await scrapeSnapshot({ ...options, policy: "warn" }).catch(
+      (e) => e,
+    );
+    expect(error.message).toMatch(/^Unknown change policy: warn/);
+    expect(error.retryable).toBe(false);
+  });
+
+  test("fails with the page when it has no fund tables", async () => {
+    servePages("<html><body>Maintenance</body></html>");
+    const error = await scrapeSnapshot(options).catch((e) => e);
+    expect(error.message).toBe(
+      "No fund tables found. The page structure may have changed.",
+    );
+    expect(error.html).toContain("Maintenance");
+    expect(error.retryable).toBeUndefined();
+  });
+});
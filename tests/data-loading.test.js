@@ -11,7 +11,9 @@ const {
   cleanValue,
   getField,
   parsePercent,
+  getIssuingState,
   categorizeFund,
+  getFundCategory,
   transformRowToFund,
   getAllFunds,
   filterRetailFunds,
@@ -173,6 +175,19 @@ describe("Fund Categorization", () => {
       expect(categorizeFund(row)).toBe("taxable");
     });
 
+    test("keeps Treasury-named funds listed as taxable taxable", () => {
+      const obligations = {
+        Category: "Taxable Money Funds",
+        "Fund Name": "Schwab Treasury Obligations Money Fund - Investor Shares",
+      };
+      const treasury = {
+        Category: "Taxable Money Funds",
+        "Fund Name": "Schwab U.S. Treasury Money Fund - Investor Shares",
+      };
+      expect(categorizeFund(obligations)).toBe("taxable");
+      expect(categorizeFund(treasury)).toBe("taxable");
+    });
+
     test("categorizes treasury funds correctly", () => {
       const row = { Category: "Treasury Money Funds" };
       expect(categorizeFund(row)).toBe("treasury");
@@ -183,6 +198,33 @@ describe("Fund Categorization", () => {
       expect(categorizeFund(row)).toBe("municipal");
     });
 
+    test("separates AMT-free municipal funds", () => {
+      const row = {
+        Category: "Tax-Exempt Money Funds",
+        "Fund Name": "Schwab AMT Tax-Free Money Fund - Investor Shares",
+      };
+      expect(categorizeFund(row)).toBe("municipal-amt-free");
+      expect(
+        categorizeFund({
+          Category: "Tax-Exempt Money Funds",
+          "Fund Name": "Schwab Municipal Money Fund - Investor Shares",
+        }),
+      ).toBe("municipal");
+    });
+
+    test("identifies AMT-free funds from fund name", () => {
+      const row = { "Fund Name": "AMT Tax-Free Municipal Fund" };
+      expect(categorizeFund(row)).toBe("municipal-amt-free");
+    });
+
+    test("categorizes tax-exempt single-state funds as state-municipal", () => {
+      const row = {
+        Category: "Tax-Exempt Money Funds",
+        "Fund Name": "Schwab California Municipal Money Fund - Ultra Shares",
+      };
+      expect(categorizeFund(row)).toBe("state-municipal");
+    });
+
     test("categorizes state-specific funds correctly", () => {
       const row = { Category: "State-Specific Municipal Funds" };
       expect(categorizeFund(row)).toBe("state-municipal");
@@ -216,6 +258,67 @@ describe("Fund Categorization", () => {
       expect(categorizeFund(row)).toBe("taxable");
     });
   });
+
+  describe("getIssuingState", () => {
+    test("tags single-state municipal funds with their state", () => {
+      expect(
+        getIssuingState(
+          "Schwab California Municipal Money Fund - Investor Shares",
+        ),
+      ).toBe("CA");
+      expect(getIssuingState("Schwab New York Municipal Money Fund")).toBe(
+        "NY",
+      );
+    });
+
+    test("returns null for national funds", () => {
+      expect(
+        getIssuingState("Schwab Municipal Money Fund - Investor Shares"),
+      ).toBeNull();
+      expect(getIssuingState(undefined)).toBeNull();
+    });
+  });
+
+  describe("getFundCategory", () => {
+    test("marks government funds as partially state tax-free", () => {
+      expect(
+        getFundCategory(
+          "Schwab Government Money Fund - Investor Shares",
+          "Taxable Money Funds",
+        ),
+      ).toBe("Government - Partially state tax-free");
+    });
+
+    test("marks Treasury funds listed as taxable as partially state tax-free", () => {
+      expect(
+        getFundCategory(
+          "Schwab Treasury Obligations Money Fund - Ultra Shares",
+          "Taxable Money Funds",
+        ),
+      ).toBe("Government - Partially state tax-free");
+      expect(
+        getFundCategory(
+          "Schwab Treasury Obligations Money Fund - Ultra Shares",
+          "Treasury Money Funds",
+        ),
+      ).toBe("Treasury - State tax-free");
+    });
+
+    test("gives AMT-free funds their own tax treatment", () => {
+      expect(
+        getFundCategory(
+          "Schwab AMT Tax-Free Money Fund - Ultra Shares",
+          "Tax-Exempt Money Funds",
+        ),
+      ).toBe("AMT-Free Municipal - Federal & AMT tax-free");
+      expect(
+        getFundCategory(
+          "Schwab Municipal Money Fund - Ultra Shares",
+          "Tax-Exempt Money Funds",
+        ),
+      ).toBe("Municipal - Federal tax-free");
+    });
+  });
 });
 
 describe("Table Data Loading", () => {
@@ -600,6 +703,7 @@ describe("Data Integrity Checks", () => {
       "taxable",
       "treasury",
       "municipal",
+      "municipal-amt-free",
       "state-municipal",
       "sweep",
       "etf",
@@ -0,0 +1,186 @@
+/**
+ * Unit Tests for Fund Change Detection
+ * Ensures added, missing and renamed funds are reported and flagged
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getChangePolicy,
+  diffFunds,
+  hasChanges,
+  flagRows,
+  writeChangeReport,
+} = require("../src/fund-changes");
+const { SCHWAB_FUNDS } = require("../src/providers/schwab-funds");
+const {
+  parseFundTables,
+  findTickerLinks,
+} = require("../src/providers/page-utils");
+
+const pageHtml = fs.readFileSync(
+  path.join(__dirname, "fixtures", "pages", "schwab.html"),
+  "utf8",
+);
+
+const REGISTRY = {
+  SWVXX: { "Fund Name": "Schwab Prime Advantage Money Fund - Investor Shares" },
+  SNAXX: { "Fund Name": "Schwab Prime Advantage Money Fund - Ultra Shares" },
+  SWTXX: { "Fund Name": "Schwab Municipal Money Fund - Investor Shares" },
+  SWOXX: { "Fund Name": "Schwab Municipal Money Fund - Ultra Shares" },
+  SWGXX: {
+    "Fund Name": "Schwab Government Money Fund - Sweep Shares",
+    listed: false,
+  },
+};
+
+describe("Change Policy", () => {
+  test("defaults to flag and accepts fail in any case", () => {
+    expect(getChangePolicy(undefined)).toBe("flag");
+    expect(getChangePolicy(" FAIL ")).toBe("fail");
+  });
+
+  test("rejects unknown policies", () => {
+    expect(() => getChangePolicy("ignore")).toThrow(
+      "Unknown change policy: ignore (use flag or fail)",
+    );
+  });
+});
+
+describe("Fund Diff", () => {
+  test("finds no changes between the saved page and the Schwab registry", () => {
+    const listed = parseFundTables(pageHtml)
+      .map((row) => ({ ticker: row.Ticker, fundName: row["Fund Name"] }))
+      .concat(findTickerLinks(pageHtml));
+    const changes = diffFunds(SCHWAB_FUNDS, listed);
+
+    expect(changes).toEqual({
+      added: [],
+      missing: [],
+      renamed: [],
+      delisted: ["SWGXX"],
+    });
+    expect(hasChanges(changes)).toBe(false);
+  });
+
+  test("reports added and missing funds", () => {
+    const changes = diffFunds(REGISTRY, [
+      { ticker: "SWVXX", fundName: REGISTRY.SWVXX["Fund Name"] },
+      { ticker: "SNAXX", fundName: "" },
+      {
+        ticker: "SWTXX",
+        fundName: "schwab municipal money fund-investor shares",
+      },
+      {
+        ticker: "SWZXX",
+        fundName: "Schwab Treasury Money Fund - Select Shares",
+      },
+      { ticker: "SWZXX", fundName: "Repeated link" },
+    ]);
+
+    expect(changes).toEqual({
+      added: [
+        {
+          ticker: "SWZXX",
+          fundName: "Schwab Treasury Money Fund - Select Shares",
+        },
+      ],
+      missing: [
+        {
+          ticker: "SWOXX",
+          fundName: "Schwab Municipal Money Fund - Ultra Shares",
+        },
+      ],
+      renamed: [],
+      delisted: ["SWGXX"],
+    });
+    expect(hasChanges(changes)).toBe(true);
+  });
+
+  test("reports new names and ticker changes as renames", () => {
+    const changes = diffFunds(REGISTRY, [
+      { ticker: "SWVXX", fundName: REGISTRY.SWVXX["Fund Name"] },
+      { ticker: "SNBXX", fundName: REGISTRY.SNAXX["Fund Name"] },
+      {
+        ticker: "SWTXX",
+        fundName: "Schwab Municipal Money Fund - Investor Class",
+      },
+      { ticker: "SWOXX", fundName: REGISTRY.SWOXX["Fund Name"] },
+      { ticker: "SWGXX", fundName: REGISTRY.SWGXX["Fund Name"] },
+    ]);
+
+    expect(changes.added).toEqual([]);
+    expect(changes.missing).toEqual([]);
+    expect(changes.delisted).toEqual([]);
+    expect(changes.renamed).toEqual([
+      {
+        ticker: "SWTXX",
+        fundName: "Schwab Municipal Money Fund - Investor Class",
+        previousName: "Schwab Municipal Money Fund - Investor Shares",
+      },
+      {
+        ticker: "SNBXX",
+        fundName: "Schwab Prime Advantage Money Fund - Ultra Shares",
+        previousTicker: "SNAXX",
+      },
+    ]);
+  });
+});
+
+describe("Change Flags and Reports", () => {
+  const changes = {
+    added: [{ ticker: "SWZXX", fundName: "" }],
+    missing: [{ ticker: "SWOXX", fundName: "" }],
+    renamed: [
+      { ticker: "SNBXX", fundName: "", previousTicker: "SNAXX" },
+      { ticker: "SWTXX", fundName: "", previousName: "Old Name" },
+    ],
+    delisted: ["SWGXX"],
+  };
+
+  test("notes each change on its row", () => {
+    const rows = flagRows(
+      [
+        { Ticker: "SWVXX", Notes: "Sources: page (yield)" },
+        { Ticker: "SWZXX", Notes: "" },
+        { Ticker: "SWOXX", Notes: "Sources: fallback (NAV)" },
+        { Ticker: "SNBXX", Notes: "" },
+        { Ticker: "SWTXX", Notes: "" },
+        { Ticker: "SWGXX", Notes: "No longer publicly listed" },
+      ],
+      changes,
+    );
+
+    expect(rows.map((row) => row.Notes)).toEqual([
+      "Sources: page (yield)",
+      "New fund: not in the fund registry",
+      "Missing from the page; Sources: fallback (NAV)",
+      "Renamed from SNAXX",
+      "Renamed from Old Name",
+      "No longer publicly listed",
+    ]);
+  });
+
+  test("writes the report as JSON named by provider and date", () => {
+    const dir = path.join(
+      fs.mkdtempSync(path.join(os.tmpdir(), "changes-")),
+      "reports",
+    );
+    try {
+      const report = {
+        provider: "schwab",
+        date: "01-15-2026",
+        policy: "fail",
+        status: "failed",
+        ...changes,
+      };
+      const filepath = writeChangeReport(dir, report);
+
+      expect(path.basename(filepath)).toBe("schwab_changes_01-15-2026.json");
+      expect(JSON.parse(fs.readFileSync(filepath, "utf8"))).toEqual(report);
+    } finally {
+      fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Unit Tests for the Sensitivity Heatmap
+ * Ensures the best fund and its margin are recorded for every grid cell
+ */
+
+const app = require("../server");
+const taxEngine = require("../public/js/tax-calculator");
+const {
+  HEATMAP_FILING_STATUSES,
+  HEATMAP_MAX_INCOME,
+  buildIncomeGrid,
+  getHeatmapCell,
+  buildHeatmap,
+} = require("../public/js/heatmap");
+
+const funds = [
+  {
+    fundName: "Taxable Fund",
+    symbol: "TAXXX",
+    category: "taxable",
+    grossYield: 4.0,
+    expenseRatio: 0,
+  },
+  {
+    fundName: "Municipal Fund",
+    symbol: "MUNXX",
+    category: "municipal",
+    grossYield: 3.0,
+    expenseRatio: 0,
+  },
+  {
+    fundName: "Low Yield Fund",
+    symbol: "LOWXX",
+    category: "taxable",
+    grossYield: 1.0,
+    expenseRatio: 0,
+  },
+];
+
+const profile = { taxYear: 2025, balance: 100 };
+
+describe("Income Grid", () => {
+  test("defaults to $25k steps up to $1M", () => {
+    const incomes = buildIncomeGrid();
+    expect(incomes.length).toBe(40);
+    expect(incomes[0]).toBe(25000);
+    expect(incomes[incomes.length - 1]).toBe(HEATMAP_MAX_INCOME);
+  });
+
+  test("honors a custom step and ceiling", () => {
+    expect(buildIncomeGrid(50000, 200000)).toEqual([
+      50000, 100000, 150000, 200000,
+    ]);
+  });
+});
+
+describe("Heatmap Cells", () => {
+  test("records the winner, runner-up and TEY margin", () => {
+    const cell = getHeatmapCell(taxEngine, funds, {
+      ...profile,
+      income: 100000,
+      filingStatus: "single",
+      state: "TX",
+    });
+    expect(cell.symbol).toBe("TAXXX");
+    expect(cell.taxEquivalentYield).toBe(4);
+    expect(cell.runnerUp).toBe("MUNXX");
+    // 3% tax-free at a 22% federal rate is worth 3.85% taxable
+    expect(cell.margin).toBeCloseTo(4 - 3 / (1 - 0.22), 4);
+  });
+
+  test("switches to the municipal fund at high incomes", () => {
+    const cell = getHeatmapCell(taxEngine, funds, {
+      ...profile,
+      income: 600000,
+      filingStatus: "single",
+      state: "CA",
+    });
+    expect(cell.symbol).toBe("MUNXX");
+    expect(cell.runnerUp).toBe("TAXXX");
+  });
+
+  test("has no runner-up with a single fund", () => {
+    const cell = getHeatmapCell(taxEngine, funds.slice(0, 1), {
+      ...profile,
+      income: 100000,
+      filingStatus: "single",
+      state: "TX",
+    });
+    expect(cell.runnerUp).toBeNull();
+    expect(cell.margin).toBe(0);
+  });
+
+  test("returns null without funds", () => {
+    expect(getHeatmapCell(taxEngine, [], { ...profile, income: 1 })).toBe(null);
+  });
+});
+
+describe("buildHeatmap", () => {
+  test("covers every income, state and filing status by default", () => {
+    const result = buildHeatmap(taxEngine, funds, profile);
+    expect(result.taxYear).toBe(2025);
+    expect(result.filingStatuses).toEqual(HEATMAP_FILING_STATUSES);
+    expect(result.states.length).toBe(51);
+    HEATMAP_FILING_STATUSES.forEach((status) => {
+      result.states.forEach((state) => {
+        expect(result.cells[status][state].length).toBe(result.incomes.length);
+      });
+    });
+  });
+
+  test("lists only funds that win a cell in the legend", () => {
+    const result = buildHeatmap(taxEngine, funds, profile, {
+      states: ["TX", "CA"],
+    });
+    expect(result.funds.map((f) => f.symbol).sort()).toEqual([
+      "MUNXX",
+      "TAXXX",
+    ]);
+  });
+
+  test("limits the grid to the requested profiles", () => {
+    const result = buildHeatmap(taxEngine, funds, profile, {
+      states: ["NY"],
+      filingStatuses: ["married"],
+      incomeStep: 100000,
+      maxIncome: 300000,
+    });
+    expect(result.incomes).toEqual([100000, 200000, 300000]);
+    expect(Object.keys(result.cells)).toEqual(["married"]);
+    expect(Object.keys(result.cells.married)).toEqual(["NY"]);
+  });
+
+  test("ranks on net yield in a sheltered account", () => {
+    const result = buildHeatmap(
+      taxEngine,
+      funds,
+      { ...profile, accountType: "traditional" },
+      { states: ["CA"], filingStatuses: ["single"] },
+    );
+    result.cells.single.CA.forEach((cell) => {
+      expect(cell.symbol).toBe("TAXXX");
+      expect(cell.margin).toBe(1);
+    });
+  });
+
+  test("maps each state as a full-year residence", () => {
+    const result = buildHeatmap(
+      taxEngine,
+      funds,
+      { ...profile, residencyPeriods: [{ state: "TX" }] },
+      { states: ["CA"], filingStatuses: ["single"] },
+    );
+    expect(result.cells.single.CA[result.incomes.length - 1].symbol).toBe(
+      "MUNXX",
+    );
+  });
+
+  test("resolves the tax year from the data date", () => {
+    const result = buildHeatmap(
+      taxEngine,
+      funds,
+      { balance: 100 },
+      { states: ["TX"], filingStatuses: ["single"], asOfDate: "01-15-2026" },
+    );
+    expect(result.taxYear).toBe(2026);
+  });
+});
+
+describe("POST /api/heatmap", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const post = (body) =>
+    fetch(`${baseUrl}/api/heatmap`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ userProfile: { taxYear: 2025 }, funds, ...body }),
+    }).then(async (response) => ({
+      status: response.status,
+      body: await response.json(),
+    }));
+
+  test("maps the requested profiles", async () => {
+    const { status, body } = await post({
+      states: ["TX"],
+      filingStatuses: ["single"],
+      maxIncome: 100000,
+    });
+    expect(status).toBe(200);
+    expect(body.incomes).toEqual([25000, 50000, 75000, 100000]);
+    expect(body.cells.single.TX.length).toBe(4);
+  });
+
+  test("rejects too many funds", async () => {
+    const many = Array.from({ length: 21 }, (_, i) => ({
+      ...funds[0],
+      symbol: `F${i}XX`,
+    }));
+    const { status, body } = await post({ states: ["TX"], funds: many });
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/Too many funds/);
+  });
+
+  test("rejects a grid over the work budget", async () => {
+    // 400 incomes in every state and filing status
+    const { status, body } = await post({ incomeStep: 2500 });
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/Heatmap too large/);
+  });
+
+  test("rejects a grid over 400 incomes", async () => {
+    const { status, body } = await post({ incomeStep: 1000 });
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/Invalid income grid/);
+  });
+});
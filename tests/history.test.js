@@ -0,0 +1,272 @@
+/**
+ * Unit Tests for Historical Data
+ * Ensures fund time series are built correctly from CSV snapshots
+ */
+
+const path = require("path");
+const app = require("../server");
+const {
+  listSnapshotFiles,
+  loadSnapshots,
+  parseDateParam,
+  formatISODate,
+  parseOptionalPercent,
+  normalizeFundName,
+  resolveFund,
+  isInRange,
+  buildHistoryPoint,
+  getFundHistory,
+  summarizeSeries,
+  compareFunds,
+} = require("../src/history");
+
+const publicDir = path.join(__dirname, "../public");
+
+describe("Snapshot Loading", () => {
+  test("lists snapshot files oldest first", () => {
+    const files = listSnapshotFiles(publicDir);
+    expect(files.length).toBeGreaterThan(1);
+    expect(files[0].date).toBe("12-22-2025");
+    files.forEach((file) => {
+      expect(file.name).toBe(`schwab_money_funds_${file.date}.csv`);
+    });
+  });
+
+  test("loads parsed rows for every snapshot", () => {
+    const snapshots = loadSnapshots(publicDir);
+    expect(snapshots.length).toBe(listSnapshotFiles(publicDir).length);
+    snapshots.forEach((snapshot) => {
+      expect(snapshot.rows.length).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe("Date Parameters", () => {
+  test("parses YYYY-MM-DD as a local date", () => {
+    const date = parseDateParam("2025-12-31");
+    expect(date.getFullYear()).toBe(2025);
+    expect(date.getMonth()).toBe(11);
+    expect(date.getDate()).toBe(31);
+  });
+
+  test("parses MM-DD-YYYY", () => {
+    const date = parseDateParam("01-13-2026");
+    expect(formatISODate(date)).toBe("2026-01-13");
+  });
+
+  test("returns null when not provided", () => {
+    expect(parseDateParam(undefined)).toBeNull();
+    expect(parseDateParam("")).toBeNull();
+    expect(formatISODate(null)).toBeNull();
+  });
+
+  test("returns an invalid date for unrecognized input", () => {
+    expect(isNaN(parseDateParam("last tuesday"))).toBe(true);
+  });
+
+  test("checks range bounds inclusively", () => {
+    const range = {
+      startDate: parseDateParam("2025-12-26"),
+      endDate: parseDateParam("2025-12-31"),
+    };
+    expect(isInRange("12-26-2025", range)).toBe(true);
+    expect(isInRange("12-31-2025", range)).toBe(true);
+    expect(isInRange("12-22-2025", range)).toBe(false);
+    expect(isInRange("01-13-2026", range)).toBe(false);
+    expect(isInRange("01-13-2026")).toBe(true);
+  });
+});
+
+describe("Fund Resolution", () => {
+  const snapshots = loadSnapshots(publicDir);
+
+  test("normalizes dash spacing and case in fund names", () => {
+    expect(
+      normalizeFundName("Schwab Prime Advantage Money Fund- Ultra Shares"),
+    ).toBe(
+      normalizeFundName("schwab prime advantage money fund - ultra  shares"),
+    );
+  });
+
+  test("resolves a ticker case-insensitively", () => {
+    const fund = resolveFund(snapshots, "swvxx");
+    expect(fund.symbol).toBe("SWVXX");
+    expect(fund.fundName).toBe(
+      "Schwab Prime Advantage Money Fund - Investor Shares",
+    );
+  });
+
+  test("resolves a fund name", () => {
+    const fund = resolveFund(
+      snapshots,
+      "Schwab Municipal Money Fund - Investor Shares",
+    );
+    expect(fund.symbol).toBe("SWTXX");
+  });
+
+  test("returns null for unknown funds", () => {
+    expect(resolveFund(snapshots, "VMFXX")).toBeNull();
+  });
+});
+
+describe("History Points", () => {
+  test("derives net yield from gross yield and net expense ratio", () => {
+    const point = buildHistoryPoint(
+      {
+        "7-Day Yield (with waivers)": "3.52%",
+        "7-Day Yield (without waivers)": "3.51%",
+        "Net Expense Ratio": "0.34%",
+      },
+      "01-15-2026",
+    );
+    expect(point).toEqual({
+      date: "01-15-2026",
+      grossYield: 3.52,
+      grossYieldWithoutWaivers: 3.51,
+      expenseRatio: 0.34,
+      netYield: 3.18,
+    });
+  });
+
+  test("treats missing values as null", () => {
+    expect(parseOptionalPercent("--")).toBeNull();
+    expect(parseOptionalPercent("")).toBeNull();
+    expect(parseOptionalPercent("n/a")).toBeNull();
+
+    const point = buildHistoryPoint(
+      { "7DayYieldWithWaivers": "--", NetExpenseRatio: "0.44%" },
+      "01-15-2026",
+    );
+    expect(point.grossYield).toBeNull();
+    expect(point.netYield).toBeNull();
+  });
+});
+
+describe("getFundHistory", () => {
+  test("returns a point for every snapshot listing the fund", () => {
+    const result = getFundHistory(publicDir, "SWVXX");
+    expect(result.symbol).toBe("SWVXX");
+    expect(result.points.length).toBe(listSnapshotFiles(publicDir).length);
+    expect(result.points[0].date).toBe("12-22-2025");
+    expect(result.points[0].grossYield).toBe(3.56);
+  });
+
+  test("honors the date range", () => {
+    const result = getFundHistory(publicDir, "SWVXX", {
+      startDate: parseDateParam("2026-01-01"),
+      endDate: null,
+    });
+    expect(result.startDate).toBe("2026-01-01");
+    expect(result.endDate).toBeNull();
+    expect(result.points.map((p) => p.date)).toEqual([
+      "01-13-2026",
+      "01-15-2026",
+    ]);
+  });
+
+  test("returns null for unknown funds", () => {
+    expect(getFundHistory(publicDir, "NOPEX")).toBeNull();
+  });
+});
+
+describe("Fund Comparison", () => {
+  const snapshots = loadSnapshots(publicDir);
+  const funds = ["SWVXX", "SWTXX", "SWGXX"].map((t) =>
+    resolveFund(snapshots, t),
+  );
+
+  test("summarizes a series ignoring nulls", () => {
+    expect(summarizeSeries([3.2, null, 3.0, 3.1])).toEqual({
+      count: 3,
+      min: 3.0,
+      max: 3.2,
+      mean: 3.1,
+      latest: 3.1,
+      change: -0.1,
+    });
+  });
+
+  test("summarizes an empty series as nulls", () => {
+    expect(summarizeSeries([null, null])).toEqual({
+      count: 0,
+      min: null,
+      max: null,
+      mean: null,
+      latest: null,
+      change: null,
+    });
+  });
+
+  test("aligns every fund on the shared date axis", () => {
+    const result = compareFunds(snapshots, funds);
+    expect(result.metric).toBe("netYield");
+    expect(result.dates.length).toBe(snapshots.length);
+    Object.values(result.series).forEach((values) => {
+      expect(values.length).toBe(result.dates.length);
+    });
+    expect(result.baseline).toBeNull();
+    expect(result.spread).toBeNull();
+  });
+
+  test("uses null where a snapshot lacks a value for a fund", () => {
+    const result = compareFunds(snapshots, funds, { metric: "grossYield" });
+    const lastIndex = result.dates.indexOf("01-15-2026");
+    expect(result.series.SWGXX[lastIndex]).toBeNull();
+    expect(result.series.SWVXX[lastIndex]).toBe(3.52);
+    expect(result.summary.SWGXX.count).toBe(result.dates.length - 1);
+  });
+
+  test("builds a spread series against the baseline", () => {
+    const result = compareFunds(snapshots, funds, {
+      metric: "grossYield",
+      baseline: "SWVXX",
+      dateRange: { startDate: parseDateParam("2026-01-15"), endDate: null },
+    });
+    expect(result.dates).toEqual(["01-15-2026"]);
+    expect(result.spread).not.toHaveProperty("SWVXX");
+    expect(result.spread.SWTXX).toEqual([-2.28]);
+    expect(result.spread.SWGXX).toEqual([null]);
+  });
+});
+
+describe("GET /api/history/compare", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const compare = (query) =>
+    fetch(`${baseUrl}/api/history/compare?${query}`).then(async (response) => ({
+      status: response.status,
+      body: await response.json(),
+    }));
+
+  test("compares funds named in the query", async () => {
+    const { status, body } = await compare("fundNames=SWVXX,SWTXX");
+    expect(status).toBe(200);
+    expect(body.funds.map((fund) => fund.symbol)).toEqual(["SWVXX", "SWTXX"]);
+  });
+
+  test("reads names as Express decoded them, once", async () => {
+    const percent = await compare(
+      `fundNames=${encodeURIComponent("100% Treasury")}`,
+    );
+    expect(percent.status).toBe(404);
+    expect(percent.body.error).toBe("Unknown funds: 100% Treasury");
+
+    const encoded = await compare(
+      `fundNames=${encodeURIComponent("SWVXX%2CSWTXX")}`,
+    );
+    expect(encoded.status).toBe(404);
+    expect(encoded.body.error).toBe("Unknown funds: SWVXX%2CSWTXX");
+  });
+});
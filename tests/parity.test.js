@@ -0,0 +1,176 @@
+/**
+ * Parity Tests for the Tax Engine
+ * Ensures the browser bundle and POST /api/calculate give identical answers
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const app = require("../server");
+const { parseCSV, getAllFunds } = require("../src/data-utils");
+
+const PUBLIC_DIR = path.join(__dirname, "../public");
+const AS_OF_DATE = "01-15-2026";
+
+/**
+ * Load the page's scripts into a sandbox, in index.html order, the way the
+ * browser does: globals only, no require or module
+ * @returns {Object} The sandbox's window
+ */
+function loadBrowserBundle() {
+  const sandbox = { console };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  ["tax-tables", "tax-calculator"].forEach((name) => {
+    vm.runInContext(
+      fs.readFileSync(path.join(PUBLIC_DIR, "js", `${name}.js`), "utf8"),
+      sandbox,
+    );
+  });
+  return sandbox;
+}
+
+const browser = loadBrowserBundle();
+const funds = getAllFunds(
+  parseCSV(
+    fs.readFileSync(
+      path.join(PUBLIC_DIR, `schwab_money_funds_${AS_OF_DATE}.csv`),
+      "utf8",
+    ),
+  ),
+);
+// The page fetches this file and passes it in; the server reads it itself
+const usGovernmentObligations = JSON.parse(
+  fs.readFileSync(path.join(PUBLIC_DIR, "us-government-obligations.json")),
+).funds;
+
+const PROFILES = {
+  "default profile": {
+    income: 200000,
+    filingStatus: "single",
+    state: "MO",
+    taxYear: "auto",
+    balance: 10000,
+  },
+  "itemizer under the SALT cap": {
+    income: 350000,
+    filingStatus: "married",
+    state: "CA",
+    taxYear: 2025,
+    balance: 250000,
+    deductionType: "itemized",
+    itemizedDeduction: 45000,
+    saltPaid: 12000,
+  },
+  "New York City resident subject to AMT": {
+    income: 600000,
+    filingStatus: "head",
+    state: "NY",
+    locality: "NYC",
+    amtExposure: true,
+    taxYear: 2026,
+  },
+  "Roth account": {
+    income: 90000,
+    filingStatus: "single",
+    state: "NJ",
+    accountType: "roth",
+  },
+  "part-year resident": {
+    income: 400000,
+    filingStatus: "single",
+    state: "CA",
+    taxYear: 2025,
+    residencyPeriods: [
+      { state: "NY", endDate: "2025-04-30" },
+      { state: "CA", startDate: "2025-05-01" },
+    ],
+  },
+};
+
+describe("Browser and Server Parity", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test("loads the same engine in both environments", () => {
+    expect(typeof browser.TaxCalculator.calculateAllFunds).toBe("function");
+    expect(Object.keys(browser.TaxCalculator).sort()).toEqual(
+      Object.keys(require("../public/js/tax-calculator")).sort(),
+    );
+  });
+
+  test.each(Object.keys(PROFILES))(
+    "gives identical results for the %s",
+    async (name) => {
+      const userProfile = PROFILES[name];
+      const response = await fetch(`${baseUrl}/api/calculate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ userProfile, funds, asOfDate: AS_OF_DATE }),
+      });
+      const serverResults = await response.json();
+      const browserResults = browser.TaxCalculator.calculateAllFunds(
+        funds,
+        userProfile,
+        { asOfDate: AS_OF_DATE, usGovernmentObligations },
+      );
+
+      expect(response.status).toBe(200);
+      expect(serverResults.length).toBe(funds.length);
+      expect(serverResults).toEqual(JSON.parse(JSON.stringify(browserResults)));
+    },
+  );
+
+  test("rejects overlapping residency periods", async () => {
+    const userProfile = {
+      ...PROFILES["part-year resident"],
+      residencyPeriods: [{ state: "NY" }, { state: "CA" }],
+    };
+    const response = await fetch(`${baseUrl}/api/calculate`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ userProfile, funds, asOfDate: AS_OF_DATE }),
+    });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error).toMatch(/overlap/);
+    expect(() =>
+      browser.TaxCalculator.calculateAllFunds(funds, userProfile, {
+        asOfDate: AS_OF_DATE,
+        usGovernmentObligations,
+      }),
+    ).toThrow(/overlap/);
+  });
+
+  test("returns the same explanation when asked with ?explain=true", async () => {
+    const userProfile = PROFILES["New York City resident subject to AMT"];
+    const post = (query) =>
+      fetch(`${baseUrl}/api/calculate${query}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ userProfile, funds, asOfDate: AS_OF_DATE }),
+      }).then((response) => response.json());
+    const explained = await post("?explain=true");
+    const plain = await post("");
+    const browserResults = browser.TaxCalculator.calculateAllFunds(
+      funds,
+      userProfile,
+      { asOfDate: AS_OF_DATE, usGovernmentObligations, explain: true },
+    );
+
+    expect(explained[0].explanation.length).toBeGreaterThan(0);
+    expect(explained).toEqual(JSON.parse(JSON.stringify(browserResults)));
+    expect(plain[0].explanation).toBeUndefined();
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Unit Tests for the Fund Providers
+ * Ensures each provider's saved page parses into categorized funds, and
+ * that the API can pick and merge providers
+ */
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const app = require("../server");
+const {
+  PROVIDERS,
+  DEFAULT_PROVIDER_IDS,
+  getProvider,
+  parseProviderIds,
+  toFunds,
+} = require("../src/providers");
+const {
+  parseFundTables,
+  parseFundDetails,
+  findTickerLinks,
+} = require("../src/providers/page-utils");
+const { SCHWAB_FUNDS } = require("../src/providers/schwab-funds");
+
+const fixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+const pageHtml = fixture("pages/schwab.html");
+const captionHtml = fixture("schwab-caption.html");
+const fundPageHtml = fixture("schwab-fund-swvxx.html");
+
+/**
+ * Parse a provider's saved fixture page into fund objects
+ * @param {string} id - Provider id
+ * @returns {Array<Object>} Fund objects
+ */
+function loadFunds(id) {
+  const provider = getProvider(id);
+  return toFunds(provider, provider.parse(fixture(`pages/${id}.html`)));
+}
+
+describe("Page Parsing", () => {
+  test("reads every fund row with its section and columns", () => {
+    const rows = parseFundTables(pageHtml);
+    expect(rows.length).toBe(17);
+    expect(rows[0]).toEqual({
+      Category: "Taxable Money Funds",
+      "Fund Name": "Schwab Prime Advantage Money Fund - Investor Shares",
+      Ticker: "SWVXX",
+      "7-Day Yield (with waivers)": "3.52%",
+      "7-Day Yield (without waivers)": "3.51%",
+      "Minimum Initial Investment": "No Minimum",
+      "Gross Expense Ratio": "0.35%",
+      "Net Expense Ratio": "0.34%",
+      "Eligible Investors": "Retail",
+    });
+  });
+
+  test("handles div-wrapped names and footnoted ETF names", () => {
+    const rows = parseFundTables(pageHtml);
+    const byTicker = (ticker) => rows.find((row) => row.Ticker === ticker);
+    expect(byTicker("SNAXX")["Fund Name"]).toBe(
+      "Schwab Prime Advantage Money Fund - Ultra Shares",
+    );
+    expect(byTicker("SGVT")).toMatchObject({
+      Category: "Money Market ETF",
+      "Fund Name": "Schwab Government Money Market ETF",
+      "Gross Expense Ratio": "--",
+    });
+  });
+
+  test("skips tables without a yield column", () => {
+    const tickers = parseFundTables(pageHtml).map((row) => row.Ticker);
+    expect(new Set(tickers).size).toBe(tickers.length);
+    expect(tickers).not.toContain("SWGXX");
+  });
+
+  test("matches columns by header and reads captions as sections", () => {
+    const rows = parseFundTables(captionHtml);
+    expect(rows).toEqual([
+      {
+        Category: "Tax-Exempt Money Funds",
+        "Fund Name": "Schwab Municipal Money Fund - Investor Shares",
+        Ticker: "SWTXX",
+        "7-Day Yield (with waivers)": "1.24%",
+        "Net Expense Ratio": "0.34%",
+        "Minimum Initial Investment": "No Minimum",
+      },
+      {
+        Category: "Tax-Exempt Money Funds",
+        "Fund Name": "Schwab New York Municipal Money Fund - Ultra Shares",
+        Ticker: "SNYXX",
+        "7-Day Yield (with waivers)": "--",
+        "Net Expense Ratio": "0.19%",
+        "Minimum Initial Investment": "$1,000,000",
+      },
+    ]);
+  });
+
+  test("lists each ticker once", () => {
+    const rows = parseFundTables(pageHtml + pageHtml);
+    expect(rows.length).toBe(17);
+  });
+
+  test("finds every linked fund, in or out of the fund tables", () => {
+    const html = pageHtml.replace(
+      "</main>",
+      '<p>New: <a href="https://www.schwabassetmanagement.com/products/SWZXX">SWZXX</a></p>' +
+        '<ul><li>Schwab Treasury Money Fund - Select Shares (<a href="/products/swsxx?tab=overview">SWSXX</a>)</li></ul>' +
+        '<a href="/about">About</a></main>',
+    );
+    const links = findTickerLinks(html);
+
+    expect(links.length).toBe(19);
+    expect(links[16]).toEqual({
+      ticker: "SGVT",
+      fundName: "Schwab Government Money Market ETF",
+    });
+    expect(links.slice(17)).toEqual([
+      { ticker: "SWZXX", fundName: "" },
+      {
+        ticker: "SWSXX",
+        fundName: "Schwab Treasury Money Fund - Select Shares",
+      },
+    ]);
+    expect(findTickerLinks(fixture("pages/vanguard.html"))[0]).toEqual({
+      ticker: "VMFXX",
+      fundName: "Vanguard Federal Money Market Fund",
+    });
+  });
+
+  test("returns no rows for a page without fund tables", () => {
+    expect(parseFundTables("<html><body><p>Down</p></body></html>")).toEqual(
+      [],
+    );
+  });
+});
+
+describe("Fund Pages", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("reads fund facts from definition lists and label rows", () => {
+    expect(parseFundDetails(fundPageHtml)).toEqual({
+      NAV: "$1.00",
+      "Total Net Assets": "$68.21B",
+      "7-Day Yield (with waivers)": "3.52%",
+      "7-Day Yield (without waivers)": "3.51%",
+      "Gross Expense Ratio": "0.35%",
+      "Net Expense Ratio": "0.34%",
+      "Minimum Initial Investment": "No Minimum",
+    });
+  });
+
+  test("returns nothing for a page without fund facts", () => {
+    expect(parseFundDetails("<html><body><p>Moved</p></body></html>")).toEqual(
+      {},
+    );
+  });
+
+  test("Schwab fetches a fund's page by ticker", async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const get = jest
+      .spyOn(axios, "get")
+      .mockResolvedValue({ data: fundPageHtml });
+    const details = await getProvider("schwab").fetchDetails("SWVXX");
+
+    expect(get).toHaveBeenCalledWith(
+      "https://www.schwabassetmanagement.com/products/SWVXX",
+      expect.any(Object),
+    );
+    expect(details["Total Net Assets"]).toBe("$68.21B");
+  });
+
+  test("the Schwab registry covers every fund on the page", () => {
+    parseFundTables(pageHtml).forEach((row) => {
+      expect(SCHWAB_FUNDS[row.Ticker]).toMatchObject({
+        Category: row.Category,
+        "Fund Name": row["Fund Name"],
+        "Minimum Initial Investment": row["Minimum Initial Investment"],
+        "Net Expense Ratio": row["Net Expense Ratio"],
+        "Eligible Investors": row["Eligible Investors"],
+      });
+    });
+  });
+});
+
+describe("Providers", () => {
+  test("each provider has an id, metadata and the provider methods", () => {
+    Object.entries(PROVIDERS).forEach(([id, provider]) => {
+      expect(provider.id).toBe(id);
+      expect(provider.metadata).toMatchObject({
+        name: expect.any(String),
+        url: expect.stringMatching(/^https:\/\//),
+        snapshotPrefix: `${id}_money_funds_`,
+        live: expect.any(Boolean),
+      });
+      expect(typeof provider.fetchPage).toBe("function");
+      expect(typeof provider.parse).toBe("function");
+      expect(typeof provider.categorize).toBe("function");
+    });
+    expect(getProvider("schwab").metadata.live).toBe(true);
+  });
+
+  test("Fidelity's saved page parses into categorized funds", () => {
+    const funds = loadFunds("fidelity");
+    const byTicker = (ticker) => funds.find((fund) => fund.symbol === ticker);
+
+    expect(funds.length).toBe(7);
+    expect(byTicker("SPAXX")).toMatchObject({
+      fundName: "Fidelity Government Money Market Fund",
+      category: "taxable",
+      grossYield: 3.29,
+      expenseRatio: 0.42,
+      minimumInvestment: "$0",
+      provider: "fidelity",
+    });
+    expect(byTicker("FDLXX").category).toBe("treasury");
+    expect(byTicker("FZFXX").category).toBe("treasury");
+    expect(byTicker("SPRXX").category).toBe("taxable");
+    expect(byTicker("FTEXX").category).toBe("municipal");
+    expect(byTicker("FCFXX")).toMatchObject({
+      category: "state-municipal",
+      issuingState: "CA",
+    });
+  });
+
+  test("Vanguard's saved page reads tickers from fund links", () => {
+    const funds = loadFunds("vanguard");
+    const byTicker = (ticker) => funds.find((fund) => fund.symbol === ticker);
+
+    expect(funds.map((fund) => fund.symbol)).toEqual([
+      "VMFXX",
+      "VUSXX",
+      "VMRXX",
+      "VMSXX",
+      "VCTXX",
+      "VYFXX",
+    ]);
+    expect(byTicker("VMFXX")).toMatchObject({
+      fundName: "Vanguard Federal Money Market Fund",
+      category: "taxable",
+      provider: "vanguard",
+    });
+    expect(byTicker("VUSXX").category).toBe("taxable");
+    expect(byTicker("VMSXX").category).toBe("municipal");
+    expect(byTicker("VCTXX")).toMatchObject({
+      category: "state-municipal",
+      issuingState: "CA",
+    });
+  });
+
+  test("browser-rendered providers ask for a saved page", async () => {
+    await expect(getProvider("vanguard").fetchPage()).rejects.toThrow(
+      "save it as vanguard.html",
+    );
+  });
+
+  test("looks up providers by id in any case", () => {
+    expect(getProvider(" Fidelity ")).toBe(PROVIDERS.fidelity);
+    expect(getProvider("acme")).toBeNull();
+    expect(getProvider(undefined)).toBeNull();
+    expect(getProvider("toString")).toBeNull();
+  });
+
+  test("parses provider lists, defaulting to Schwab", () => {
+    expect(parseProviderIds("vanguard, schwab,VANGUARD")).toEqual({
+      ids: ["vanguard", "schwab"],
+      unknown: [],
+    });
+    expect(parseProviderIds(["fidelity", "acme"])).toEqual({
+      ids: ["fidelity"],
+      unknown: ["acme"],
+    });
+    expect(parseProviderIds(undefined)).toEqual({
+      ids: DEFAULT_PROVIDER_IDS,
+      unknown: [],
+    });
+    expect(parseProviderIds("acme").ids).toEqual(["schwab"]);
+  });
+});
+
+describe("Provider API", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const get = (url) =>
+    fetch(`${baseUrl}${url}`).then(async (response) => ({
+      status: response.status,
+      body: await response.json(),
+    }));
+
+  test("GET /api/providers lists the providers and defaults", async () => {
+    const { status, body } = await get("/api/providers");
+    expect(status).toBe(200);
+    expect(body.defaults).toEqual(["schwab"]);
+    expect(body.providers.map((provider) => provider.id)).toEqual([
+      "schwab",
+      "fidelity",
+      "vanguard",
+    ]);
+    expect(body.providers[1]).toEqual({
+      id: "fidelity",
+      name: "Fidelity",
+      url: PROVIDERS.fidelity.metadata.url,
+      live: false,
+    });
+  });
+
+  test("GET /api/funds leaves out providers without a page", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const response = await fetch(
+      `${baseUrl}/api/funds?providers=schwab,fidelity`,
+    );
+    const funds = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get("x-skipped-providers")).toBe("fidelity");
+    expect(funds.every((fund) => fund.provider === "schwab")).toBe(true);
+  });
+
+  test("GET /api/funds rejects unknown providers", async () => {
+    const { status, body } = await get("/api/funds?providers=schwab,acme");
+    expect(status).toBe(400);
+    expect(body.error).toBe("Unknown fund providers: acme");
+  });
+
+  test("GET /api/csv-files filters by provider, newest first", async () => {
+    const { status, body } = await get("/api/csv-files?provider=schwab");
+    expect(status).toBe(200);
+    expect(body[0]).toEqual({
+      provider: "schwab",
+      name: "schwab_money_funds_01-15-2026.csv",
+      date: "01-15-2026",
+    });
+
+    const unknown = await get("/api/csv-files?provider=acme");
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe("Unknown fund provider: acme");
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Unit Tests for Scenarios
+ * Ensures scenarios survive the URL round trip and compare correctly
+ */
+
+const taxEngine = require("../public/js/tax-calculator");
+const {
+  MAX_SCENARIOS,
+  DEFAULT_PROFILE,
+  normalizeProfile,
+  normalizeScenario,
+  encodeScenarios,
+  decodeScenarios,
+  compareScenarios,
+} = require("../public/js/scenarios");
+
+describe("Profile Normalization", () => {
+  test("fills missing fields from the default profile", () => {
+    expect(normalizeProfile()).toEqual(DEFAULT_PROFILE);
+    expect(normalizeProfile({ state: "TX" })).toEqual({
+      ...DEFAULT_PROFILE,
+      state: "TX",
+    });
+  });
+
+  test("parses numbers and rejects negative or invalid amounts", () => {
+    const profile = normalizeProfile({
+      income: "150000",
+      balance: -5,
+      itemizedDeduction: "abc",
+      saltPaid: 12000,
+    });
+    expect(profile.income).toBe(150000);
+    expect(profile.balance).toBe(DEFAULT_PROFILE.balance);
+    expect(profile.itemizedDeduction).toBe(0);
+    expect(profile.saltPaid).toBe(12000);
+  });
+
+  test("rejects unknown states, filing statuses and tax years", () => {
+    const profile = normalizeProfile({
+      state: "ZZ",
+      filingStatus: "joint",
+      taxYear: 1999,
+    });
+    expect(profile.state).toBe(DEFAULT_PROFILE.state);
+    expect(profile.filingStatus).toBe(DEFAULT_PROFILE.filingStatus);
+    expect(profile.taxYear).toBe("auto");
+    expect(normalizeProfile({ taxYear: 2025 }).taxYear).toBe("2025");
+  });
+
+  test("keeps only the tax engine's account types", () => {
+    expect(normalizeProfile({ accountType: "roth" }).accountType).toBe("roth");
+    expect(normalizeProfile({ accountType: "ira" }).accountType).toBe(
+      DEFAULT_PROFILE.accountType,
+    );
+  });
+
+  test("keeps a locality only within its state", () => {
+    expect(normalizeProfile({ state: "NY", locality: "NYC" }).locality).toBe(
+      "NYC",
+    );
+    expect(normalizeProfile({ state: "NJ", locality: "NYC" }).locality).toBe(
+      null,
+    );
+  });
+
+  test("ignores inherited object keys", () => {
+    const profile = normalizeProfile({
+      state: "constructor",
+      locality: "toString",
+      accountType: "constructor",
+    });
+    expect(profile.state).toBe(DEFAULT_PROFILE.state);
+    expect(profile.locality).toBeNull();
+    expect(profile.accountType).toBe(DEFAULT_PROFILE.accountType);
+  });
+
+  test("keeps residency periods in known states with valid dates", () => {
+    const profile = normalizeProfile({
+      residencyPeriods: [
+        { state: "NY", startDate: "January", endDate: "2025-06-30" },
+        { state: "ZZ" },
+        null,
+        { state: "CA", startDate: "2025-07-01" },
+      ],
+    });
+    expect(profile.residencyPeriods).toEqual([
+      { state: "NY", startDate: null, endDate: "2025-06-30" },
+      { state: "CA", startDate: "2025-07-01", endDate: null },
+    ]);
+    expect(
+      normalizeProfile({ residencyPeriods: "NY" }).residencyPeriods,
+    ).toEqual([]);
+    expect(
+      normalizeProfile({
+        residencyPeriods: [{ state: "NY" }, { state: "CA" }],
+      }).residencyPeriods,
+    ).toEqual([]);
+  });
+
+  test("only an explicit true turns on AMT exposure", () => {
+    expect(normalizeProfile({ amtExposure: "yes" }).amtExposure).toBe(false);
+    expect(normalizeProfile({ amtExposure: true }).amtExposure).toBe(true);
+  });
+});
+
+describe("Scenario Names", () => {
+  test("trims and shortens names", () => {
+    const scenario = normalizeScenario({ name: `  ${"x".repeat(60)}  ` });
+    expect(scenario.name.length).toBe(40);
+  });
+
+  test("names unnamed scenarios by position", () => {
+    expect(normalizeScenario({}, 2).name).toBe("Scenario 3");
+  });
+});
+
+describe("URL State", () => {
+  const scenarios = [
+    normalizeScenario({ name: "Current job", profile: {} }),
+    normalizeScenario({
+      name: "After move to TX",
+      profile: { state: "TX", income: 250000 },
+    }),
+  ];
+
+  test("round-trips scenarios", () => {
+    expect(decodeScenarios(encodeScenarios(scenarios))).toEqual(scenarios);
+  });
+
+  test("leaves default fields out of the link", () => {
+    const encoded = JSON.parse(encodeScenarios(scenarios));
+    expect(encoded[0].profile).toEqual({});
+    expect(encoded[1].profile).toEqual({ income: 250000, state: "TX" });
+  });
+
+  test("keeps residency periods in the link", () => {
+    const periods = [
+      { state: "NY", startDate: null, endDate: "2025-06-30" },
+      { state: "CA", startDate: "2025-07-01", endDate: null },
+    ];
+    const moved = [
+      normalizeScenario({
+        name: "Moved",
+        profile: { residencyPeriods: periods },
+      }),
+    ];
+    expect(JSON.parse(encodeScenarios(moved))[0].profile).toEqual({
+      residencyPeriods: periods,
+    });
+    expect(decodeScenarios(encodeScenarios(moved))).toEqual(moved);
+  });
+
+  test("encodes no scenarios as an empty string", () => {
+    expect(encodeScenarios([])).toBe("");
+  });
+
+  test("keeps at most four scenarios", () => {
+    const many = Array.from({ length: 6 }, (_, i) =>
+      normalizeScenario({ name: `S${i}` }),
+    );
+    expect(JSON.parse(encodeScenarios(many)).length).toBe(MAX_SCENARIOS);
+    expect(decodeScenarios(JSON.stringify(many)).length).toBe(MAX_SCENARIOS);
+  });
+
+  test("returns no scenarios for missing or unreadable input", () => {
+    expect(decodeScenarios(null)).toEqual([]);
+    expect(decodeScenarios("not json")).toEqual([]);
+    expect(decodeScenarios('{"name":"x"}')).toEqual([]);
+    expect(decodeScenarios('[null, 3, {"name":"ok"}]')).toEqual([
+      normalizeScenario({ name: "ok" }),
+    ]);
+  });
+});
+
+describe("Scenario Comparison", () => {
+  const funds = [
+    {
+      fundName: "Taxable Fund",
+      symbol: "TAXXX",
+      category: "taxable",
+      grossYield: 4.0,
+      expenseRatio: 0,
+    },
+    {
+      fundName: "Municipal Fund",
+      symbol: "MUNXX",
+      category: "municipal",
+      grossYield: 3.0,
+      expenseRatio: 0,
+    },
+  ];
+  const run = (name, profile) => ({
+    name: name,
+    results: taxEngine.calculateAllFunds(funds, {
+      ...normalizeProfile(profile),
+      taxYear: 2025,
+    }),
+  });
+
+  test("compares the top fund and after-tax income to the first scenario", () => {
+    const rows = compareScenarios([
+      run("Current job", { income: 80000, state: "TX" }),
+      run("Promotion", { income: 700000, state: "CA" }),
+    ]);
+
+    expect(rows[0].top.symbol).toBe("TAXXX");
+    expect(rows[0].afterTaxIncomeChange).toBe(0);
+    expect(rows[0].topFundChanged).toBe(false);
+
+    expect(rows[1].name).toBe("Promotion");
+    expect(rows[1].top.symbol).toBe("MUNXX");
+    expect(rows[1].topFundChanged).toBe(true);
+    expect(rows[1].afterTaxIncomeChange).toBeCloseTo(
+      rows[1].afterTaxIncome - rows[0].afterTaxIncome,
+      10,
+    );
+  });
+
+  test("reports no top fund when there are no results", () => {
+    expect(compareScenarios([{ name: "Empty", results: [] }])).toEqual([
+      { name: "Empty", top: null },
+    ]);
+  });
+});
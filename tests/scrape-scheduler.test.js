@@ -0,0 +1,316 @@
+/**
+ * Unit Tests for the Scrape Scheduler
+ * Ensures cron-like schedules, jitter, retries with backoff and the status
+ * routes behave
+ */
+
+const app = require("../server");
+const {
+  DEFAULT_SCHEDULE,
+  parseSchedule,
+  getNextRun,
+  getBackoffDelay,
+  readSchedulerConfig,
+  createScheduler,
+} = require("../src/scrape-scheduler");
+
+const MINUTE = 60000;
+
+describe("Schedules", () => {
+  test("parses wildcards, ranges, steps and lists", () => {
+    const schedule = parseSchedule("*/15 9-17/4 1,15 * 1-5");
+    expect([...schedule.minutes]).toEqual([0, 15, 30, 45]);
+    expect([...schedule.hours]).toEqual([9, 13, 17]);
+    expect([...schedule.days]).toEqual([1, 15]);
+    expect(schedule.months.size).toBe(12);
+    expect([...schedule.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    expect(parseSchedule("0 12 * * 7").weekdays.has(0)).toBe(true);
+    expect([...parseSchedule("50/5 * * * *").minutes]).toEqual([50, 55]);
+  });
+
+  test("rejects malformed expressions", () => {
+    expect(() => parseSchedule("30 18 * *")).toThrow("expected 5 fields");
+    expect(() => parseSchedule(undefined)).toThrow("expected 5 fields");
+    expect(() => parseSchedule("60 18 * * *")).toThrow("Invalid minute: 60");
+    expect(() => parseSchedule("0 18 * * mon")).toThrow(
+      "Invalid day of week: mon",
+    );
+    expect(() => parseSchedule("0 5-1 * * *")).toThrow("Invalid hour: 5-1");
+    expect(() => parseSchedule("*/0 * * * *")).toThrow("Invalid minute");
+  });
+
+  test("finds the next weekday run after a time", () => {
+    const schedule = parseSchedule(DEFAULT_SCHEDULE);
+    // Friday evening, after the run: next is Monday
+    expect(getNextRun(schedule, new Date(2026, 0, 16, 19, 0))).toEqual(
+      new Date(2026, 0, 19, 18, 30),
+    );
+    // Same day, before the run
+    expect(getNextRun(schedule, new Date(2026, 0, 19, 9, 12, 45))).toEqual(
+      new Date(2026, 0, 19, 18, 30),
+    );
+    // Exactly at the run time: the next one
+    expect(getNextRun(schedule, new Date(2026, 0, 19, 18, 30))).toEqual(
+      new Date(2026, 0, 20, 18, 30),
+    );
+  });
+
+  test("runs on either restricted day field, and crosses months", () => {
+    // The 1st of the month or any Sunday
+    const schedule = parseSchedule("0 6 1 * 0");
+    expect(getNextRun(schedule, new Date(2026, 0, 26))).toEqual(
+      new Date(2026, 1, 1, 6, 0),
+    );
+    expect(getNextRun(schedule, new Date(2026, 1, 2))).toEqual(
+      new Date(2026, 1, 8, 6, 0),
+    );
+    expect(
+      getNextRun(parseSchedule("0 0 1 3 *"), new Date(2026, 0, 15)),
+    ).toEqual(new Date(2026, 2, 1, 0, 0));
+  });
+
+  test("finds leap days, and returns null for a date that never comes", () => {
+    expect(
+      getNextRun(parseSchedule("0 0 29 2 *"), new Date(2026, 0, 1)),
+    ).toEqual(new Date(2028, 1, 29, 0, 0));
+    expect(getNextRun(parseSchedule("0 0 31 2 *"), new Date(2026, 0, 1))).toBe(
+      null,
+    );
+  });
+
+  test("doubles the retry delay after each failure", () => {
+    expect([1, 2, 3, 4].map((n) => getBackoffDelay(n, 1000))).toEqual([
+      1000, 2000, 4000, 8000,
+    ]);
+  });
+});
+
+describe("Configuration", () => {
+  test("is off by default with a weekday evening schedule", () => {
+    expect(readSchedulerConfig({})).toEqual({
+      enabled: false,
+      schedule: DEFAULT_SCHEDULE,
+      jitterMs: 15 * MINUTE,
+      maxRetries: 3,
+      retryDelayMs: 60000,
+    });
+  });
+
+  test("reads the schedule, jitter and retries from .env", () => {
+    expect(
+      readSchedulerConfig({
+        SCRAPE_SCHEDULER_ENABLED: "true",
+        SCRAPE_SCHEDULE: "0 19 * * *",
+        SCRAPE_JITTER_MINUTES: "0",
+        SCRAPE_MAX_RETRIES: "5",
+        SCRAPE_RETRY_DELAY_SECONDS: "30",
+      }),
+    ).toEqual({
+      enabled: true,
+      schedule: "0 19 * * *",
+      jitterMs: 0,
+      maxRetries: 5,
+      retryDelayMs: 30000,
+    });
+  });
+
+  test("rejects invalid settings", () => {
+    const enabled = { SCRAPE_SCHEDULER_ENABLED: "true" };
+    expect(() =>
+      readSchedulerConfig({ ...enabled, SCRAPE_SCHEDULE: "daily" }),
+    ).toThrow('Invalid schedule "daily"');
+    expect(() =>
+      readSchedulerConfig({ ...enabled, SCRAPE_MAX_RETRIES: "-1" }),
+    ).toThrow("Invalid SCRAPE_MAX_RETRIES: -1");
+  });
+
+  test("ignores the other settings while disabled", () => {
+    expect(
+      readSchedulerConfig({
+        SCRAPE_SCHEDULE: "daily",
+        SCRAPE_MAX_RETRIES: "-1",
+      }),
+    ).toEqual(readSchedulerConfig({}));
+  });
+});
+
+describe("Scheduler", () => {
+  beforeEach(() => {
+    // Friday 01-16-2026, 18:00
+    jest.useFakeTimers({ now: new Date(2026, 0, 16, 18, 0) });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const saved = { status: "saved", date: "01-16-2026" };
+
+  test("runs at the scheduled time plus jitter, then plans the next run", async () => {
+    const run = jest.fn().mockResolvedValue(saved);
+    const scheduler = createScheduler({
+      schedule: DEFAULT_SCHEDULE,
+      jitterMs: 10 * MINUTE,
+      random: () => 0.5,
+      run,
+    });
+
+    expect(scheduler.getStatus()).toMatchObject({
+      enabled: true,
+      nextRunAt: null,
+      lastRun: null,
+    });
+    scheduler.start();
+    scheduler.start();
+    expect(scheduler.getStatus().nextRunAt).toBe(
+      new Date(2026, 0, 16, 18, 35).toISOString(),
+    );
+
+    await jest.advanceTimersByTimeAsync(34 * MINUTE);
+    expect(run).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(MINUTE);
+    expect(run).toHaveBeenCalledTimes(1);
+
+    const status = scheduler.getStatus();
+    expect(status.lastRun).toMatchObject({
+      status: "saved",
+      attempts: 1,
+      result: saved,
+    });
+    expect(status.running).toBe(false);
+    expect(status.nextRunAt).toBe(new Date(2026, 0, 19, 18, 35).toISOString());
+
+    scheduler.stop();
+    expect(scheduler.getStatus().nextRunAt).toBeNull();
+    await jest.advanceTimersByTimeAsync(7 * 24 * 60 * MINUTE);
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  test("retries with exponential backoff and keeps the errors", async () => {
+    const run = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("Request failed with status 503"))
+      .mockRejectedValueOnce(new Error("timeout of 30000ms exceeded"))
+      .mockResolvedValue(saved);
+    const scheduler = createScheduler({
+      schedule: DEFAULT_SCHEDULE,
+      maxRetries: 3,
+      retryDelayMs: 1000,
+      run,
+    });
+
+    const pending = scheduler.runNow();
+    expect(scheduler.runNow()).toBe(pending);
+    expect(scheduler.getStatus().running).toBe(true);
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(run).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(run).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(run).toHaveBeenCalledTimes(3);
+
+    const lastRun = await pending;
+    expect(lastRun).toMatchObject({ status: "saved", attempts: 3 });
+    expect(scheduler.getStatus().errors.map((e) => e.message)).toEqual([
+      "timeout of 30000ms exceeded",
+      "Request failed with status 503",
+    ]);
+  });
+
+  test("gives up after the last retry, or at once when not retryable", async () => {
+    const failing = createScheduler({
+      schedule: DEFAULT_SCHEDULE,
+      maxRetries: 1,
+      retryDelayMs: 1000,
+      run: jest.fn().mockRejectedValue(new Error("Request failed")),
+    });
+    const pending = failing.runNow();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(await pending).toMatchObject({
+      status: "failed",
+      attempts: 2,
+      error: "Request failed",
+    });
+
+    const changed = Object.assign(new Error("The fund list changed."), {
+      retryable: false,
+    });
+    const run = jest.fn().mockRejectedValue(changed);
+    const policy = createScheduler({ schedule: DEFAULT_SCHEDULE, run });
+    expect(await policy.runNow()).toMatchObject({
+      status: "failed",
+      attempts: 1,
+      error: "The fund list changed.",
+    });
+  });
+
+  test("re-arms waits longer than a timer allows", async () => {
+    const run = jest.fn().mockResolvedValue(saved);
+    const scheduler = createScheduler({ schedule: "0 0 1 1 *", run });
+    scheduler.start();
+
+    await jest.advanceTimersByTimeAsync(300 * 24 * 60 * MINUTE);
+    expect(run).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(50 * 24 * 60 * MINUTE);
+    expect(run).toHaveBeenCalledTimes(1);
+    scheduler.stop();
+  });
+
+  test("does nothing on start when disabled", () => {
+    const run = jest.fn();
+    const scheduler = createScheduler({ enabled: false, run });
+    scheduler.start();
+    expect(scheduler.getStatus()).toMatchObject({
+      enabled: false,
+      schedule: DEFAULT_SCHEDULE,
+      nextRunAt: null,
+    });
+  });
+});
+
+describe("Scrape Status API", () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test("GET /api/scrape/status reports the scheduler", async () => {
+    const response = await fetch(`${baseUrl}/api/scrape/status`);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      enabled: false,
+      schedule: DEFAULT_SCHEDULE,
+      running: false,
+      lastRun: null,
+      nextRunAt: null,
+      errors: [],
+    });
+  });
+
+  test("GET /api/health includes the scrape summary", async () => {
+    const body = await fetch(`${baseUrl}/api/health`).then((response) =>
+      response.json(),
+    );
+    expect(body.status).toBe("ok");
+    expect(body.scrape).toEqual({
+      enabled: false,
+      running: false,
+      lastRunStatus: null,
+      lastRunAt: null,
+      nextRunAt: null,
+      lastError: null,
+    });
+  });
+});
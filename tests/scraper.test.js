@@ -0,0 +1,264 @@
+/**
+ * Unit Tests for the Scraper
+ * Ensures provider pages become the same funds as a CSV snapshot, and that
+ * providers merge into one list
+ */
+
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const {
+  SCHWAB_URL,
+  scrapeProviders,
+  scrapeFunds,
+  scrapeProvider,
+  getMockData,
+  validateFundData,
+  getFundDetails,
+} = require("../src/scraper");
+const { getProvider, toFunds } = require("../src/providers");
+const { parseCSV, getAllFunds } = require("../src/data-utils");
+
+const pagesDir = path.join(__dirname, "fixtures", "pages");
+const emptyDir = path.join(__dirname, "fixtures", "no-pages");
+const pageHtml = fs.readFileSync(path.join(pagesDir, "schwab.html"), "utf8");
+const schwab = getProvider("schwab");
+const parseFunds = (html) => toFunds(schwab, schwab.parse(html));
+
+describe("Fund Objects", () => {
+  test("match the CSV snapshot saved the same day", () => {
+    const csvFunds = getAllFunds(
+      parseCSV(
+        fs.readFileSync(
+          path.join(__dirname, "../public/schwab_money_funds_01-15-2026.csv"),
+          "utf8",
+        ),
+      ),
+    ).filter((fund) => fund.symbol !== "SWGXX");
+    const funds = parseFunds(pageHtml);
+
+    expect(funds.map(({ sourceUrl, provider, ...fund }) => fund)).toEqual(
+      csvFunds,
+    );
+    funds.forEach((fund) => {
+      expect(fund.sourceUrl).toBe(SCHWAB_URL);
+      expect(validateFundData(fund)).toBe(true);
+    });
+  });
+
+  test("carry categories, yields, expense ratios and their provider", () => {
+    const funds = parseFunds(pageHtml);
+    const swkxx = funds.find((fund) => fund.symbol === "SWKXX");
+    expect(swkxx).toMatchObject({
+      category: "state-municipal",
+      issuingState: "CA",
+      grossYield: 1.03,
+      expenseRatio: 0.34,
+      provider: "schwab",
+      sourceUrl: SCHWAB_URL,
+    });
+    expect(funds.find((fund) => fund.symbol === "SWWXX").category).toBe(
+      "municipal-amt-free",
+    );
+    expect(funds.find((fund) => fund.symbol === "SGVT").category).toBe("etf");
+  });
+});
+
+describe("Validation", () => {
+  const fund = {
+    fundName: "Schwab Municipal Money Fund - Investor Shares",
+    category: "municipal",
+    grossYield: 1.24,
+    expenseRatio: 0.34,
+  };
+
+  test("rejects missing names, out-of-range numbers and unknown categories", () => {
+    expect(() => validateFundData({ ...fund, fundName: "" })).toThrow(
+      "Invalid fund name",
+    );
+    expect(() => validateFundData({ ...fund, grossYield: 25 })).toThrow(
+      "Invalid gross yield",
+    );
+    expect(() => validateFundData({ ...fund, expenseRatio: -1 })).toThrow(
+      "Invalid expense ratio",
+    );
+    expect(() => validateFundData({ ...fund, category: "bond" })).toThrow(
+      "Invalid category",
+    );
+  });
+});
+
+describe("Scraping", () => {
+  const originalFlag = process.env.USE_MOCK_DATA;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (originalFlag === undefined) {
+      delete process.env.USE_MOCK_DATA;
+    } else {
+      process.env.USE_MOCK_DATA = originalFlag;
+    }
+  });
+
+  test("uses mock data unless USE_MOCK_DATA is false", async () => {
+    const get = jest.spyOn(axios, "get");
+    delete process.env.USE_MOCK_DATA;
+    const funds = await scrapeFunds({ pagesDir: emptyDir });
+    process.env.USE_MOCK_DATA = "true";
+    await scrapeFunds({ pagesDir: emptyDir });
+
+    expect(get).not.toHaveBeenCalled();
+    expect(funds.length).toBe(getMockData().length);
+  });
+
+  test("mock data has one entry per ticker", () => {
+    const symbols = getMockData().map((fund) => fund.symbol);
+    expect(new Set(symbols).size).toBe(symbols.length);
+    getMockData().forEach((fund) => {
+      expect(validateFundData(fund)).toBe(true);
+    });
+  });
+
+  test("mock data lists government and Treasury funds as taxable", () => {
+    // Their state exemption comes from the U.S. obligations data
+    const bySymbol = (symbol) =>
+      getMockData().find((fund) => fund.symbol === symbol);
+    expect(bySymbol("SNOXX").category).toBe("taxable");
+    expect(bySymbol("SNVXX").category).toBe("taxable");
+  });
+
+  test("parses the live page when USE_MOCK_DATA is false", async () => {
+    process.env.USE_MOCK_DATA = "false";
+    const get = jest.spyOn(axios, "get").mockResolvedValue({ data: pageHtml });
+    const funds = await scrapeFunds({ pagesDir: emptyDir });
+
+    expect(get).toHaveBeenCalledWith(SCHWAB_URL, expect.any(Object));
+    expect(funds).toEqual(parseFunds(pageHtml));
+  });
+
+  test("fails instead of falling back to mock data", async () => {
+    process.env.USE_MOCK_DATA = "false";
+    jest
+      .spyOn(axios, "get")
+      .mockResolvedValue({ data: "<html><body></body></html>" });
+    await expect(scrapeFunds({ pagesDir: emptyDir })).rejects.toThrow(
+      "No funds found on the Charles Schwab page",
+    );
+
+    axios.get.mockRejectedValue(new Error("Request failed with status 403"));
+    await expect(scrapeFunds({ pagesDir: emptyDir })).rejects.toThrow("403");
+  });
+
+  test("prefers a saved page over mock data and the live page", async () => {
+    const get = jest.spyOn(axios, "get");
+    const funds = await scrapeProvider(schwab, pagesDir);
+
+    expect(get).not.toHaveBeenCalled();
+    expect(funds).toEqual(parseFunds(pageHtml));
+  });
+
+  test("reads FUND_PAGES_DIR when no pages directory is given", async () => {
+    const originalDir = process.env.FUND_PAGES_DIR;
+    process.env.FUND_PAGES_DIR = pagesDir;
+    try {
+      const funds = await scrapeFunds({ providers: "vanguard" });
+      expect(funds.map((fund) => fund.symbol)).toContain("VMFXX");
+    } finally {
+      if (originalDir === undefined) {
+        delete process.env.FUND_PAGES_DIR;
+      } else {
+        process.env.FUND_PAGES_DIR = originalDir;
+      }
+    }
+  });
+
+  test("merges providers, keeping each ticker from the first provider", async () => {
+    const funds = await scrapeFunds({
+      providers: ["fidelity", "schwab", "vanguard", "fidelity"],
+      pagesDir,
+    });
+    const symbols = funds.map((fund) => fund.symbol);
+
+    expect(new Set(symbols).size).toBe(symbols.length);
+    expect(symbols).toEqual(
+      expect.arrayContaining(["SPAXX", "SWVXX", "VMFXX"]),
+    );
+    expect(funds[0].provider).toBe("fidelity");
+    expect(funds.find((fund) => fund.symbol === "VMFXX")).toMatchObject({
+      provider: "vanguard",
+      category: "taxable",
+      sourceUrl: getProvider("vanguard").metadata.url,
+    });
+    funds.forEach((fund) => {
+      expect(validateFundData(fund)).toBe(true);
+    });
+  });
+
+  test("skips and reports providers it cannot scrape", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const { funds, skipped } = await scrapeProviders({
+      providers: "schwab,fidelity",
+      pagesDir: emptyDir,
+    });
+
+    expect(funds.length).toBe(getMockData().length);
+    expect(skipped).toEqual([
+      {
+        provider: "fidelity",
+        error: expect.stringContaining("save it as fidelity.html"),
+      },
+    ]);
+  });
+
+  test("rejects unknown providers and pages it cannot fetch", async () => {
+    await expect(scrapeFunds({ providers: "schwab,acme" })).rejects.toThrow(
+      "Unknown fund providers: acme",
+    );
+    await expect(
+      scrapeFunds({ providers: "fidelity", pagesDir: emptyDir }),
+    ).rejects.toThrow("save it as fidelity.html");
+  });
+});
+
+describe("Fund Details", () => {
+  const fundPageHtml = fs.readFileSync(
+    path.join(__dirname, "fixtures", "schwab-fund-swvxx.html"),
+    "utf8",
+  );
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("reads NAV and total net assets from the fund's page", async () => {
+    jest.spyOn(axios, "get").mockResolvedValue({ data: fundPageHtml });
+    const details = await getFundDetails("SWVXX");
+    expect(details).toMatchObject({
+      NAV: "$1.00",
+      "Total Net Assets": "$68.21B",
+      "7-Day Yield (without waivers)": "3.51%",
+    });
+  });
+
+  test("returns null for providers without fund pages", async () => {
+    const get = jest.spyOn(axios, "get");
+    expect(await getFundDetails("SPAXX", "fidelity")).toBeNull();
+    expect(await getFundDetails("SPAXX", "acme")).toBeNull();
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  test("passes on failed requests", async () => {
+    jest
+      .spyOn(axios, "get")
+      .mockRejectedValue(new Error("Request failed with status 404"));
+    await expect(getFundDetails("SWVXX")).rejects.toThrow("404");
+  });
+});
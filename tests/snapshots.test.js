@@ -0,0 +1,198 @@
+/**
+ * Unit Tests for the Snapshot Store
+ * Ensures snapshots are namespaced by provider and listed in the manifest
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MANIFEST_NAME,
+  SNAPSHOT_COLUMNS,
+  getTodayDate,
+  getSnapshotName,
+  parseSnapshotName,
+  listSnapshotFiles,
+  writeManifest,
+  mergeSnapshotRow,
+  toCsvValue,
+  writeSnapshot,
+} = require("../src/snapshots");
+const { loadSnapshots } = require("../src/history");
+const { parseCSV, getAllFunds } = require("../src/data-utils");
+
+describe("Snapshot Names", () => {
+  test("date new snapshots MM-DD-YYYY", () => {
+    expect(getTodayDate(new Date(2026, 0, 5))).toBe("01-05-2026");
+    expect(getTodayDate()).toMatch(/^\d{2}-\d{2}-\d{4}$/);
+  });
+
+  test("prefix the date with the provider", () => {
+    expect(getSnapshotName("schwab", "01-15-2026")).toBe(
+      "schwab_money_funds_01-15-2026.csv",
+    );
+    expect(getSnapshotName("vanguard", "01-15-2026")).toBe(
+      "vanguard_money_funds_01-15-2026.csv",
+    );
+  });
+
+  test("parse back into provider and date", () => {
+    expect(parseSnapshotName("fidelity_money_funds_12-31-2025.csv")).toEqual({
+      provider: "fidelity",
+      name: "fidelity_money_funds_12-31-2025.csv",
+      date: "12-31-2025",
+    });
+    expect(parseSnapshotName("schwab_money_funds_2025-12-31.csv")).toBeNull();
+    expect(parseSnapshotName("schwab_money_funds_12-31-2025.json")).toBeNull();
+    expect(parseSnapshotName("acme_money_funds_12-31-2025.csv")).toBeNull();
+  });
+});
+
+describe("Merged Rows", () => {
+  const page = {
+    Category: "Taxable Money Funds",
+    "Fund Name": "Schwab Government Money Fund - Investor Shares",
+    Ticker: "SNVXX",
+    "7-Day Yield (with waivers)": "3.41%",
+    "Gross Expense Ratio": "--",
+    "Net Expense Ratio": "0.34%",
+  };
+  const fallback = {
+    Category: "Taxable Money Funds",
+    "Gross Expense Ratio": "0.35%",
+    "Net Expense Ratio": "0.30%",
+    NAV: "$1.00",
+  };
+
+  test("take each value from the first source that has it", () => {
+    const row = mergeSnapshotRow([
+      { name: "page", row: page },
+      { name: "fund page", row: { NAV: "$1.00", "Total Net Assets": "$9B" } },
+      { name: "fallback", row: fallback },
+    ]);
+
+    expect(row).toMatchObject({
+      Ticker: "SNVXX",
+      "Gross Expense Ratio": "0.35%",
+      "Net Expense Ratio": "0.34%",
+      NAV: "$1.00",
+      "Total Net Assets": "$9B",
+    });
+    expect(row["7-Day Yield (without waivers)"]).toBeUndefined();
+    expect(row.Notes).toBe(
+      "Sources: page (yield, net expense ratio); fund page (total net assets, NAV); fallback (gross expense ratio)",
+    );
+  });
+
+  test("keep existing notes and skip sources that added nothing", () => {
+    const row = mergeSnapshotRow([
+      { name: "page", row: page },
+      { name: "fund page", row: null },
+      { name: "fallback", row: { NAV: "--", Notes: "ETF; NAV not stable" } },
+    ]);
+    expect(row.NAV).toBeUndefined();
+    expect(row.Notes).toBe(
+      "ETF; NAV not stable; Sources: page (yield, net expense ratio)",
+    );
+    expect(mergeSnapshotRow([{ name: "page", row: {} }]).Notes).toBe("");
+  });
+});
+
+describe("Snapshot Store", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "snapshots-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const rows = [
+    {
+      Category: "Prime",
+      "Fund Name": "Fidelity Money Market Fund, Premium Class",
+      Ticker: "FZDXX",
+      "7-Day Yield (with waivers)": "3.61%",
+      "Net Expense Ratio": "0.30%",
+      "Minimum Initial Investment": "$100,000",
+    },
+  ];
+
+  test("writes rows that read back as funds", () => {
+    const filepath = writeSnapshot(dir, "fidelity", rows, "01-15-2026");
+    const [header, line] = fs.readFileSync(filepath, "utf8").split("\n");
+    const [fund] = getAllFunds(parseCSV(fs.readFileSync(filepath, "utf8")));
+
+    expect(path.basename(filepath)).toBe("fidelity_money_funds_01-15-2026.csv");
+    expect(header).toBe(SNAPSHOT_COLUMNS.join(","));
+    expect(line).toContain('"Fidelity Money Market Fund, Premium Class"');
+    expect(line.endsWith(",--,--,--,")).toBe(true);
+    expect(fund).toMatchObject({
+      fundName: "Fidelity Money Market Fund, Premium Class",
+      symbol: "FZDXX",
+      grossYield: 3.61,
+      expenseRatio: 0.3,
+      minimumInvestment: "$100,000",
+    });
+  });
+
+  test("lists every provider's snapshots by date and filters by provider", () => {
+    writeSnapshot(dir, "schwab", rows, "12-31-2025");
+    writeSnapshot(dir, "fidelity", rows, "01-15-2026");
+    writeSnapshot(dir, "vanguard", rows, "01-02-2026");
+    fs.writeFileSync(path.join(dir, "notes.csv"), "");
+
+    expect(listSnapshotFiles(dir).map((file) => file.date)).toEqual([
+      "12-31-2025",
+      "01-02-2026",
+      "01-15-2026",
+    ]);
+    expect(listSnapshotFiles(dir, "vanguard")).toEqual([
+      {
+        provider: "vanguard",
+        name: "vanguard_money_funds_01-02-2026.csv",
+        date: "01-02-2026",
+      },
+    ]);
+  });
+
+  test("writes the manifest newest first", () => {
+    writeSnapshot(dir, "schwab", rows, "12-31-2025");
+    writeSnapshot(dir, "vanguard", rows, "01-02-2026");
+    const entries = writeManifest(dir);
+
+    expect(entries.map((entry) => entry.provider)).toEqual([
+      "vanguard",
+      "schwab",
+    ]);
+    expect(
+      JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_NAME), "utf8")),
+    ).toEqual(entries);
+  });
+
+  test("history merges providers' snapshots from the same day", () => {
+    writeSnapshot(dir, "schwab", rows, "01-15-2026");
+    writeSnapshot(
+      dir,
+      "vanguard",
+      [{ ...rows[0], Ticker: "VMFXX" }],
+      "01-15-2026",
+    );
+    const snapshots = loadSnapshots(dir);
+
+    expect(snapshots.length).toBe(1);
+    expect(snapshots[0].rows.map((row) => row.Ticker)).toEqual([
+      "FZDXX",
+      "VMFXX",
+    ]);
+  });
+
+  test("quotes CSV values only when needed", () => {
+    expect(toCsvValue("3.52%")).toBe("3.52%");
+    expect(toCsvValue('Fund "A", B')).toBe('"Fund ""A"", B"');
+    expect(toCsvValue(undefined)).toBe("");
+    expect(toCsvValue(null)).toBe("");
+  });
+});
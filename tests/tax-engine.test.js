@@ -0,0 +1,1436 @@
+/**
+ * Unit Tests for the Tax Engine
+ * Ensures marginal rates and tax-equivalent yields are computed correctly
+ */
+
+const {
+  ACCOUNT_TYPES,
+  calculateTaxableIncome,
+  calculateFederalMarginalRate,
+  calculateStateMarginalRate,
+  calculateFederalStackedRate,
+  calculateStateStackedRate,
+  getBracketBreakdown,
+  calculateLocalRate,
+  calculateNIITRate,
+  calculateAMTRate,
+  calculateSaltDeductibleShare,
+  getEffectiveTaxRate,
+  calculateTaxEquivalentYield,
+  calculateAllFunds,
+  projectBalance,
+  getTaxBrackets,
+  getStateTaxBrackets,
+  getStandardDeductions,
+  getAvailableTaxYears,
+  resolveTaxYear,
+  getRecommendationExplanation,
+  getResidencyNote,
+  getSaltNote,
+  formatPercent,
+  formatCurrency,
+  getTaxTreatment,
+  getAccountTypes,
+} = require("../public/js/tax-calculator");
+const {
+  getUsObligationsPct,
+  getUsObligationsExemptShare,
+  getSaltCap,
+  getLocality,
+  findResidencyOverlap,
+  getResidencyAllocation,
+} = require("../public/js/tax-tables");
+
+const SAMPLE_FUNDS = [
+  {
+    fundName: "Schwab Prime Advantage Money Fund - Investor Shares",
+    symbol: "SWVXX",
+    category: "taxable",
+    grossYield: 3.52,
+    expenseRatio: 0.34,
+  },
+  {
+    fundName: "Schwab U.S. Treasury Money Fund - Investor Shares",
+    symbol: "SNSXX",
+    category: "treasury",
+    grossYield: 3.4,
+    expenseRatio: 0.34,
+  },
+  {
+    fundName: "Schwab Municipal Money Fund - Investor Shares",
+    symbol: "SWTXX",
+    category: "municipal",
+    grossYield: 1.24,
+    expenseRatio: 0.34,
+  },
+];
+
+describe("Taxable Income", () => {
+  test("subtracts the standard deduction for the filing status and year", () => {
+    expect(calculateTaxableIncome(200000, "single", 2024)).toEqual({
+      grossIncome: 200000,
+      deductionType: "standard",
+      deduction: 14600,
+      taxableIncome: 185400,
+    });
+    expect(calculateTaxableIncome(200000, "married", 2025).taxableIncome).toBe(
+      168500,
+    );
+    expect(calculateTaxableIncome(200000, "unknown", 2026).deduction).toBe(
+      16100,
+    );
+  });
+
+  test("uses the itemized amount when itemizing", () => {
+    const result = calculateTaxableIncome(
+      200000,
+      "single",
+      2024,
+      "itemized",
+      40000,
+    );
+    expect(result.deductionType).toBe("itemized");
+    expect(result.taxableIncome).toBe(160000);
+    expect(
+      calculateTaxableIncome(200000, "single", 2024, "itemized").deduction,
+    ).toBe(0);
+  });
+
+  test("never goes below zero", () => {
+    expect(calculateTaxableIncome(10000, "single", 2024).taxableIncome).toBe(0);
+  });
+
+  test("drives bracket rates while NIIT uses gross income", () => {
+    const profile = {
+      income: 210000,
+      filingStatus: "single",
+      state: "MO",
+      taxYear: 2024,
+    };
+    const result = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], profile);
+    expect(result.grossIncome).toBe(210000);
+    expect(result.taxableIncome).toBe(195400);
+    expect(result.federalRate).toBeCloseTo(0.32);
+    expect(result.niitRate).toBe(0.038);
+
+    const itemizer = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], {
+      ...profile,
+      deductionType: "itemized",
+      itemizedDeduction: 30000,
+    });
+    expect(itemizer.taxableIncome).toBe(180000);
+    expect(itemizer.federalRate).toBeCloseTo(0.24);
+  });
+});
+
+describe("Federal Marginal Rate", () => {
+  test("finds the bracket containing income", () => {
+    expect(calculateFederalMarginalRate(60000, "single", 2024)).toBe(0.22);
+    expect(calculateFederalMarginalRate(200000, "single", 2024)).toBe(0.32);
+    expect(calculateFederalMarginalRate(200000, "married", 2024)).toBe(0.22);
+  });
+
+  test("uses the brackets for the requested tax year", () => {
+    expect(calculateFederalMarginalRate(195000, "single", 2024)).toBe(0.32);
+    expect(calculateFederalMarginalRate(195000, "single", 2025)).toBe(0.24);
+    expect(calculateFederalMarginalRate(200000, "single", 2026)).toBe(0.24);
+  });
+
+  test("uses the lowest bracket for zero income", () => {
+    expect(calculateFederalMarginalRate(0, "single")).toBe(0.1);
+  });
+
+  test("falls back to single for unknown filing status", () => {
+    expect(calculateFederalMarginalRate(60000, "unknown")).toBe(0.22);
+  });
+});
+
+describe("State Marginal Rate", () => {
+  test("computes California's rate from income", () => {
+    expect(calculateStateMarginalRate("CA", 60000, "single")).toBe(0.08);
+    expect(calculateStateMarginalRate("CA", 2000000, "single")).toBe(0.133);
+  });
+
+  test("uses the filing-status schedule", () => {
+    expect(calculateStateMarginalRate("NY", 150000, "single")).toBe(0.06);
+    expect(calculateStateMarginalRate("NY", 150000, "married")).toBe(0.055);
+    expect(calculateStateMarginalRate("NY", 150000, "head")).toBe(0.06);
+  });
+
+  test("uses the schedule for the requested tax year", () => {
+    expect(calculateStateMarginalRate("NC", 50000, "single", 2024)).toBe(0.045);
+    expect(calculateStateMarginalRate("NC", 50000, "single", 2025)).toBe(
+      0.0425,
+    );
+  });
+
+  test("handles flat-tax and no-tax states", () => {
+    expect(calculateStateMarginalRate("IL", 50000, "single")).toBe(0.0495);
+    expect(calculateStateMarginalRate("TX", 500000, "married")).toBe(0);
+  });
+
+  test("returns 0 for unknown states", () => {
+    expect(calculateStateMarginalRate("ZZ", 100000, "single")).toBe(0);
+  });
+
+  test("covers every state and DC for every filing status", () => {
+    const states = Object.keys(getStateTaxBrackets());
+    expect(states.length).toBe(51);
+    states.forEach((code) => {
+      ["single", "married", "head"].forEach((status) => {
+        const brackets = getStateTaxBrackets()[code][status];
+        expect(brackets[0].min).toBe(0);
+        expect(brackets[brackets.length - 1].max).toBe(Infinity);
+        brackets.slice(1).forEach((b, i) => {
+          expect(b.min).toBe(brackets[i].max);
+        });
+      });
+    });
+  });
+});
+
+describe("Bracket Crossing", () => {
+  test("splits stacked interest across the brackets it spans", () => {
+    const brackets = getTaxBrackets(2024).single;
+    expect(getBracketBreakdown(brackets, 240000, 10000)).toEqual([
+      { min: 191950, max: 243725, rate: 0.32, amount: 3725, tax: 1192 },
+      { min: 243725, max: 609350, rate: 0.35, amount: 6275, tax: 2196.25 },
+    ]);
+  });
+
+  test("blends the federal rate across brackets", () => {
+    const stacked = calculateFederalStackedRate(240000, 10000, "single", 2024);
+    expect(stacked.rate).toBeCloseTo(0.338825);
+    expect(stacked.brackets.length).toBe(2);
+
+    const inside = calculateFederalStackedRate(200000, 1000, "single", 2024);
+    expect(inside.rate).toBeCloseTo(0.32);
+    expect(inside.brackets.length).toBe(1);
+  });
+
+  test("uses the marginal rate when there is no interest", () => {
+    expect(calculateFederalStackedRate(200000, 0, "single", 2024)).toEqual({
+      rate: 0.32,
+      brackets: [],
+    });
+  });
+
+  test("blends the state rate across brackets", () => {
+    const brackets = getStateTaxBrackets(2024).CA.single;
+    const upper = brackets.findIndex((b) => b.min > 60000);
+    const boundary = brackets[upper].min;
+    const stacked = calculateStateStackedRate(
+      "CA",
+      boundary - 500,
+      1000,
+      "single",
+      2024,
+    );
+    expect(stacked.rate).toBeCloseTo(
+      (brackets[upper - 1].rate + brackets[upper].rate) / 2,
+    );
+    expect(calculateStateStackedRate("TX", 200000, 1000, "single").rate).toBe(
+      0,
+    );
+    expect(calculateStateStackedRate("ZZ", 200000, 1000, "single").rate).toBe(
+      0,
+    );
+  });
+
+  test("stacks the fund's interest on the user's balance", () => {
+    // $240,000 taxable after the $14,600 standard deduction
+    const profile = {
+      income: 254600,
+      filingStatus: "single",
+      state: "MO",
+      taxYear: 2024,
+      balance: 500000,
+    };
+    const fund = SAMPLE_FUNDS[0];
+    const result = calculateTaxEquivalentYield(fund, profile);
+    const interest = 500000 * 0.0318;
+    expect(result.federalBrackets.map((b) => b.rate)).toEqual([0.32, 0.35]);
+    expect(result.federalBrackets[1].amount).toBeCloseTo(
+      240000 + interest - 243725,
+    );
+    expect(result.federalRate).toBeGreaterThan(0.32);
+    expect(result.federalRate).toBeLessThan(0.35);
+    expect(result.stateBrackets.length).toBeGreaterThan(0);
+
+    const small = calculateTaxEquivalentYield(fund, {
+      ...profile,
+      balance: 10000,
+    });
+    expect(small.federalRate).toBeCloseTo(0.32);
+  });
+});
+
+describe("Net Investment Income Tax", () => {
+  test("applies above the filing-status threshold", () => {
+    expect(calculateNIITRate(200000, "single", 2025)).toBe(0);
+    expect(calculateNIITRate(200001, "single", 2025)).toBe(0.038);
+    expect(calculateNIITRate(240000, "married", 2025)).toBe(0);
+    expect(calculateNIITRate(260000, "married", 2025)).toBe(0.038);
+    expect(calculateNIITRate(210000, "head", 2025)).toBe(0.038);
+  });
+
+  test("falls back to the single threshold for unknown filing status", () => {
+    expect(calculateNIITRate(210000, "unknown", 2025)).toBe(0.038);
+  });
+});
+
+describe("Alternative Minimum Tax", () => {
+  const amtFunds = [
+    {
+      fundName: "Schwab Municipal Money Fund - Investor Shares",
+      symbol: "SWTXX",
+      category: "municipal",
+      grossYield: 1.26,
+      expenseRatio: 0.34,
+    },
+    {
+      fundName: "Schwab AMT Tax-Free Money Fund - Investor Shares",
+      symbol: "SWWXX",
+      category: "municipal-amt-free",
+      grossYield: 1.24,
+      expenseRatio: 0.34,
+    },
+  ];
+  const profile = {
+    income: 150000,
+    filingStatus: "single",
+    state: "TX",
+    taxYear: 2025,
+  };
+
+  test("uses 26% below and 28% above the AMT breakpoint", () => {
+    expect(calculateAMTRate(150000, 2025)).toBe(0.26);
+    expect(calculateAMTRate(250000, 2025)).toBe(0.28);
+    expect(calculateAMTRate(235000, 2024)).toBe(0.28);
+    expect(calculateAMTRate(235000, 2025)).toBe(0.26);
+  });
+
+  test("ignores AMT for users without AMT exposure", () => {
+    const result = calculateTaxEquivalentYield(amtFunds[0], profile);
+    expect(result.amtRate).toBe(0);
+    expect(result.privateActivityBondShare).toBe(0.15);
+    expect(result.effectiveTaxRate).toBe(0);
+    expect(result.taxEquivalentYield).toBeCloseTo(0.92 / (1 - 0.24));
+  });
+
+  test("taxes the private activity bond share at the AMT rate", () => {
+    const exposed = { ...profile, amtExposure: true };
+    const result = calculateTaxEquivalentYield(amtFunds[0], exposed);
+    expect(result.amtRate).toBe(0.26);
+    expect(result.effectiveTaxRate).toBeCloseTo(0.15 * 0.26);
+    expect(result.afterTaxYield).toBeCloseTo(0.92 * (1 - 0.15 * 0.26));
+    expect(result.taxEquivalentYield).toBeCloseTo(
+      result.afterTaxYield / (1 - 0.24),
+    );
+  });
+
+  test("honors a fund-specific private activity bond share", () => {
+    const exposed = { ...profile, amtExposure: true };
+    const fund = { ...amtFunds[0], privateActivityBondShare: 0.4 };
+    const result = calculateTaxEquivalentYield(fund, exposed);
+    expect(result.afterTaxYield).toBeCloseTo(0.92 * (1 - 0.4 * 0.26));
+  });
+
+  test("AMT-free funds are unaffected and win for AMT payers", () => {
+    const withoutAmt = calculateAllFunds(amtFunds, profile);
+    expect(withoutAmt[0].symbol).toBe("SWTXX");
+
+    const withAmt = calculateAllFunds(amtFunds, {
+      ...profile,
+      amtExposure: true,
+    });
+    expect(withAmt[0].symbol).toBe("SWWXX");
+    expect(withAmt[0].amtRate).toBe(0);
+    expect(withAmt[0].privateActivityBondShare).toBe(0);
+  });
+});
+
+describe("State Municipal Residency", () => {
+  const caFund = {
+    fundName: "Schwab California Municipal Money Fund - Investor Shares",
+    symbol: "SWKXX",
+    category: "state-municipal",
+    issuingState: "CA",
+    grossYield: 1.03,
+    expenseRatio: 0.34,
+  };
+  const profile = { income: 200000, filingStatus: "single", taxYear: 2025 };
+
+  test("exempts residents of the issuing state from state tax", () => {
+    const result = calculateTaxEquivalentYield(caFund, {
+      ...profile,
+      state: "CA",
+    });
+    expect(result.residentExemption).toBe(true);
+    expect(result.taxCategory).toBe("state-municipal");
+    expect(result.effectiveTaxRate).toBe(0);
+  });
+
+  test("ranks the home-state fund higher for residents", () => {
+    const national = {
+      ...caFund,
+      symbol: "SWTXX",
+      category: "municipal",
+      issuingState: null,
+    };
+    const ca = calculateAllFunds([national, caFund], {
+      ...profile,
+      state: "CA",
+    });
+    const mo = calculateAllFunds([national, caFund], {
+      ...profile,
+      state: "MO",
+    });
+    expect(ca[0].symbol).toBe("SWKXX");
+    expect(ca[0].taxEquivalentYield).toBeGreaterThan(
+      mo.find((r) => r.symbol === "SWKXX").taxEquivalentYield,
+    );
+  });
+
+  test("taxes non-residents like a national municipal fund", () => {
+    const result = calculateTaxEquivalentYield(caFund, {
+      ...profile,
+      state: "MO",
+    });
+    expect(result.residentExemption).toBe(false);
+    expect(result.taxCategory).toBe("municipal");
+    expect(result.issuingState).toBe("CA");
+    expect(result.effectiveTaxRate).toBe(0.047);
+  });
+
+  test("requires a known issuing state for the exemption", () => {
+    const { issuingState, ...untagged } = caFund;
+    const result = calculateTaxEquivalentYield(untagged, {
+      ...profile,
+      state: "CA",
+    });
+    expect(issuingState).toBe("CA");
+    expect(result.issuingState).toBeNull();
+    expect(result.taxCategory).toBe("municipal");
+  });
+});
+
+describe("Part-Year Residency", () => {
+  const caFund = {
+    fundName: "Schwab California Municipal Money Fund - Investor Shares",
+    symbol: "SWKXX",
+    category: "state-municipal",
+    issuingState: "CA",
+    grossYield: 1.03,
+    expenseRatio: 0.34,
+  };
+  const profile = {
+    income: 200000,
+    filingStatus: "single",
+    state: "CA",
+    taxYear: 2025,
+  };
+  // Moved from New York to California at mid-year
+  const moved = [
+    { state: "NY", startDate: "2025-01-01", endDate: "2025-06-30" },
+    { state: "CA", startDate: "2025-07-01", endDate: "2025-12-31" },
+  ];
+  const nyShare = 181 / 365;
+  const caShare = 184 / 365;
+
+  test("splits the year by days lived in each state", () => {
+    const allocation = getResidencyAllocation([...moved].reverse(), 2025, "TX");
+    expect(allocation.map((p) => p.state)).toEqual(["NY", "CA"]);
+    expect(allocation[0].share).toBeCloseTo(nyShare, 10);
+    expect(allocation[1].share).toBeCloseTo(caShare, 10);
+  });
+
+  test("clips periods to the tax year and fills open dates", () => {
+    const allocation = getResidencyAllocation(
+      [
+        { state: "NY", startDate: "2024-06-01", endDate: "2025-03-31" },
+        { state: "CA", startDate: "2025-04-01" },
+      ],
+      2025,
+      "TX",
+    );
+    expect(allocation[0].startDate).toBe("2025-01-01");
+    expect(allocation[1].endDate).toBe("2025-12-31");
+    expect(allocation[0].share + allocation[1].share).toBeCloseTo(1, 10);
+  });
+
+  test("gives days no period covers to the profile state", () => {
+    const allocation = getResidencyAllocation(
+      [
+        { state: "NY", endDate: "2025-03-31" },
+        { state: "CA", startDate: "2025-07-01" },
+      ],
+      2025,
+      "TX",
+    );
+    expect(allocation.map((p) => p.state)).toEqual(["NY", "TX", "CA"]);
+    expect(allocation[1]).toMatchObject({
+      startDate: "2025-04-01",
+      endDate: "2025-06-30",
+    });
+    expect(allocation[0].share).toBeCloseTo(90 / 365, 10);
+    expect(allocation[2].share).toBeCloseTo(caShare, 10);
+    expect(allocation.reduce((sum, p) => sum + p.share, 0)).toBeCloseTo(1, 10);
+  });
+
+  test("rejects periods that share a day", () => {
+    const overlapping = [
+      { state: "NY", startDate: "2025-01-01", endDate: "2025-12-31" },
+      { state: "CA", startDate: "2025-01-01", endDate: "2025-12-31" },
+    ];
+    expect(findResidencyOverlap(overlapping, 2025)).toBe(
+      "Residency periods overlap: NY (2025-01-01 to 2025-12-31) and CA (2025-01-01 to 2025-12-31)",
+    );
+    expect(findResidencyOverlap(moved, 2025)).toBeNull();
+    expect(() => getResidencyAllocation(overlapping, 2025, "TX")).toThrow(
+      /overlap/,
+    );
+    expect(() =>
+      calculateAllFunds(SAMPLE_FUNDS, {
+        ...profile,
+        residencyPeriods: overlapping,
+      }),
+    ).toThrow(/overlap/);
+  });
+
+  test("falls back to a full year in the profile state", () => {
+    const fullYear = [
+      {
+        state: "TX",
+        startDate: "2025-01-01",
+        endDate: "2025-12-31",
+        share: 1,
+      },
+    ];
+    expect(getResidencyAllocation(undefined, 2025, "TX")).toEqual(fullYear);
+    expect(
+      getResidencyAllocation(
+        [{ state: "NY", startDate: "2024-01-01", endDate: "2024-12-31" }, {}],
+        2025,
+        "TX",
+      ),
+    ).toEqual(fullYear);
+  });
+
+  test("matches a full-year resident without residency periods", () => {
+    const plain = calculateAllFunds(SAMPLE_FUNDS, profile);
+    const listed = calculateAllFunds(SAMPLE_FUNDS, {
+      ...profile,
+      residencyPeriods: [{ state: "CA" }],
+    });
+    listed.forEach((result, i) => {
+      expect(result.effectiveTaxRate).toBe(plain[i].effectiveTaxRate);
+      expect(result.residencyAllocation).toHaveLength(1);
+    });
+  });
+
+  test("prorates state tax across the states lived in", () => {
+    const fund = SAMPLE_FUNDS[0];
+    const rateIn = (state) =>
+      calculateTaxEquivalentYield(fund, { ...profile, state }).effectiveTaxRate;
+    const result = calculateTaxEquivalentYield(fund, {
+      ...profile,
+      residencyPeriods: moved,
+    });
+
+    expect(result.residencyAllocation.map((p) => p.state)).toEqual([
+      "NY",
+      "CA",
+    ]);
+    expect(result.effectiveTaxRate).toBeCloseTo(
+      nyShare * rateIn("NY") + caShare * rateIn("CA"),
+      10,
+    );
+    expect(result.stateBrackets).toEqual(
+      calculateTaxEquivalentYield(fund, profile).stateBrackets,
+    );
+  });
+
+  test("exempts a state municipal fund only while resident", () => {
+    const result = calculateTaxEquivalentYield(caFund, {
+      ...profile,
+      residencyPeriods: moved,
+    });
+    const [ny, ca] = result.residencyAllocation;
+
+    expect(ny.residentExemption).toBe(false);
+    expect(ny.taxCategory).toBe("municipal");
+    expect(ca.residentExemption).toBe(true);
+    expect(ca.effectiveTaxRate).toBe(0);
+    expect(result.residentExemption).toBe(true);
+    expect(result.effectiveTaxRate).toBeCloseTo(nyShare * ny.stateRate, 10);
+  });
+
+  test("applies local tax only while living in the locality's state", () => {
+    const nyc = { ...profile, state: "NY", locality: "NYC" };
+    const fullYear = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], nyc);
+    const result = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], {
+      ...nyc,
+      residencyPeriods: moved,
+    });
+
+    expect(result.localityName).toBe("New York City");
+    expect(result.localRate).toBeCloseTo(nyShare * fullYear.localRate, 10);
+    expect(result.residencyAllocation[1].localRate).toBe(0);
+  });
+});
+
+describe("Local Income Tax", () => {
+  const profile = {
+    income: 214600,
+    filingStatus: "single",
+    state: "NY",
+    taxYear: 2024,
+    locality: "NYC",
+  };
+  const nyFund = {
+    fundName: "Schwab New York Municipal Money Fund - Investor Shares",
+    symbol: "SWYXX",
+    category: "state-municipal",
+    issuingState: "NY",
+    grossYield: 1.2,
+    expenseRatio: 0.35,
+  };
+
+  test("looks up localities within the user's state only", () => {
+    expect(getLocality("NY", "NYC").name).toBe("New York City");
+    expect(getLocality("NJ", "NYC")).toBeNull();
+    expect(getLocality("NY", null)).toBeNull();
+  });
+
+  test("uses brackets, flat rates and state tax surcharges", () => {
+    expect(
+      calculateLocalRate("NY", "NYC", 200000, 1000, "single", 0.0685).rate,
+    ).toBeCloseTo(0.03876);
+    expect(
+      calculateLocalRate("NY", "YONKERS", 200000, 1000, "single", 0.06).rate,
+    ).toBeCloseTo(0.01005);
+    expect(
+      calculateLocalRate("MD", "MONTGOMERY", 200000, 1000, "single", 0.0575)
+        .rate,
+    ).toBe(0.032);
+  });
+
+  test("returns 0 where the local tax does not reach interest", () => {
+    expect(
+      calculateLocalRate("OH", "COLUMBUS", 200000, 1000, "single", 0.035),
+    ).toEqual({ rate: 0, brackets: [] });
+    expect(
+      calculateLocalRate("NJ", "NYC", 200000, 1000, "single", 0.0637).rate,
+    ).toBe(0);
+  });
+
+  test("adds local tax to taxable funds but not Treasury funds", () => {
+    const [taxable, treasury] = SAMPLE_FUNDS.map((fund) =>
+      calculateTaxEquivalentYield(fund, profile),
+    );
+    const withoutCity = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], {
+      ...profile,
+      locality: "",
+    });
+    expect(taxable.localityName).toBe("New York City");
+    expect(taxable.localRate).toBeCloseTo(0.03876);
+    expect(taxable.effectiveTaxRate).toBeCloseTo(
+      withoutCity.effectiveTaxRate + 0.03876,
+    );
+    expect(treasury.effectiveTaxRate).toBeCloseTo(treasury.federalTotalRate);
+    expect(treasury.taxableTaxRate).toBeCloseTo(taxable.effectiveTaxRate);
+  });
+
+  test("exempts in-state municipal funds from local tax for residents", () => {
+    const resident = calculateTaxEquivalentYield(nyFund, profile);
+    expect(resident.effectiveTaxRate).toBe(0);
+
+    const national = calculateTaxEquivalentYield(SAMPLE_FUNDS[2], profile);
+    expect(national.effectiveTaxRate).toBeCloseTo(
+      national.stateRate + national.localRate,
+    );
+  });
+
+  test("raises the value of locally exempt funds", () => {
+    const city = calculateTaxEquivalentYield(SAMPLE_FUNDS[1], profile);
+    const upstate = calculateTaxEquivalentYield(SAMPLE_FUNDS[1], {
+      ...profile,
+      locality: null,
+    });
+    expect(upstate.localityName).toBeNull();
+    expect(city.taxEquivalentYield).toBeGreaterThan(upstate.taxEquivalentYield);
+  });
+
+  test("offsets deductible local tax at the federal rate", () => {
+    expect(getEffectiveTaxRate("taxable", 0.24, 0.05, 0, 1, 0.03)).toBeCloseTo(
+      0.24 + 0.05 * 0.76 + 0.03 * 0.76,
+    );
+    expect(getEffectiveTaxRate("treasury", 0.24, 0.05, 0, 1, 0.03)).toBe(0.24);
+    expect(getEffectiveTaxRate("municipal", 0.24, 0.05, 0, 1, 0.03)).toBe(0.08);
+  });
+
+  test("ignores inherited object keys as states and localities", () => {
+    expect(getLocality("NY", "constructor")).toBeNull();
+    expect(getLocality("constructor", "NYC")).toBeNull();
+    expect(calculateStateMarginalRate("toString", 100000, "single")).toBe(0);
+
+    const locality = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], {
+      ...profile,
+      locality: "constructor",
+    });
+    expect(locality.localityName).toBeNull();
+    expect(locality.localRate).toBe(0);
+    expect(Number.isFinite(locality.effectiveTaxRate)).toBe(true);
+
+    const state = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], {
+      ...profile,
+      state: "toString",
+      locality: null,
+    });
+    expect(state.stateRate).toBe(0);
+    expect(Number.isFinite(state.taxEquivalentYield)).toBe(true);
+  });
+});
+
+describe("U.S. Government Obligations", () => {
+  const table = { SNVXX: { 2024: 28.9, 2025: 31.2 } };
+  const govFund = {
+    fundName: "Schwab Government Money Fund - Investor Shares",
+    symbol: "SNVXX",
+    category: "taxable",
+    grossYield: 3.5,
+    expenseRatio: 0.34,
+  };
+  const profile = { income: 150000, filingStatus: "single", taxYear: 2025 };
+
+  test("looks up the percentage for the tax year or the latest before it", () => {
+    expect(getUsObligationsPct(table, "SNVXX", 2024)).toBe(28.9);
+    expect(getUsObligationsPct(table, "SNVXX", 2026)).toBe(31.2);
+    expect(getUsObligationsPct(table, "SNVXX", 2020)).toBe(28.9);
+    expect(getUsObligationsPct(table, "SWVXX", 2025)).toBeNull();
+    expect(getUsObligationsPct(null, "SNVXX", 2025)).toBeNull();
+  });
+
+  test("applies the 50% threshold in CA, CT and NY only", () => {
+    expect(getUsObligationsExemptShare("MO", 31.2)).toBeCloseTo(0.312);
+    expect(getUsObligationsExemptShare("CA", 44.8)).toBe(0);
+    expect(getUsObligationsExemptShare("NY", 50)).toBe(0.5);
+    expect(getUsObligationsExemptShare("CT", 99.4)).toBeCloseTo(0.994);
+    expect(getUsObligationsExemptShare("MO", null)).toBe(0);
+  });
+
+  test("blends the state rate for government funds", () => {
+    const [result] = calculateAllFunds(
+      [govFund],
+      { ...profile, state: "MO" },
+      { usGovernmentObligations: table },
+    );
+    expect(result.usGovernmentObligationsPct).toBe(31.2);
+    expect(result.blendedStateRate).toBeCloseTo(0.047 * (1 - 0.312));
+    // Standard deduction: no federal offset for state tax
+    expect(result.effectiveTaxRate).toBeCloseTo(0.24 + 0.047 * (1 - 0.312));
+    expect(result.taxEquivalentYield).toBeGreaterThan(result.netYield);
+  });
+
+  test("keeps government funds fully state taxable below a threshold", () => {
+    const [result] = calculateAllFunds(
+      [govFund],
+      { ...profile, state: "CA" },
+      { usGovernmentObligations: table },
+    );
+    expect(result.usObligationsExemptShare).toBe(0);
+    expect(result.blendedStateRate).toBe(result.stateRate);
+    expect(result.taxEquivalentYield).toBe(result.netYield);
+  });
+
+  test("uses the bundled data file and lets a fund override it", () => {
+    const treasury = {
+      fundName: "Schwab Treasury Obligations Money Fund - Investor Shares",
+      symbol: "SNOXX",
+      category: "treasury",
+      grossYield: 3.5,
+      expenseRatio: 0.34,
+    };
+    const [bundled] = calculateAllFunds([treasury], {
+      ...profile,
+      state: "NY",
+    });
+    expect(bundled.usGovernmentObligationsPct).toBe(44.8);
+    expect(bundled.usObligationsExemptShare).toBe(0);
+
+    const [override] = calculateAllFunds(
+      [{ ...treasury, usGovernmentObligationsPct: 100 }],
+      { ...profile, state: "NY" },
+    );
+    expect(override.blendedStateRate).toBe(0);
+  });
+
+  test("treats treasury funds without data as fully state tax-free", () => {
+    const result = calculateTaxEquivalentYield(
+      { ...govFund, symbol: "XTRXX", category: "treasury" },
+      { ...profile, state: "CA" },
+    );
+    expect(result.usGovernmentObligationsPct).toBeNull();
+    expect(result.effectiveTaxRate).toBeCloseTo(0.24);
+  });
+});
+
+describe("SALT Cap", () => {
+  test("uses the cap for the tax year with the high-income phase-out", () => {
+    expect(getSaltCap(2024, 1000000)).toBe(10000);
+    expect(getSaltCap(2025, 300000)).toBe(40000);
+    expect(getSaltCap(2025, 550000)).toBe(25000);
+    expect(getSaltCap(2025, 900000)).toBe(10000);
+    expect(getSaltCap(2026, 505000)).toBe(40400);
+  });
+
+  test("gives no deduction with the standard deduction", () => {
+    expect(calculateSaltDeductibleShare(500, 200000, 2024, "standard")).toEqual(
+      { share: 0, cap: null, room: 0, treatment: "standard" },
+    );
+  });
+
+  test("deducts state tax that fits under the remaining cap", () => {
+    const result = calculateSaltDeductibleShare(
+      500,
+      200000,
+      2024,
+      "itemized",
+      6000,
+    );
+    expect(result).toEqual({
+      share: 1,
+      cap: 10000,
+      room: 4000,
+      treatment: "deductible",
+    });
+  });
+
+  test("deducts part of state tax that crosses the cap", () => {
+    const result = calculateSaltDeductibleShare(
+      500,
+      200000,
+      2024,
+      "itemized",
+      9800,
+    );
+    expect(result.treatment).toBe("partial");
+    expect(result.share).toBeCloseTo(0.4);
+  });
+
+  test("gives no deduction once SALT paid reaches the cap", () => {
+    const result = calculateSaltDeductibleShare(
+      500,
+      200000,
+      2024,
+      "itemized",
+      12000,
+    );
+    expect(result.treatment).toBe("capped");
+    expect(result.share).toBe(0);
+  });
+
+  test("applies the federal offset to taxable funds for itemizers", () => {
+    const profile = {
+      income: 200000,
+      filingStatus: "single",
+      state: "MO",
+      taxYear: 2024,
+      deductionType: "itemized",
+      itemizedDeduction: 14600,
+    };
+    const under = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], {
+      ...profile,
+      saltPaid: 5000,
+    });
+    expect(under.saltTreatment).toBe("deductible");
+    expect(under.effectiveTaxRate).toBeCloseTo(0.24 + 0.048 * (1 - 0.24));
+
+    const over = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], {
+      ...profile,
+      saltPaid: 15000,
+    });
+    expect(over.saltTreatment).toBe("capped");
+    expect(over.effectiveTaxRate).toBeCloseTo(0.24 + 0.048);
+  });
+
+  test("a capped itemizer's benchmark rate raises municipal TEY", () => {
+    const profile = {
+      income: 200000,
+      filingStatus: "single",
+      state: "MO",
+      taxYear: 2024,
+      deductionType: "itemized",
+      itemizedDeduction: 14600,
+    };
+    const deductible = calculateTaxEquivalentYield(SAMPLE_FUNDS[2], profile);
+    const capped = calculateTaxEquivalentYield(SAMPLE_FUNDS[2], {
+      ...profile,
+      saltPaid: 20000,
+    });
+    expect(capped.taxableTaxRate).toBeGreaterThan(deductible.taxableTaxRate);
+    expect(capped.taxEquivalentYield).toBeGreaterThan(
+      deductible.taxEquivalentYield,
+    );
+  });
+});
+
+describe("Effective Tax Rate", () => {
+  test("reduces state tax by the federal deduction for taxable funds", () => {
+    expect(getEffectiveTaxRate("taxable", 0.24, 0.05)).toBeCloseTo(0.278);
+  });
+
+  test("offsets only the deductible share of state tax", () => {
+    expect(getEffectiveTaxRate("taxable", 0.24, 0.05, 0, 0)).toBeCloseTo(0.29);
+    expect(getEffectiveTaxRate("taxable", 0.24, 0.05, 0, 0.5)).toBeCloseTo(
+      0.284,
+    );
+  });
+
+  test("excludes state tax for treasury funds", () => {
+    expect(getEffectiveTaxRate("treasury", 0.24, 0.05)).toBe(0.24);
+  });
+
+  test("applies full state tax for municipal funds", () => {
+    expect(getEffectiveTaxRate("municipal", 0.24, 0.05)).toBe(0.05);
+  });
+
+  test("is zero for state-municipal funds", () => {
+    expect(getEffectiveTaxRate("state-municipal", 0.24, 0.05)).toBe(0);
+  });
+
+  test("applies full state tax for AMT-free municipal funds", () => {
+    expect(getEffectiveTaxRate("municipal-amt-free", 0.24, 0.05)).toBe(0.05);
+  });
+
+  test("adds NIIT in full for taxable and treasury funds", () => {
+    expect(getEffectiveTaxRate("taxable", 0.35, 0.05, 0.038)).toBeCloseTo(
+      0.4205,
+    );
+    expect(getEffectiveTaxRate("treasury", 0.35, 0.05, 0.038)).toBeCloseTo(
+      0.388,
+    );
+  });
+
+  test("exempts municipal funds from NIIT", () => {
+    expect(getEffectiveTaxRate("municipal", 0.35, 0.05, 0.038)).toBe(0.05);
+    expect(getEffectiveTaxRate("state-municipal", 0.35, 0.05, 0.038)).toBe(0);
+  });
+});
+
+describe("Tax-Equivalent Yield", () => {
+  const profile = {
+    income: 200000,
+    filingStatus: "single",
+    state: "MO",
+    taxYear: 2024,
+  };
+
+  test("taxable fund TEY equals net yield", () => {
+    const result = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], profile);
+    expect(result.netYield).toBeCloseTo(3.18);
+    expect(result.taxEquivalentYield).toBeCloseTo(3.18);
+    // $185,400 taxable after the standard deduction
+    expect(result.taxableIncome).toBe(185400);
+    expect(result.federalRate).toBe(0.24);
+    expect(result.stateRate).toBe(0.048);
+    expect(result.taxYear).toBe(2024);
+  });
+
+  test("reports NIIT for high earners on taxable dividends only", () => {
+    const highEarner = { ...profile, income: 300000 };
+    const taxable = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], highEarner);
+    expect(taxable.niitRate).toBe(0.038);
+    expect(taxable.federalTotalRate).toBeCloseTo(0.388);
+    expect(taxable.effectiveTaxRate).toBeCloseTo(0.35 + 0.038 + 0.048);
+
+    const muni = calculateTaxEquivalentYield(SAMPLE_FUNDS[2], highEarner);
+    expect(muni.niitRate).toBe(0);
+    expect(muni.effectiveTaxRate).toBe(0.048);
+  });
+
+  test("grosses up tax-advantaged yields", () => {
+    const result = calculateTaxEquivalentYield(SAMPLE_FUNDS[2], profile);
+    const taxableRate = 0.24 + 0.048;
+    expect(result.taxableTaxRate).toBeCloseTo(taxableRate);
+    expect(result.afterTaxYield).toBeCloseTo(0.9 * (1 - 0.048));
+    expect(result.taxEquivalentYield).toBeCloseTo(
+      (0.9 * (1 - 0.048)) / (1 - taxableRate),
+    );
+  });
+
+  test("ranks funds by tax-equivalent yield", () => {
+    const results = calculateAllFunds(SAMPLE_FUNDS, profile);
+    expect(results.map((r) => r.symbol)).toEqual(["SNSXX", "SWVXX", "SWTXX"]);
+  });
+
+  test("treats sweep and ETF funds as fully taxable", () => {
+    ["sweep", "etf"].forEach((category) => {
+      const result = calculateTaxEquivalentYield(
+        { ...SAMPLE_FUNDS[0], category, fundCategory: category },
+        profile,
+      );
+      expect(getTaxTreatment()[category].stateTaxable).toBe(true);
+      expect(result.fundCategory).toBe(category);
+      expect(result.effectiveTaxRate).toBeCloseTo(0.24 + 0.048);
+      expect(result.taxEquivalentYield).toBe(result.netYield);
+    });
+  });
+
+  test("picks the tax year from the data date when set to auto", () => {
+    const auto = { ...profile, taxYear: "auto" };
+    const results = calculateAllFunds(SAMPLE_FUNDS, auto, {
+      asOfDate: "12-22-2025",
+    });
+    results.forEach((r) => expect(r.taxYear).toBe(2025));
+    expect(results[0].taxableIncome).toBe(200000 - 15750);
+    expect(results[0].federalRate).toBe(0.24);
+  });
+});
+
+describe("Dollar Projections", () => {
+  const profile = {
+    income: 200000,
+    filingStatus: "single",
+    state: "MO",
+    taxYear: 2024,
+    balance: 50000,
+  };
+
+  test("compounds monthly at the given yield", () => {
+    expect(projectBalance(10000, 6, 0)).toBe(10000);
+    expect(projectBalance(10000, 6, 1)).toBeCloseTo(10616.78, 2);
+    expect(projectBalance(10000, 0, 10)).toBe(10000);
+  });
+
+  test("reports after-tax income and dividends on the user's balance", () => {
+    const result = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], profile);
+    expect(result.balance).toBe(50000);
+    expect(result.afterTaxIncome).toBeCloseTo(
+      50000 * (result.afterTaxYield / 100),
+    );
+    expect(result.afterTaxIncome).toBeLessThan(50000 * 0.0318);
+    expect(result.monthlyDividend).toBeCloseTo((50000 * 0.0318) / 12);
+  });
+
+  test("projects 1, 5 and 10 year balances at the after-tax yield", () => {
+    const result = calculateTaxEquivalentYield(SAMPLE_FUNDS[2], profile);
+    expect(Object.keys(result.projectedBalances)).toEqual(["1", "5", "10"]);
+    expect(result.projectedBalances[10]).toBeCloseTo(
+      projectBalance(50000, result.afterTaxYield, 10),
+    );
+    expect(result.projectedBalances[1]).toBeGreaterThan(
+      50000 + result.afterTaxIncome,
+    );
+  });
+
+  test("defaults to a $10,000 balance", () => {
+    const noBalance = { ...profile, balance: undefined };
+    const result = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], noBalance);
+    expect(result.balance).toBe(10000);
+    expect(
+      calculateTaxEquivalentYield(SAMPLE_FUNDS[0], { ...profile, balance: 0 })
+        .balance,
+    ).toBe(10000);
+  });
+
+  test("measures each fund's shortfall against the top-ranked fund", () => {
+    const results = calculateAllFunds(SAMPLE_FUNDS, profile);
+    expect(results[0].shortfallVsTop).toBe(0);
+    results.slice(1).forEach((r) => {
+      expect(r.shortfallVsTop).toBeCloseTo(
+        results[0].afterTaxIncome - r.afterTaxIncome,
+      );
+      expect(r.shortfallVsTop).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe("Account Types", () => {
+  const profile = {
+    income: 300000,
+    filingStatus: "single",
+    state: "CA",
+    taxYear: 2025,
+  };
+
+  test("defines taxable and sheltered account types", () => {
+    expect(Object.keys(ACCOUNT_TYPES)).toEqual([
+      "taxable",
+      "traditional",
+      "roth",
+      "hsa",
+    ]);
+    expect(ACCOUNT_TYPES.taxable.sheltered).toBe(false);
+    expect(ACCOUNT_TYPES.roth.sheltered).toBe(true);
+  });
+
+  test("defaults to a taxable account", () => {
+    const result = calculateTaxEquivalentYield(SAMPLE_FUNDS[2], {
+      ...profile,
+      accountType: "brokerage-ish",
+    });
+    expect(result.accountType).toBe("taxable");
+    expect(result.shelteredAccount).toBe(false);
+    expect(result.taxEquivalentYield).toBeGreaterThan(result.netYield);
+  });
+
+  test("treats inherited object keys as a taxable account", () => {
+    ["constructor", "toString", "__proto__"].forEach((accountType) => {
+      const result = calculateTaxEquivalentYield(SAMPLE_FUNDS[2], {
+        ...profile,
+        accountType,
+      });
+      expect(result.accountType).toBe("taxable");
+      expect(result.shelteredAccount).toBe(false);
+    });
+  });
+
+  test("uses net yield with no tax in sheltered accounts", () => {
+    ["traditional", "roth", "hsa"].forEach((accountType) => {
+      const result = calculateTaxEquivalentYield(SAMPLE_FUNDS[2], {
+        ...profile,
+        accountType,
+      });
+      expect(result.shelteredAccount).toBe(true);
+      expect(result.effectiveTaxRate).toBe(0);
+      expect(result.afterTaxYield).toBeCloseTo(result.netYield);
+      expect(result.taxEquivalentYield).toBeCloseTo(result.netYield);
+    });
+  });
+
+  test("ranks sheltered accounts on net yield and flags munis", () => {
+    const taxable = calculateAllFunds(SAMPLE_FUNDS, profile);
+    const roth = calculateAllFunds(SAMPLE_FUNDS, {
+      ...profile,
+      accountType: "roth",
+    });
+    expect(roth.map((r) => r.symbol)).toEqual(["SWVXX", "SNSXX", "SWTXX"]);
+    expect(taxable[0].symbol).not.toBe("SWVXX");
+
+    const muni = roth.find((r) => r.symbol === "SWTXX");
+    expect(muni.taxExemptInShelteredAccount).toBe(true);
+    expect(roth[0].taxExemptInShelteredAccount).toBe(false);
+    expect(
+      taxable.find((r) => r.symbol === "SWTXX").taxExemptInShelteredAccount,
+    ).toBe(false);
+  });
+});
+
+describe("Tax Year Selection", () => {
+  test("an explicit tax year wins over the data date", () => {
+    expect(resolveTaxYear(2024, "01-15-2026")).toBe(2024);
+    expect(resolveTaxYear("2025")).toBe(2025);
+  });
+
+  test("auto selects the year of the data date", () => {
+    expect(resolveTaxYear("auto", "01-15-2026")).toBe(2026);
+    expect(resolveTaxYear(undefined, "12-22-2025")).toBe(2025);
+    expect(resolveTaxYear(null, new Date(2024, 5, 1))).toBe(2024);
+  });
+
+  test("defaults to the current year", () => {
+    const latest = getAvailableTaxYears().slice(-1)[0];
+    expect(resolveTaxYear()).toBe(Math.min(new Date().getFullYear(), latest));
+  });
+
+  test("clamps to the nearest year in the registry", () => {
+    expect(resolveTaxYear(2030)).toBe(2026);
+    expect(resolveTaxYear(2023)).toBe(2024);
+  });
+});
+
+describe("Explanations", () => {
+  const profile = {
+    income: 300000,
+    filingStatus: "single",
+    state: "CA",
+    taxYear: 2025,
+  };
+  const caFund = {
+    fundName: "Schwab California Municipal Money Fund - Investor Shares",
+    symbol: "SWKXX",
+    category: "state-municipal",
+    issuingState: "CA",
+    grossYield: 1.03,
+    expenseRatio: 0.34,
+  };
+
+  test("explains a taxable recommendation with its effective rate", () => {
+    const [top] = calculateAllFunds(SAMPLE_FUNDS.slice(0, 1), profile);
+    const text = getRecommendationExplanation(top, profile);
+    expect(text).toContain("Fully taxable at both federal and state levels");
+    expect(text).toContain(
+      `${(top.effectiveTaxRate * 100).toFixed(1)}% effective tax rate`,
+    );
+    expect(text).toContain("ranked on net yield instead");
+  });
+
+  test("explains a tax-free home-state fund with the residency rule", () => {
+    const [top] = calculateAllFunds([caFund], profile);
+    const text = getRecommendationExplanation(top, profile);
+    expect(text).toContain("without tax impact");
+    expect(text).toContain("As a CA resident");
+  });
+
+  test("mentions AMT for AMT payers", () => {
+    const amtProfile = { ...profile, amtExposure: true };
+    const muni = calculateTaxEquivalentYield(SAMPLE_FUNDS[2], amtProfile);
+    expect(getRecommendationExplanation(muni, amtProfile)).toContain(
+      "private activity bonds",
+    );
+
+    const amtFree = calculateTaxEquivalentYield(
+      { ...SAMPLE_FUNDS[2], category: "municipal-amt-free" },
+      amtProfile,
+    );
+    expect(getRecommendationExplanation(amtFree, amtProfile)).toContain(
+      "this AMT-free fund beats municipal funds",
+    );
+  });
+
+  test("explains net yield ranking in a sheltered account", () => {
+    const roth = { ...profile, accountType: "roth" };
+    const [top] = calculateAllFunds(SAMPLE_FUNDS, roth);
+    const text = getRecommendationExplanation(top, roth);
+    expect(text).toContain(getAccountTypes().roth.label);
+    expect(text).toContain("ranked on net yield alone");
+  });
+
+  test("describes each residency outcome", () => {
+    const noteFor = (fund, userProfile) =>
+      getResidencyNote(
+        calculateTaxEquivalentYield(fund, userProfile),
+        userProfile.state,
+      );
+    expect(noteFor(caFund, { ...profile, state: "MO" })).toBe(
+      "Its CA state tax exemption only applies to CA residents, so your MO income tax applies.",
+    );
+    expect(noteFor({ ...caFund, issuingState: null }, profile)).toContain(
+      "issuing state is unknown",
+    );
+
+    const moved = {
+      ...profile,
+      residencyPeriods: [
+        { state: "NY", endDate: "2025-06-30" },
+        { state: "CA", startDate: "2025-07-01" },
+      ],
+    };
+    expect(noteFor(caFund, moved)).toContain(
+      "for the 50% of the year you lived in CA",
+    );
+    expect(
+      noteFor(caFund, {
+        ...moved,
+        residencyPeriods: [
+          { state: "NY", endDate: "2025-06-30" },
+          { state: "TX", startDate: "2025-07-01" },
+        ],
+      }),
+    ).toContain("You did not live in CA during the year");
+  });
+
+  test("describes each SALT treatment", () => {
+    expect(getSaltNote({ treatment: "standard" })).toContain(
+      "standard deduction",
+    );
+    expect(getSaltNote({ treatment: "capped", cap: 40000 })).toContain(
+      "already reach the $40,000.00 SALT cap",
+    );
+    expect(
+      getSaltNote({ treatment: "partial", cap: 40000, room: 500, share: 0.25 }),
+    ).toContain("about 25% of the state tax");
+    expect(
+      getSaltNote({ treatment: "deductible", cap: 40000, room: 30000 }),
+    ).toContain("$30,000.00 of the $40,000.00 SALT cap left");
+  });
+
+  test("formats percentages and currency", () => {
+    expect(formatPercent(3.456)).toBe("3.46%");
+    expect(formatPercent(3.456, 1)).toBe("3.5%");
+    expect(formatCurrency(1234.5)).toBe("$1,234.50");
+  });
+});
+
+describe("Step-by-Step Explanation", () => {
+  const profile = {
+    income: 300000,
+    filingStatus: "single",
+    state: "NY",
+    taxYear: 2025,
+  };
+  const ids = (result) => result.explanation.map((step) => step.id);
+  const step = (result, id) =>
+    result.explanation.find((entry) => entry.id === id);
+
+  test("is only added when asked for", () => {
+    expect(
+      calculateTaxEquivalentYield(SAMPLE_FUNDS[0], profile).explanation,
+    ).toBeUndefined();
+    const [result] = calculateAllFunds(SAMPLE_FUNDS.slice(0, 1), profile, {
+      explain: true,
+    });
+    expect(result.explanation.length).toBeGreaterThan(0);
+  });
+
+  test("walks a taxable fund from net yield to TEY", () => {
+    const result = calculateTaxEquivalentYield(SAMPLE_FUNDS[0], profile, {
+      explain: true,
+    });
+    expect(ids(result)).toEqual([
+      "net-yield",
+      "taxable-income",
+      "federal-rate",
+      "niit",
+      "state-rate",
+      "salt",
+      "effective-rate",
+      "after-tax-yield",
+      "tey",
+    ]);
+    result.explanation.forEach((entry) => {
+      expect(entry).toEqual(
+        expect.objectContaining({
+          label: expect.any(String),
+          formula: expect.any(String),
+          values: expect.any(String),
+          result: expect.any(String),
+          details: expect.any(Array),
+          notes: expect.any(Array),
+        }),
+      );
+    });
+    expect(step(result, "net-yield")).toMatchObject({
+      values: "3.52% - 0.34%",
+      result: "3.18%",
+    });
+    expect(step(result, "effective-rate").result).toBe(
+      formatPercent(result.effectiveTaxRate * 100),
+    );
+    expect(step(result, "tey")).toMatchObject({
+      formula: "TEY = Net Yield",
+      result: formatPercent(result.taxEquivalentYield),
+    });
+  });
+
+  test("shows the exemptions and the gross-up for a municipal fund", () => {
+    const result = calculateTaxEquivalentYield(
+      SAMPLE_FUNDS[2],
+      { ...profile, locality: "NYC", amtExposure: true },
+      { explain: true },
+    );
+    expect(ids(result)).toEqual(
+      expect.arrayContaining(["local-rate", "amt", "taxable-rate"]),
+    );
+    expect(ids(result)).not.toContain("salt");
+    expect(step(result, "federal-rate").notes[0]).toContain(
+      "exempt from federal income tax",
+    );
+    expect(step(result, "niit").notes[0]).toContain("exempt from the NIIT");
+    expect(step(result, "amt").values).toBe("28.00% × 15.00%");
+    expect(step(result, "effective-rate").formula).toBe(
+      "Effective Rate = State + Local + AMT Rate × Private Activity Bond Share",
+    );
+    expect(step(result, "tey")).toMatchObject({
+      values: `${formatPercent(result.afterTaxYield)} ÷ (1 - ${formatPercent(
+        result.taxableTaxRate * 100,
+      )})`,
+      result: formatPercent(result.taxEquivalentYield),
+    });
+  });
+
+  test("blends the state rate by the U.S. obligations share", () => {
+    const result = calculateTaxEquivalentYield(
+      { ...SAMPLE_FUNDS[1], usGovernmentObligationsPct: 99.4 },
+      profile,
+      { explain: true },
+    );
+    const usObligations = step(result, "us-obligations");
+    expect(usObligations.result).toBe(
+      formatPercent(result.blendedStateRate * 100),
+    );
+    expect(usObligations.notes[0]).toContain("exempt from state tax");
+    expect(step(result, "state-rate").notes).toEqual([]);
+  });
+
+  test("lists each residency period for a part-year resident", () => {
+    const result = calculateTaxEquivalentYield(
+      { ...SAMPLE_FUNDS[1], usGovernmentObligationsPct: 99.4 },
+      {
+        ...profile,
+        state: "CA",
+        locality: "NYC",
+        residencyPeriods: [
+          { state: "NY", endDate: "2025-04-30" },
+          { state: "CA", startDate: "2025-05-01" },
+        ],
+      },
+      { explain: true },
+    );
+    const stateStep = step(result, "state-rate");
+    expect(stateStep.label).toBe("State Income Tax (NY, CA)");
+    expect(stateStep.formula).toContain("Σ Share of Year");
+    expect(stateStep.details).toHaveLength(2);
+    expect(stateStep.details[0]).toContain("NY, 2025-01-01 to 2025-04-30");
+    expect(step(result, "effective-rate").values).toContain(" + ");
+    expect(step(result, "us-obligations").formula).toContain("Σ");
+    expect(step(result, "local-rate").values).toMatch(/^32\.88% × /);
+  });
+
+  test("uses the single NIIT threshold for an inherited filing status", () => {
+    const result = calculateTaxEquivalentYield(
+      SAMPLE_FUNDS[0],
+      { ...profile, filingStatus: "toString" },
+      { explain: true },
+    );
+    expect(step(result, "niit").values).toBe(
+      "$300,000.00 gross income vs. $200,000.00 threshold",
+    );
+  });
+
+  test("zeroes the rate in a sheltered account", () => {
+    const result = calculateTaxEquivalentYield(
+      SAMPLE_FUNDS[2],
+      { ...profile, accountType: "roth" },
+      { explain: true },
+    );
+    expect(step(result, "effective-rate")).toMatchObject({
+      formula: "Effective Rate = 0 in a sheltered account",
+      result: "0.00%",
+    });
+    expect(step(result, "tey").notes).toHaveLength(2);
+    expect(ids(result)).not.toContain("taxable-rate");
+  });
+});
+
+describe("Tax Tables", () => {
+  test("exposes federal brackets by filing status", () => {
+    expect(Object.keys(getTaxBrackets())).toEqual([
+      "single",
+      "married",
+      "head",
+    ]);
+  });
+
+  test("lists the available tax years in order", () => {
+    expect(getAvailableTaxYears()).toEqual([2024, 2025, 2026]);
+  });
+
+  test("exposes standard deductions by year", () => {
+    expect(getStandardDeductions(2025)).toEqual({
+      single: 15750,
+      married: 31500,
+      head: 23625,
+    });
+    expect(getStandardDeductions(2026).single).toBe(16100);
+  });
+
+  test("returns year-specific bracket tables", () => {
+    expect(getTaxBrackets(2024).single[1].min).toBe(11600);
+    expect(getTaxBrackets(2025).single[1].min).toBe(11925);
+    expect(getStateTaxBrackets(2024).NH.single[0].rate).toBe(0.03);
+    expect(getStateTaxBrackets(2025).NH.single[0].rate).toBe(0);
+  });
+});